@@ -11,18 +11,29 @@
  * 3. Ensure test API key exists in database
  * 
  * Run with: node examples/integration-test.js
+ *
+ * Set TOKENLAY_FIXTURES=record to save the traffic to
+ * examples/fixtures/integration-test.json, and TOKENLAY_FIXTURES=replay to run
+ * against the saved fixtures without a proxy or API keys (e.g. in CI).
  */
 
 import { TokenlayOpenAI, getTokenlayMetadata } from '@tokenlay/sdk';
+import { FixtureRecorder } from '@tokenlay/sdk/testing';
 import { config } from 'dotenv';
 
 // Load environment variables
 config();
 
+// Record or replay proxy traffic
+const FIXTURES_MODE = process.env.TOKENLAY_FIXTURES;
+const fixtures = FIXTURES_MODE
+  ? new FixtureRecorder({ path: 'examples/fixtures/integration-test.json', mode: FIXTURES_MODE })
+  : undefined;
+
 // Configuration
 const TEST_CONFIG = {
   tokenlayKey: process.env.TOKENLAY_KEY || 'tk_test_integration_key_123456789',
-  providerApiKey: process.env.OPENAI_API_KEY,
+  providerApiKey: process.env.OPENAI_API_KEY || (FIXTURES_MODE === 'replay' ? 'sk-replay' : undefined),
   tokenlayBaseUrl: process.env.TOKENLAY_BASE_URL || 'http://localhost:3000',
   providerApiBase: 'https://api.openai.com/v1'
 };
@@ -79,7 +90,7 @@ async function testProxyHealthCheck() {
   logSection('Proxy Health Check');
   
   try {
-    const response = await fetch(`${TEST_CONFIG.tokenlayBaseUrl}/health`);
+    const response = await (fixtures?.fetch ?? fetch)(`${TEST_CONFIG.tokenlayBaseUrl}/health`);
     
     if (response.ok) {
       const data = await response.json();
@@ -104,6 +115,7 @@ async function testClientInitialization() {
       tokenlayKey: TEST_CONFIG.tokenlayKey,
       providerApiKey: TEST_CONFIG.providerApiKey,
       tokenlayBaseUrl: TEST_CONFIG.tokenlayBaseUrl,
+      fixtures,
       metadata: {
         testSuite: 'integration-test',
         userId: 'test-user-123',
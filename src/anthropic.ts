@@ -0,0 +1,112 @@
+import Anthropic from '@anthropic-ai/sdk';
+import type { Message, RawMessageStreamEvent } from '@anthropic-ai/sdk/resources/messages';
+import type {
+  TokenlayAnthropicOptions,
+  TokenlayMessageCreateParams,
+  TokenlayMessageCreateParamsStreaming,
+  TokenlayMessageCreateParamsNonStreaming,
+  TokenlayRequestOptions
+} from './types.js';
+import { DEFAULT_ANTHROPIC_API_BASE } from './utils.js';
+import { TokenlayBaseClient } from './base.js';
+import { TokenlayStream, messageStreamEventMetadata } from './streaming.js';
+import { registerConnectionErrors } from './errors.js';
+
+registerConnectionErrors(Anthropic.APIConnectionError, Anthropic.APIConnectionTimeoutError);
+
+/**
+ * TokenlayAnthropic - Anthropic Messages API client that routes through Tokenlay
+ *
+ * Accepts Anthropic's native request format (system prompts, content blocks,
+ * tool use) and shares configuration, metadata headers and response metadata
+ * with TokenlayOpenAI.
+ */
+export class TokenlayAnthropic extends TokenlayBaseClient {
+  private anthropicClient: Anthropic;
+
+  constructor(options: TokenlayAnthropicOptions) {
+    if (options.failureMode === 'open') {
+      throw new Error('failureMode "open" is only supported by TokenlayOpenAI.');
+    }
+
+    super(options, DEFAULT_ANTHROPIC_API_BASE);
+
+    // Create Anthropic client pointing to Tokenlay proxy, authenticating with
+    // the Tokenlay key. The provider key travels in the Tokenlay headers.
+    this.anthropicClient = new Anthropic({
+      apiKey: null,
+      authToken: this.config.tokenlayKey,
+      baseURL: this.config.tokenlayBaseUrl.replace(/\/$/, ''),
+      timeout: this.config.timeout,
+      maxRetries: this.config.maxRetries,
+      defaultHeaders: this.defaultHeaders,
+      fetch: this.config.fixtures?.fetch,
+    });
+  }
+
+  /**
+   * Messages endpoint
+   */
+  get messages() {
+    return {
+      create: this.createMessage.bind(this),
+      /**
+       * Shorthand for `create({ ...params, stream: true })`. Unlike the
+       * Anthropic SDK's helper it resolves to a TokenlayStream of raw events,
+       * not a `MessageStream`, so there is no `.on()` or `finalMessage()`.
+       */
+      stream: (params: Omit<TokenlayMessageCreateParams, 'stream'>, options?: TokenlayRequestOptions) =>
+        this.createMessage({ ...params, stream: true }, options),
+    };
+  }
+
+  /**
+   * Create a message, returning a TokenlayStream of events when `stream: true`
+   */
+  private async createMessage(
+    params: TokenlayMessageCreateParamsStreaming,
+    options?: TokenlayRequestOptions
+  ): Promise<TokenlayStream<RawMessageStreamEvent>>;
+  private async createMessage(
+    params: TokenlayMessageCreateParamsNonStreaming,
+    options?: TokenlayRequestOptions
+  ): Promise<Message>;
+  private async createMessage(
+    params: TokenlayMessageCreateParams,
+    options?: TokenlayRequestOptions
+  ): Promise<Message | TokenlayStream<RawMessageStreamEvent>>;
+  private async createMessage(
+    params: TokenlayMessageCreateParams,
+    options: TokenlayRequestOptions = {}
+  ): Promise<Message | TokenlayStream<RawMessageStreamEvent>> {
+    const { metadata: { user_id, ...metadata } = {}, ...anthropicParams } = params;
+
+    // Keep Anthropic's own end-user identifier in the request body
+    if (user_id !== undefined) {
+      anthropicParams.metadata = { user_id };
+    }
+
+    const { data: response, tokenlay, context } = await this.send(
+      { endpoint: 'messages', params: anthropicParams, metadata },
+      options,
+      (providerParams, requestOptions) =>
+        this.anthropicClient.messages.create(providerParams, requestOptions)
+    );
+
+    if (anthropicParams.stream) {
+      return this.createStream<RawMessageStreamEvent>(context, response, tokenlay, messageStreamEventMetadata);
+    }
+
+    // eslint-disable-next-line @typescript-eslint/no-explicit-any
+    (response as any)._tokenlay = tokenlay;
+
+    return response as Message;
+  }
+
+  /**
+   * Get the underlying Anthropic client for advanced usage
+   */
+  get anthropic(): Anthropic {
+    return this.anthropicClient;
+  }
+}
@@ -0,0 +1,58 @@
+import type { AzureOptions } from './types.js';
+
+/**
+ * Strip trailing slashes from an Azure resource endpoint
+ */
+function normalizeEndpoint(endpoint: string): string {
+  return endpoint.replace(/\/+$/, '');
+}
+
+/**
+ * Provider API base for an Azure OpenAI resource
+ */
+export function azureApiBase(azure: AzureOptions): string {
+  return `${normalizeEndpoint(azure.endpoint)}/openai`;
+}
+
+/**
+ * Resolve the Azure deployment that serves a model. Models without an
+ * explicit mapping are assumed to be deployed under their own name.
+ */
+export function resolveAzureDeployment(azure: AzureOptions, model: string): string {
+  return azure.deployments?.[model] ?? model;
+}
+
+/**
+ * Headers telling the proxy how to call Azure: the API version to append as
+ * the `api-version` query parameter, and whether the provider credential is
+ * an `api-key` header or an Entra ID bearer token.
+ */
+export function buildAzureDefaultHeaders(azure: AzureOptions): Record<string, string> {
+  return {
+    'x-tokenlay-provider-api-version': azure.apiVersion,
+    'x-tokenlay-provider-auth': azure.getAccessToken ? 'bearer' : 'api-key',
+  };
+}
+
+/**
+ * Headers for a single Azure request: the deployment-based provider base for
+ * the requested model and, with Entra ID, a freshly acquired access token.
+ */
+export async function buildAzureRequestHeaders(azure: AzureOptions, model?: string): Promise<Record<string, string>> {
+  const headers: Record<string, string> = {};
+
+  if (model) {
+    const deployment = resolveAzureDeployment(azure, model);
+    headers['x-tokenlay-provider-base'] = `${azureApiBase(azure)}/deployments/${encodeURIComponent(deployment)}`;
+  }
+
+  if (azure.getAccessToken) {
+    const token = await azure.getAccessToken();
+    if (!token) {
+      throw new Error('azure.getAccessToken returned an empty token.');
+    }
+    headers['x-tokenlay-provider-key'] = token;
+  }
+
+  return headers;
+}
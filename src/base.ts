@@ -0,0 +1,900 @@
+import type {
+  TokenlayClientOptions,
+  TokenlayResponseMetadata,
+  TokenlayRequestOptions,
+  QueueOptions,
+  RequestMetadata,
+  AzureOptions,
+  TokenlayScopedOptions
+} from './types.js';
+import {
+  validateConfig,
+  metadataToHeaders,
+  mergeHeaders,
+  buildTokenlayUrl,
+  parseTokenlayHeaders,
+  headersToRecord,
+  sleep,
+  DEFAULT_TOKENLAY_BASE_URL,
+  type HeadersLike
+} from './utils.js';
+import {
+  toTokenlayError,
+  isRetryableError,
+  retryDelay,
+  TokenlayQueuedError,
+  TokenlayLimitExceededError,
+} from './errors.js';
+import { getProviderPreset, type ProviderPreset } from './providers.js';
+import { azureApiBase, buildAzureDefaultHeaders, buildAzureRequestHeaders } from './azure.js';
+import {
+  providerConnectionHeaders,
+  resolveFallbackRoutes,
+  routeParams,
+  shouldFallback,
+  type ProviderRoute
+} from './fallback.js';
+import { TokenlayStream, type ProviderStream, type StreamChunkMetadataExtractor } from './streaming.js';
+import type { BudgetManager } from './budget.js';
+import type { ProviderKeyPool, ProviderKeySelection } from './keys.js';
+import type { CircuitBreaker } from './circuit.js';
+import type { ResponseCache } from './cache.js';
+import type { FixtureRecorder } from './fixtures.js';
+import {
+  bypassedCost,
+  bypassedResponseUsage,
+  isProxyConnectionError,
+  reportBypassedUsage,
+  type BypassedUsage
+} from './bypass.js';
+import { getCurrentMetadata } from './context.js';
+import {
+  createHookRegistry,
+  type TokenlayHooks,
+  type TokenlayHookName,
+  type TokenlayHookRegistry,
+  type TokenlayRequestContext
+} from './hooks.js';
+import { DEFAULT_PRICING } from './pricing.js';
+
+/**
+ * Resolved client configuration
+ */
+export type TokenlayClientConfig = Required<Omit<TokenlayClientOptions, 'provider' | 'providers' | 'keyPool' | 'circuitBreaker' | 'cache' | 'fixtures' | 'azure' | 'budget' | 'hooks' | 'metadata' | 'extraHeaders' | 'queue'>> & {
+  provider?: ProviderPreset;
+  providers?: ProviderRoute[];
+  keyPool?: ProviderKeyPool;
+  circuitBreaker?: CircuitBreaker;
+  cache?: ResponseCache;
+  fixtures?: FixtureRecorder;
+  azure?: AzureOptions;
+  budget?: BudgetManager;
+  hooks: TokenlayHookRegistry;
+  metadata?: Record<string, string>;
+  extraHeaders?: Record<string, string>;
+  queue?: Required<QueueOptions>;
+};
+
+/**
+ * A request about to be sent to the provider through the proxy
+ */
+export interface ProviderRequest {
+  /**
+   * Endpoint being called, e.g. `chat.completions`
+   */
+  endpoint: string;
+
+  /**
+   * Provider SDK params with the Tokenlay metadata removed
+   */
+  // eslint-disable-next-line @typescript-eslint/no-explicit-any
+  params: Record<string, any>;
+
+  /**
+   * Per-request metadata
+   */
+  metadata?: RequestMetadata;
+
+  /**
+   * Whether non-streaming responses may be served from the response cache
+   */
+  cacheable?: boolean;
+}
+
+/**
+ * Options passed to the provider SDK for a single request
+ */
+export interface ProviderRequestOptions {
+  headers: Record<string, string | null>;
+  signal?: AbortSignal;
+  timeout?: number;
+  maxRetries?: number;
+}
+
+/**
+ * Overrides layered on top of the shared configuration by a derived client
+ */
+interface TokenlayClientScope {
+  metadata?: Record<string, string>;
+  extraHeaders?: Record<string, string>;
+  requestOptions: Pick<ProviderRequestOptions, 'timeout' | 'maxRetries'>;
+}
+
+/**
+ * A pending provider SDK request that can resolve with the raw HTTP response
+ */
+export interface ProviderAPIPromise<T> {
+  withResponse(): Promise<{ data: T; response: { headers: HeadersLike } }>;
+}
+
+/**
+ * Drop metadata fields that are explicitly undefined
+ */
+function definedMetadata(metadata: RequestMetadata): Record<string, string> {
+  const filteredMetadata: Record<string, string> = {};
+  for (const [key, value] of Object.entries(metadata)) {
+    if (value !== undefined) {
+      filteredMetadata[key] = value;
+    }
+  }
+
+  return filteredMetadata;
+}
+
+/**
+ * Headers that differ from the defaults, with `null` for removed defaults so
+ * that the provider SDK drops them
+ */
+function diffHeaders(
+  defaults: Record<string, string>,
+  headers: Record<string, string>
+): Record<string, string | null> {
+  const diff: Record<string, string | null> = {};
+
+  for (const [key, value] of Object.entries(headers)) {
+    if (defaults[key] !== value) {
+      diff[key] = value;
+    }
+  }
+
+  for (const key of Object.keys(defaults)) {
+    if (!(key in headers)) {
+      diff[key] = null;
+    }
+  }
+
+  return diff;
+}
+
+/**
+ * TokenlayBaseClient - configuration, header management and the request
+ * pipeline shared by the provider-specific Tokenlay clients
+ */
+export abstract class TokenlayBaseClient {
+  protected defaultHeaders: Record<string, string> = {};
+  protected config: TokenlayClientConfig;
+  protected scope: TokenlayClientScope = { requestOptions: {} };
+
+  // Shared with derived clients
+  private bypassBuffer: { records: BypassedUsage[]; flushing?: Promise<number> } = { records: [] };
+
+  constructor(options: TokenlayClientOptions, defaultProviderApiBase: string) {
+    // The first provider of a fallback chain is configured like a single provider
+    const [primary, ...fallbacks] = options.providers ?? [];
+    if (primary) {
+      if (options.provider || options.providerApiKey || options.providerApiBase || options.azure) {
+        throw new Error('Pass either providers or provider, providerApiKey, providerApiBase and azure, not both.');
+      }
+      options = {
+        ...options,
+        provider: primary.provider,
+        providerApiKey: primary.providerApiKey,
+        providerApiBase: primary.providerApiBase,
+      };
+    }
+
+    if (options.keyPool) {
+      if (options.providerApiKey || options.providers) {
+        throw new Error('keyPool cannot be combined with providerApiKey or providers.');
+      }
+
+      // Check every pooled key against the provider's key format
+      for (const providerApiKey of options.keyPool.keys) {
+        validateConfig({ ...options, providerApiKey });
+      }
+    } else {
+      validateConfig(options);
+    }
+
+    if (options.failureMode === 'open') {
+      if (!options.providerApiKey) {
+        throw new Error('failureMode "open" needs providerApiKey to call the provider directly.');
+      }
+      if (options.azure) {
+        throw new Error('failureMode "open" is not supported with azure.');
+      }
+    }
+
+    const providerName = options.provider ?? (options.azure ? 'azure' : undefined);
+    const provider = providerName ? getProviderPreset(providerName) : undefined;
+
+    const providerApiBase = options.providerApiBase
+      || (options.azure && azureApiBase(options.azure))
+      || provider?.apiBase
+      || defaultProviderApiBase;
+
+    this.config = {
+      tokenlayKey: options.tokenlayKey,
+      providerApiKey: options.providerApiKey ?? '',
+      provider,
+      providers: primary && [
+        { name: primary.name ?? provider?.name ?? providerApiBase, models: primary.models },
+        ...resolveFallbackRoutes(options.tokenlayKey, fallbacks, defaultProviderApiBase),
+      ],
+      keyPool: options.keyPool,
+      circuitBreaker: options.circuitBreaker,
+      cache: options.cache,
+      fixtures: options.fixtures,
+      failureMode: options.failureMode ?? 'closed',
+      azure: options.azure,
+      budget: options.budget,
+      hooks: createHookRegistry(options.hooks),
+      pricing: { ...DEFAULT_PRICING, ...options.pricing },
+      providerApiBase,
+      tokenlayBaseUrl: options.tokenlayBaseUrl || DEFAULT_TOKENLAY_BASE_URL,
+      timeout: options.timeout || 60000,
+      maxRetries: options.maxRetries ?? 2,
+      metadata: options.metadata,
+      extraHeaders: options.extraHeaders,
+      queue: options.queue ? {
+        maxWait: 60000,
+        pollInterval: 1000,
+        ...(options.queue === true ? {} : options.queue),
+      } : undefined,
+    };
+
+    // Provider SDKs read defaultHeaders on every request, so subclasses hand
+    // this object to their SDK client and we update it in place.
+    this.refreshDefaultHeaders();
+  }
+
+  /**
+   * Build default headers for all requests
+   */
+  protected buildDefaultHeaders(): Record<string, string> {
+    const headers = this.buildProviderConnectionHeaders();
+
+    // Add Azure API version and auth scheme
+    if (this.config.azure) {
+      Object.assign(headers, buildAzureDefaultHeaders(this.config.azure));
+    }
+
+    // Add global metadata headers
+    if (this.config.metadata) {
+      Object.assign(headers, metadataToHeaders(this.config.metadata));
+    }
+
+    // Add extra headers
+    if (this.config.extraHeaders) {
+      Object.assign(headers, this.config.extraHeaders);
+    }
+
+    return headers;
+  }
+
+  /**
+   * Connection headers for the configured provider
+   */
+  private buildProviderConnectionHeaders(): Record<string, string> {
+    return providerConnectionHeaders(this.config.providerApiKey, this.config.providerApiBase, this.config.provider);
+  }
+
+  /**
+   * Rebuild the shared default headers object in place so that the next
+   * request picks up config changes. Requests already in flight keep the
+   * headers they were sent with.
+   */
+  protected refreshDefaultHeaders(): void {
+    const headers = this.buildDefaultHeaders();
+
+    for (const key of Object.keys(this.defaultHeaders)) {
+      delete this.defaultHeaders[key];
+    }
+
+    Object.assign(this.defaultHeaders, headers);
+  }
+
+  /**
+   * Build headers for a specific request
+   */
+  protected buildRequestHeaders(metadata?: RequestMetadata): Record<string, string> {
+    const contextMetadata = getCurrentMetadata();
+
+    // Global metadata is in the default headers, which these override
+    return mergeHeaders(
+      contextMetadata && metadataToHeaders(contextMetadata),
+      this.scope.metadata && metadataToHeaders(this.scope.metadata),
+      this.scope.extraHeaders,
+      metadata && metadataToHeaders(metadata)
+    );
+  }
+
+  /**
+   * Build provider-specific headers for a single request
+   */
+  protected async buildProviderHeaders(request: Pick<ProviderRequest, 'params'>): Promise<Record<string, string>> {
+    if (this.config.azure) {
+      return buildAzureRequestHeaders(this.config.azure, request.params.model);
+    }
+
+    return {};
+  }
+
+  /**
+   * Send a request through the Tokenlay proxy with the request metadata as
+   * headers, surfacing rule outcomes as typed Tokenlay errors and parsing the
+   * Tokenlay metadata from the proxy response headers. Runs the lifecycle
+   * hooks around the request.
+   */
+  protected async send<T>(
+    request: ProviderRequest,
+    options: TokenlayRequestOptions,
+    // eslint-disable-next-line @typescript-eslint/no-explicit-any
+    call: (params: any, requestOptions: ProviderRequestOptions) => ProviderAPIPromise<T>,
+    // eslint-disable-next-line @typescript-eslint/no-explicit-any
+    direct?: (params: any, requestOptions: ProviderRequestOptions) => ProviderAPIPromise<T>
+  ): Promise<{ data: T; tokenlay: TokenlayResponseMetadata; context: TokenlayRequestContext }> {
+    const context: TokenlayRequestContext = {
+      endpoint: request.endpoint,
+      params: request.params,
+      headers: { ...this.defaultHeaders, ...this.buildRequestHeaders(request.metadata) },
+      metadata: this.requestMetadata(request),
+      startedAt: Date.now(),
+    };
+
+    try {
+      await this.runHooks('onRequest', context);
+
+      const cache = request.cacheable && !context.params.stream && options.cache !== false
+        ? this.config.cache
+        : undefined;
+      const cacheKey = cache?.key(context.endpoint, context.params, context.metadata);
+
+      // Cache hits cost nothing, so they skip the budget check. The cache is
+      // best-effort: a failing store is treated as a miss.
+      const cached = cacheKey && await cache!.get(cacheKey).catch(() => undefined);
+      if (cached) {
+        const data = cached.value as T;
+        const tokenlay = { ...cached.metadata, cost: 0, cached: true };
+        await this.runResponseHooks(context, data, tokenlay);
+        return { data, tokenlay, context };
+      }
+
+      // Stop before anything leaves the process when a budget is exhausted
+      await this.config.budget?.check(context.metadata);
+
+      // Send only what differs from the SDK client's default headers
+      const requestHeaders = {
+        ...diffHeaders(this.defaultHeaders, context.headers),
+        ...(await this.buildProviderHeaders(context)),
+      };
+
+      // Pooled keys are picked per attempt, see sendWithPooledKey
+      let pooledKey: ProviderKeySelection | undefined;
+
+      let bypassed = false;
+      const { result: { data, response }, provider } = await this.sendWithFallback(
+        (params, headers) => this.waitForQueue(
+          (queueHeaders) => this.retry(
+            () => this.sendWithPooledKey((selection) => {
+              pooledKey = selection;
+              const keyHeaders: Record<string, string> = selection ? { 'x-tokenlay-provider-key': selection.key } : {};
+
+              return call(params, {
+                headers: { ...requestHeaders, ...keyHeaders, ...headers, ...queueHeaders },
+                signal: options.signal,
+                ...this.scope.requestOptions,
+                // Retried by this client, so rule outcomes surface on the first response
+                maxRetries: 0,
+              })
+                .withResponse()
+                .catch((error: unknown) => {
+                  throw toTokenlayError(error);
+                });
+            }, options.signal),
+            options.signal
+          ),
+          options.signal
+        ),
+        context.params,
+        options.signal
+      ).catch((error: unknown) => {
+        if (!direct || this.config.failureMode !== 'open' || options.signal?.aborted || !isProxyConnectionError(error)) {
+          throw error;
+        }
+        bypassed = true;
+        return this.sendDirect(context, direct, options);
+      });
+
+      const tokenlay = parseTokenlayHeaders(headersToRecord(response.headers));
+      if (provider) {
+        tokenlay.provider = provider;
+      }
+      if (pooledKey && !bypassed) {
+        tokenlay.keyFingerprint = pooledKey.fingerprint;
+      }
+
+      if (bypassed) {
+        tokenlay.bypassed = true;
+      } else {
+        this.flushBypassedUsageInBackground();
+        if (cacheKey) {
+          await cache!.set(cacheKey, data, tokenlay).catch(() => {});
+        }
+      }
+
+      // Streams report their final cost once consumed, see createStream
+      if (!context.params.stream) {
+        if (bypassed) {
+          Object.assign(tokenlay, bypassedResponseUsage(data));
+          this.bufferBypassedUsage(context, tokenlay);
+        }
+        await this.config.budget?.record(context.metadata, tokenlay.cost);
+        await this.runResponseHooks(context, data, tokenlay);
+      }
+
+      return { data, tokenlay, context };
+    } catch (error) {
+      await this.runErrorHooks(context, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Wrap a provider stream in a TokenlayStream. Once it has been consumed its
+   * final cost is recorded against the client budgets and the response hooks
+   * run. Errors thrown by those hooks are ignored, as nothing awaits them.
+   */
+  protected createStream<Chunk>(
+    context: TokenlayRequestContext,
+    stream: unknown,
+    tokenlay: TokenlayResponseMetadata,
+    extractMetadata: StreamChunkMetadataExtractor<Chunk>,
+    hideChunk?: (chunk: Chunk) => boolean
+  ): TokenlayStream<Chunk> {
+    const tokenlayStream = new TokenlayStream<Chunk>(
+      stream as ProviderStream<Chunk>,
+      tokenlay,
+      extractMetadata,
+      hideChunk
+    );
+
+    tokenlayStream.finalMetadata()
+      .then(
+        async (metadata) => {
+          if (metadata.bypassed) {
+            this.bufferBypassedUsage(context, metadata);
+          }
+          await this.config.budget?.record(context.metadata, metadata.cost);
+          await this.runResponseHooks(context, tokenlayStream, metadata);
+        },
+        (error: unknown) => this.runErrorHooks(context, error)
+      )
+      .catch(() => {});
+
+    return tokenlayStream;
+  }
+
+  /**
+   * Send a request straight to the provider after the proxy could not be
+   * reached, in fail-open mode
+   */
+  private async sendDirect<T>(
+    context: TokenlayRequestContext,
+    // eslint-disable-next-line @typescript-eslint/no-explicit-any
+    direct: (params: any, requestOptions: ProviderRequestOptions) => ProviderAPIPromise<T>,
+    options: TokenlayRequestOptions
+  ): Promise<{ result: { data: T; response: { headers: HeadersLike } }; provider?: string }> {
+    // The current key, as updateProviderKey() may have replaced the one the
+    // direct client was created with
+    const headers = { 'Authorization': `Bearer ${this.config.providerApiKey}` };
+    const result = await direct(context.params, { headers, signal: options.signal, ...this.scope.requestOptions })
+      .withResponse();
+    return { result };
+  }
+
+  /**
+   * Price a bypassed request locally and keep its usage until Tokenlay can
+   * be told about it
+   */
+  private bufferBypassedUsage(context: TokenlayRequestContext, tokenlay: TokenlayResponseMetadata): void {
+    tokenlay.cost = bypassedCost(context.params.model, tokenlay, this.config.pricing);
+
+    this.bypassBuffer.records.push({
+      endpoint: context.endpoint,
+      model: context.params.model,
+      metadata: context.metadata,
+      inputTokens: tokenlay.inputTokens,
+      outputTokens: tokenlay.outputTokens,
+      cost: tokenlay.cost,
+      timestamp: context.startedAt,
+    });
+  }
+
+  /**
+   * Report usage of requests that bypassed the proxy to Tokenlay. Runs
+   * automatically after the next request that reaches the proxy again.
+   * Returns the number of records reported; on failure they stay buffered.
+   */
+  flushBypassedUsage(): Promise<number> {
+    if (!this.bypassBuffer.flushing) {
+      this.bypassBuffer.flushing = this.reportBufferedUsage().finally(() => {
+        this.bypassBuffer.flushing = undefined;
+      });
+    }
+
+    return this.bypassBuffer.flushing;
+  }
+
+  /**
+   * Usage of requests that bypassed the proxy and has not been reported yet
+   */
+  getBypassedUsage(): BypassedUsage[] {
+    return [...this.bypassBuffer.records];
+  }
+
+  private flushBypassedUsageInBackground(): void {
+    if (this.bypassBuffer.records.length > 0) {
+      this.flushBypassedUsage().catch(() => {});
+    }
+  }
+
+  private async reportBufferedUsage(): Promise<number> {
+    const records = this.bypassBuffer.records.splice(0);
+    if (records.length === 0) {
+      return 0;
+    }
+
+    try {
+      await reportBypassedUsage(
+        buildTokenlayUrl(this.config.tokenlayBaseUrl, 'usage'),
+        this.config.tokenlayKey,
+        records,
+        this.config.fixtures?.fetch ?? fetch
+      );
+    } catch (error) {
+      this.bypassBuffer.records.unshift(...records);
+      throw error;
+    }
+
+    return records.length;
+  }
+
+  /**
+   * Metadata merged in the same order as headers
+   */
+  private requestMetadata(request: ProviderRequest): RequestMetadata {
+    return { ...this.config.metadata, ...getCurrentMetadata(), ...this.scope.metadata, ...request.metadata };
+  }
+
+  /**
+   * Add a lifecycle hook. Hooks are shared with derived clients. Returns a
+   * function that removes the hook.
+   */
+  addHook<Name extends TokenlayHookName>(name: Name, hook: NonNullable<TokenlayHooks[Name]>): () => void {
+    const hooks = this.config.hooks[name] as unknown[];
+    hooks.push(hook);
+
+    return () => {
+      const index = hooks.indexOf(hook);
+      if (index !== -1) {
+        hooks.splice(index, 1);
+      }
+    };
+  }
+
+  /**
+   * Run the hooks registered under a name, one after another
+   */
+  private async runHooks<Name extends TokenlayHookName>(
+    name: Name,
+    context: Parameters<NonNullable<TokenlayHooks[Name]>>[0]
+  ): Promise<void> {
+    // Copy so that hooks removing themselves do not skip the next one
+    for (const hook of [...this.config.hooks[name]]) {
+      await (hook as (context: unknown) => void | Promise<void>)(context);
+    }
+  }
+
+  // The request context is extended in place so that every hook of a
+  // request sees the same object
+
+  private async runResponseHooks(
+    context: TokenlayRequestContext,
+    response: unknown,
+    tokenlay: TokenlayResponseMetadata
+  ): Promise<void> {
+    const responseContext = Object.assign(context, { response, tokenlay, duration: Date.now() - context.startedAt });
+
+    await this.runHooks('onResponse', responseContext);
+    if (tokenlay.ruleAction === 'warn' || tokenlay.warnings?.length) {
+      await this.runHooks('onRuleWarning', responseContext);
+    }
+    if (tokenlay.limitExceeded) {
+      await this.runHooks('onLimitExceeded', responseContext);
+    }
+  }
+
+  private async runErrorHooks(context: TokenlayRequestContext, error: unknown): Promise<void> {
+    const errorContext = Object.assign(context, { error, duration: Date.now() - context.startedAt });
+
+    if (error instanceof TokenlayLimitExceededError) {
+      await this.runHooks('onLimitExceeded', Object.assign(errorContext, { error, tokenlay: error.metadata }));
+    }
+    await this.runHooks('onError', errorContext);
+  }
+
+  /**
+   * Send a request to each provider of the fallback chain in turn until one
+   * succeeds or fails with an error that another provider would not fix
+   */
+  private async sendWithFallback<T>(
+    // eslint-disable-next-line @typescript-eslint/no-explicit-any
+    send: (params: Record<string, any>, headers: Record<string, string | null>) => Promise<T>,
+    // eslint-disable-next-line @typescript-eslint/no-explicit-any
+    params: Record<string, any>,
+    signal?: AbortSignal
+  ): Promise<{ result: T; provider?: string }> {
+    const routes = this.config.providers;
+    if (!routes) {
+      return { result: await this.sendThroughCircuit(this.config.providerApiBase, params, () => send(params, {}), signal) };
+    }
+
+    for (let index = 0; ; index++) {
+      const route = routes[index];
+      const providerApiBase = route.headers?.['x-tokenlay-provider-base'] ?? this.config.providerApiBase;
+      const providerParams = routeParams(params, route);
+
+      try {
+        const result = await this.sendThroughCircuit(
+          providerApiBase,
+          providerParams,
+          () => send(providerParams, this.routeHeaders(route)),
+          signal
+        );
+        return { result, provider: route.name };
+      } catch (error) {
+        if (index === routes.length - 1 || signal?.aborted || !shouldFallback(error)) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  /**
+   * Send a request through the circuit breaker, keyed by provider API base
+   * and model, when one is configured
+   */
+  private sendThroughCircuit<T>(
+    providerApiBase: string,
+    // eslint-disable-next-line @typescript-eslint/no-explicit-any
+    params: Record<string, any>,
+    send: () => Promise<T>,
+    signal?: AbortSignal
+  ): Promise<T> {
+    const breaker = this.config.circuitBreaker;
+    if (!breaker) {
+      return send();
+    }
+
+    const key = params.model ? `${providerApiBase} ${params.model}` : providerApiBase;
+
+    // In fail-open mode an unreachable proxy is bypassed, so it must not
+    // open the provider's circuit
+    const ignoreError = this.config.failureMode === 'open' ? isProxyConnectionError : undefined;
+    return breaker.execute(key, send, signal, ignoreError);
+  }
+
+  /**
+   * Headers that switch a request from the default provider to a route
+   */
+  private routeHeaders(route: ProviderRoute): Record<string, string | null> {
+    if (!route.headers) {
+      return {};
+    }
+
+    // Drop default connection headers the route does not replace, such as
+    // preset headers of the primary provider
+    const headers: Record<string, string | null> = {};
+    for (const key of Object.keys(this.buildProviderConnectionHeaders())) {
+      headers[key] = null;
+    }
+
+    return { ...headers, ...route.headers };
+  }
+
+  /**
+   * Send a request to the proxy, retrying failures the provider SDKs would
+   * retry up to `maxRetries` times. Tokenlay rule outcomes are thrown as is.
+   */
+  protected async retry<T>(send: () => Promise<T>, signal?: AbortSignal): Promise<T> {
+    const maxRetries = this.scope.requestOptions.maxRetries ?? this.config.maxRetries;
+
+    for (let retries = 0; ; retries++) {
+      try {
+        return await send();
+      } catch (error) {
+        if (retries >= maxRetries || signal?.aborted || !isRetryableError(error)) {
+          throw error;
+        }
+
+        await sleep(retryDelay(error, retries), signal);
+      }
+    }
+  }
+
+  /**
+   * Send a request with the next pooled key, if there is a key pool. A key
+   * the provider rate limits or rejects goes on cooldown, and the request is
+   * resent right away with the next available key.
+   */
+  private async sendWithPooledKey<T>(
+    send: (selection?: ProviderKeySelection) => Promise<T>,
+    signal?: AbortSignal
+  ): Promise<T> {
+    const keyPool = this.config.keyPool;
+    if (!keyPool) {
+      return send();
+    }
+
+    for (;;) {
+      const selection = keyPool.select();
+      try {
+        return await send(selection);
+      } catch (error) {
+        if (!keyPool.reportError(selection.key, error) || !keyPool.hasAvailableKey() || signal?.aborted) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  /**
+   * Send a request, and when queue mode is enabled keep re-submitting it while
+   * the proxy reports it as queued. Waits honor Retry-After, then the queue ETA,
+   * then the configured poll interval, and stop once `maxWait` would be exceeded.
+   */
+  protected async waitForQueue<T>(
+    send: (queueHeaders: Record<string, string>) => Promise<T>,
+    signal?: AbortSignal
+  ): Promise<T> {
+    const queue = this.config.queue;
+    if (!queue) {
+      return send({});
+    }
+
+    const deadline = Date.now() + queue.maxWait;
+    let queueHeaders: Record<string, string> = {};
+
+    for (;;) {
+      try {
+        return await send(queueHeaders);
+      } catch (error) {
+        if (!(error instanceof TokenlayQueuedError)) {
+          throw error;
+        }
+
+        const delay = error.retryAfter ?? error.metadata.queueEta ?? queue.pollInterval;
+        if (Date.now() + delay > deadline) {
+          throw error;
+        }
+
+        // Re-submit with the queue ticket so the proxy keeps our place in line
+        if (error.metadata.queueId) {
+          queueHeaders = { 'x-tokenlay-queue-id': error.metadata.queueId };
+        }
+
+        await sleep(delay, signal);
+      }
+    }
+  }
+
+  /**
+   * Update global metadata for all future requests
+   */
+  updateMetadata(metadata: RequestMetadata): void {
+    this.config.metadata = { ...this.config.metadata, ...definedMetadata(metadata) };
+    this.refreshDefaultHeaders();
+  }
+
+  /**
+   * Create a client that adds scoped metadata to every request. It shares
+   * this client's configuration and underlying SDK client. Metadata is merged
+   * global, then context (see runWithMetadata), then scoped, then per-request.
+   */
+  withMetadata(metadata: RequestMetadata): this {
+    return this.derive({
+      metadata: { ...this.scope.metadata, ...definedMetadata(metadata) },
+    });
+  }
+
+  /**
+   * Create a client with its own timeout, retries and extra headers. It shares
+   * this client's configuration and underlying SDK client.
+   */
+  withOptions(options: TokenlayScopedOptions): this {
+    const requestOptions = { ...this.scope.requestOptions };
+    if (options.timeout !== undefined) {
+      requestOptions.timeout = options.timeout;
+    }
+    if (options.maxRetries !== undefined) {
+      requestOptions.maxRetries = options.maxRetries;
+    }
+
+    return this.derive({
+      extraHeaders: options.extraHeaders
+        ? { ...this.scope.extraHeaders, ...options.extraHeaders }
+        : this.scope.extraHeaders,
+      requestOptions,
+    });
+  }
+
+  /**
+   * Shallow-copy this client with a new scope. Config, headers and the SDK
+   * client are shared by reference, so no new connections are created.
+   */
+  private derive(scope: Partial<TokenlayClientScope>): this {
+    const client = Object.assign(Object.create(Object.getPrototypeOf(this)), this) as this;
+    client.scope = { ...this.scope, ...scope };
+    return client;
+  }
+
+  /**
+   * Update provider API key (useful for key rotation)
+   */
+  updateProviderKey(providerApiKey: string): void {
+    if (this.config.keyPool) {
+      throw new Error('Rotate pooled keys with keyPool.add() and keyPool.remove().');
+    }
+
+    validateConfig({
+      tokenlayKey: this.config.tokenlayKey,
+      providerApiKey,
+      provider: this.config.provider?.name,
+      providerApiBase: this.config.providerApiBase,
+    });
+
+    this.config.providerApiKey = providerApiKey;
+    this.refreshDefaultHeaders();
+  }
+
+  /**
+   * Health check - verify connection to Tokenlay proxy
+   */
+  async healthCheck(): Promise<{ status: 'ok' | 'error'; message?: string }> {
+    try {
+      // Make a simple request to verify connectivity
+      const fetchImpl = this.config.fixtures?.fetch ?? fetch;
+      const response = await fetchImpl(buildTokenlayUrl(this.config.tokenlayBaseUrl, 'health'), {
+        headers: {
+          'Authorization': `Bearer ${this.config.tokenlayKey}`,
+        },
+      });
+
+      if (response.ok) {
+        return { status: 'ok' };
+      } else {
+        return { 
+          status: 'error', 
+          message: `HTTP ${response.status}: ${response.statusText}` 
+        };
+      }
+    } catch (error) {
+      return { 
+        status: 'error', 
+        message: error instanceof Error ? error.message : 'Unknown error' 
+      };
+    }
+  }
+
+}
@@ -0,0 +1,181 @@
+import type { RequestMetadata } from './types.js';
+import { TokenlayBudgetExceededError } from './errors.js';
+import { parseTokenlayHeaders } from './utils.js';
+
+/**
+ * A spend cap applied to each value of a metadata field
+ */
+export interface BudgetLimit {
+  /**
+   * Metadata field to budget by, e.g. `userId`, `projectId` or `feature`.
+   * Requests without this field are not counted against the budget.
+   */
+  key: string;
+
+  /**
+   * Maximum spend in USD for each value of the field within the window
+   */
+  limit: number;
+
+  /**
+   * Rolling window length in milliseconds
+   */
+  window: number;
+}
+
+/**
+ * Storage for recorded spend. Implement this to share budgets across
+ * processes, e.g. with a Redis sorted set per key scored by timestamp.
+ */
+export interface BudgetStore {
+  /**
+   * Record spend for a budget key at a timestamp (ms since epoch)
+   */
+  add(key: string, amount: number, timestamp: number): void | Promise<void>;
+
+  /**
+   * Total spend recorded for a budget key at or after `since` (ms since epoch).
+   * Entries older than `since` are no longer needed for this key.
+   */
+  total(key: string, since: number): number | Promise<number>;
+}
+
+/**
+ * Options for creating a BudgetManager
+ */
+export interface BudgetManagerOptions {
+  /**
+   * Spend caps to enforce
+   */
+  budgets: BudgetLimit[];
+
+  /**
+   * Where spend is recorded (default: in-memory)
+   */
+  store?: BudgetStore;
+}
+
+/**
+ * BudgetStore that keeps spend in process memory
+ */
+export class InMemoryBudgetStore implements BudgetStore {
+  private entries = new Map<string, { amount: number; timestamp: number }[]>();
+
+  add(key: string, amount: number, timestamp: number): void {
+    const entries = this.entries.get(key) ?? [];
+    entries.push({ amount, timestamp });
+    this.entries.set(key, entries);
+  }
+
+  total(key: string, since: number): number {
+    const entries = (this.entries.get(key) ?? []).filter((entry) => entry.timestamp >= since);
+
+    if (entries.length > 0) {
+      this.entries.set(key, entries);
+    } else {
+      this.entries.delete(key);
+    }
+
+    return entries.reduce((sum, entry) => sum + entry.amount, 0);
+  }
+}
+
+/**
+ * BudgetManager - enforces client-side spend budgets
+ *
+ * Accumulates the `cost` reported in Tokenlay response metadata and rejects
+ * new requests once a budget is exhausted within its rolling window. A single
+ * manager can be shared between clients.
+ */
+export class BudgetManager {
+  private readonly budgets: BudgetLimit[];
+  private readonly store: BudgetStore;
+
+  constructor(options: BudgetManagerOptions) {
+    for (const budget of options.budgets) {
+      if (!budget.key) {
+        throw new Error('Budget key is required, e.g. "userId".');
+      }
+      if (!(budget.limit >= 0)) {
+        throw new Error(`Budget limit for "${budget.key}" must be a non-negative number, got ${budget.limit}.`);
+      }
+      if (!(budget.window > 0)) {
+        throw new Error(`Budget window for "${budget.key}" must be a positive number of milliseconds, got ${budget.window}.`);
+      }
+    }
+
+    this.budgets = options.budgets;
+    this.store = options.store ?? new InMemoryBudgetStore();
+  }
+
+  /**
+   * Throw TokenlayBudgetExceededError if any budget that applies to the
+   * request metadata has been exhausted
+   */
+  async check(metadata: RequestMetadata): Promise<void> {
+    const now = Date.now();
+
+    for (const budget of this.budgets) {
+      const value = metadata[budget.key];
+      if (value === undefined) {
+        continue;
+      }
+
+      const spent = await this.store.total(storeKey(budget, value), now - budget.window);
+      if (spent >= budget.limit) {
+        throw new TokenlayBudgetExceededError(
+          `Budget exceeded for ${budget.key} "${value}": spent $${spent} of $${budget.limit} in the last ${budget.window}ms`,
+          {
+            // The request never reached the proxy
+            metadata: parseTokenlayHeaders({}),
+            budgetKey: budget.key,
+            budgetValue: value,
+            limit: budget.limit,
+            spent,
+            window: budget.window,
+          }
+        );
+      }
+    }
+  }
+
+  /**
+   * Record the cost of a completed request against every budget that applies
+   * to its metadata
+   */
+  async record(metadata: RequestMetadata, cost: number): Promise<void> {
+    if (!(cost > 0)) {
+      return;
+    }
+
+    const now = Date.now();
+
+    for (const budget of this.budgets) {
+      const value = metadata[budget.key];
+      if (value !== undefined) {
+        await this.store.add(storeKey(budget, value), cost, now);
+      }
+    }
+  }
+
+  /**
+   * Spend recorded for a metadata value within the window of the first
+   * budget configured for that key
+   */
+  async getSpend(key: string, value: string): Promise<number> {
+    const budget = this.budgets.find((candidate) => candidate.key === key);
+    if (!budget) {
+      throw new Error(`No budget is configured for "${key}".`);
+    }
+
+    return this.store.total(storeKey(budget, value), Date.now() - budget.window);
+  }
+}
+
+/**
+ * Store key for one value of a budget. The window is part of the key so that
+ * budgets on the same field with different windows are tracked separately.
+ */
+function storeKey(budget: BudgetLimit, value: string): string {
+  return `budget:${budget.key}:${budget.window}:${value}`;
+}
@@ -0,0 +1,99 @@
+import type { RequestMetadata, TokenlayResponseMetadata } from './types.js';
+import { getModelPricing, type ModelPricing } from './pricing.js';
+import { isConnectionError } from './errors.js';
+
+/**
+ * Usage of a request sent straight to the provider while the Tokenlay proxy
+ * was unreachable, kept until it can be reported
+ */
+export interface BypassedUsage {
+  /**
+   * Endpoint that was called, e.g. `chat.completions`
+   */
+  endpoint: string;
+
+  model?: string;
+
+  /**
+   * Merged request metadata
+   */
+  metadata: RequestMetadata;
+
+  inputTokens: number;
+  outputTokens: number;
+
+  /**
+   * Cost in USD from the client's pricing table, 0 for unknown models
+   */
+  cost: number;
+
+  /**
+   * When the request was sent (ms since epoch)
+   */
+  timestamp: number;
+}
+
+/**
+ * Whether the proxy could not be reached at all. Timeouts are excluded, as
+ * the request may have reached the provider and been billed.
+ */
+export function isProxyConnectionError(error: unknown): boolean {
+  return isConnectionError(error);
+}
+
+/**
+ * Token usage reported in a provider response body, which the proxy would
+ * otherwise have reported in its headers. Reads both the Chat Completions
+ * (`prompt_tokens`) and Responses API (`input_tokens`) shapes.
+ */
+// eslint-disable-next-line @typescript-eslint/no-explicit-any
+export function bypassedResponseUsage(data: any): Pick<TokenlayResponseMetadata, 'inputTokens' | 'outputTokens' | 'tokensUsed'> {
+  const usage = data?.usage ?? {};
+  const inputTokens = usage.prompt_tokens ?? usage.input_tokens ?? 0;
+  const outputTokens = usage.completion_tokens ?? usage.output_tokens ?? 0;
+
+  return { inputTokens, outputTokens, tokensUsed: usage.total_tokens ?? inputTokens + outputTokens };
+}
+
+/**
+ * Price a bypassed request locally, as the proxy did not
+ */
+export function bypassedCost(
+  model: string | undefined,
+  metadata: Pick<TokenlayResponseMetadata, 'inputTokens' | 'outputTokens'>,
+  pricing: Record<string, ModelPricing>
+): number {
+  if (!model) {
+    return 0;
+  }
+
+  try {
+    const modelPricing = getModelPricing(model, pricing);
+    return (metadata.inputTokens * modelPricing.input + metadata.outputTokens * modelPricing.output) / 1_000_000;
+  } catch {
+    return 0;
+  }
+}
+
+/**
+ * Send buffered usage to the Tokenlay usage endpoint
+ */
+export async function reportBypassedUsage(
+  url: string,
+  tokenlayKey: string,
+  records: BypassedUsage[],
+  fetchImpl: (url: string, init: RequestInit) => Promise<Response>
+): Promise<void> {
+  const response = await fetchImpl(url, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${tokenlayKey}`,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ records }),
+  });
+
+  if (!response.ok) {
+    throw new Error(`Failed to report bypassed usage: HTTP ${response.status}: ${response.statusText}`);
+  }
+}
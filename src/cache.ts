@@ -0,0 +1,184 @@
+import { createHash } from 'node:crypto';
+import type { RequestMetadata, TokenlayResponseMetadata } from './types.js';
+import { stableStringify } from './utils.js';
+
+/**
+ * A cached provider response with the Tokenlay metadata it was served with
+ */
+export interface CacheEntry {
+  /**
+   * Provider response body
+   */
+  value: unknown;
+
+  /**
+   * Tokenlay metadata of the original response
+   */
+  metadata: TokenlayResponseMetadata;
+
+  /**
+   * Expiry time (ms since epoch)
+   */
+  expiresAt?: number;
+}
+
+/**
+ * Storage for cached responses. Implement this to share the cache across
+ * processes, e.g. with Redis using the entry's `expiresAt` as the key TTL.
+ */
+export interface CacheStore {
+  /**
+   * Entry stored under a key. Expired entries may be returned, they are
+   * ignored by the cache.
+   */
+  get(key: string): CacheEntry | undefined | Promise<CacheEntry | undefined>;
+
+  /**
+   * Store an entry under a key
+   */
+  set(key: string, entry: CacheEntry): void | Promise<void>;
+
+  /**
+   * Remove the entry stored under a key
+   */
+  delete(key: string): void | Promise<void>;
+}
+
+/**
+ * Options for creating a ResponseCache
+ */
+export interface ResponseCacheOptions {
+  /**
+   * Where responses are stored (default: an in-memory LRU)
+   */
+  store?: CacheStore;
+
+  /**
+   * How long responses are served from the cache, in milliseconds
+   * (default: one hour). `Infinity` keeps them until evicted.
+   */
+  ttl?: number;
+
+  /**
+   * Metadata fields that are part of the cache key, e.g. `['userId']` to
+   * never share responses between users. Metadata is excluded by default.
+   */
+  metadataKeys?: string[];
+}
+
+/**
+ * Request params that do not change the response
+ */
+const IGNORED_PARAMS = new Set(['stream', 'stream_options', 'user', 'store']);
+
+/**
+ * CacheStore that keeps entries in process memory, evicting the least
+ * recently used entry once `maxEntries` is reached
+ */
+export class MemoryCacheStore implements CacheStore {
+  private readonly entries = new Map<string, CacheEntry>();
+  private readonly maxEntries: number;
+
+  constructor(options: { maxEntries?: number } = {}) {
+    this.maxEntries = options.maxEntries ?? 1000;
+  }
+
+  get(key: string): CacheEntry | undefined {
+    const entry = this.entries.get(key);
+    if (entry) {
+      // Re-insert to mark as most recently used
+      this.entries.delete(key);
+      this.entries.set(key, entry);
+    }
+
+    return entry && structuredClone(entry);
+  }
+
+  set(key: string, entry: CacheEntry): void {
+    this.entries.delete(key);
+    this.entries.set(key, structuredClone(entry));
+
+    if (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value!);
+    }
+  }
+
+  delete(key: string): void {
+    this.entries.delete(key);
+  }
+
+  /**
+   * Number of stored entries
+   */
+  get size(): number {
+    return this.entries.size;
+  }
+}
+
+/**
+ * ResponseCache - serves identical deterministic requests from a cache
+ * instead of paying for them again
+ *
+ * Requests are keyed by a hash of the endpoint and the normalized request
+ * params (model, messages, tools, sampling params), plus any configured
+ * metadata fields. Streaming requests are never cached.
+ */
+export class ResponseCache {
+  private readonly store: CacheStore;
+  private readonly ttl: number;
+  private readonly metadataKeys: string[];
+
+  constructor(options: ResponseCacheOptions = {}) {
+    this.store = options.store ?? new MemoryCacheStore();
+    this.ttl = options.ttl ?? 3_600_000;
+    this.metadataKeys = options.metadataKeys ?? [];
+  }
+
+  /**
+   * Cache key for a request
+   */
+  // eslint-disable-next-line @typescript-eslint/no-explicit-any
+  key(endpoint: string, params: Record<string, any>, metadata: RequestMetadata = {}): string {
+    const keyParams = Object.fromEntries(Object.entries(params).filter(([name]) => !IGNORED_PARAMS.has(name)));
+    const keyMetadata = Object.fromEntries(this.metadataKeys.map((name) => [name, metadata[name]]));
+
+    const hash = createHash('sha256')
+      .update(stableStringify({ endpoint, params: keyParams, metadata: keyMetadata }))
+      .digest('hex');
+
+    return `${endpoint}-${hash}`;
+  }
+
+  /**
+   * Cached entry for a key, unless it has expired
+   */
+  async get(key: string): Promise<CacheEntry | undefined> {
+    const entry = await this.store.get(key);
+    if (entry?.expiresAt !== undefined && entry.expiresAt <= Date.now()) {
+      await this.store.delete(key);
+      return undefined;
+    }
+
+    return entry;
+  }
+
+  /**
+   * Cache a response
+   */
+  async set(key: string, value: unknown, metadata: TokenlayResponseMetadata): Promise<void> {
+    // Round-trip through JSON to drop SDK-specific fields and prototypes
+    const entry: CacheEntry = { value: JSON.parse(JSON.stringify(value)), metadata: { ...metadata } };
+    if (Number.isFinite(this.ttl)) {
+      entry.expiresAt = Date.now() + this.ttl;
+    }
+
+    await this.store.set(key, entry);
+  }
+
+  /**
+   * Remove a cached response
+   */
+  async delete(key: string): Promise<void> {
+    await this.store.delete(key);
+  }
+}
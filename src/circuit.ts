@@ -0,0 +1,233 @@
+import { EventEmitter } from 'node:events';
+import { TokenlayCircuitOpenError, TokenlayError, isConnectionError, isTimeoutError } from './errors.js';
+import { parseTokenlayHeaders } from './utils.js';
+
+/**
+ * State of a circuit
+ *
+ * - `closed`: requests flow normally
+ * - `open`: requests fail fast until the reset timeout has passed
+ * - `half-open`: a single probe request is let through to detect recovery
+ */
+export type CircuitState = 'closed' | 'open' | 'half-open';
+
+/**
+ * Options for creating a CircuitBreaker
+ */
+export interface CircuitBreakerOptions {
+  /**
+   * Consecutive failures that open a circuit (default: 5)
+   */
+  failureThreshold?: number;
+
+  /**
+   * How long a circuit stays open before a probe is let through, in
+   * milliseconds (default: 30000)
+   */
+  resetTimeout?: number;
+}
+
+/**
+ * Payload of the `stateChange` event
+ */
+export interface CircuitStateChangeEvent {
+  key: string;
+  from: CircuitState;
+  to: CircuitState;
+  failures: number;
+}
+
+/**
+ * State of a circuit as reported by `snapshot()`
+ */
+export interface CircuitStatus {
+  key: string;
+  state: CircuitState;
+  failures: number;
+  openedAt?: number;
+}
+
+interface Circuit extends CircuitStatus {
+  probing: boolean;
+}
+
+/**
+ * Whether an error means the upstream is unhealthy: server errors, timeouts
+ * and connection failures. Rule outcomes and client errors are answers from
+ * a healthy upstream.
+ */
+export function isUpstreamFailure(error: unknown): boolean {
+  if (error instanceof TokenlayError) {
+    return false;
+  }
+
+  const status = (error as { status?: unknown } | undefined)?.status;
+  if (typeof status === 'number') {
+    return status >= 500 || status === 408;
+  }
+
+  // Provider SDK connection errors have no status
+  return isConnectionError(error) || isTimeoutError(error);
+}
+
+/**
+ * CircuitBreaker - stops sending requests to an upstream that keeps failing
+ *
+ * Circuits are tracked per key; the clients key them by provider API base and
+ * model. After `failureThreshold` consecutive failures a circuit opens and
+ * requests fail fast with a TokenlayCircuitOpenError. Once `resetTimeout` has
+ * passed, one probe request is let through: its success closes the circuit,
+ * its failure opens it again.
+ *
+ * Emits `stateChange` (CircuitStateChangeEvent) whenever a circuit changes state.
+ */
+export class CircuitBreaker extends EventEmitter {
+  private readonly failureThreshold: number;
+  private readonly resetTimeout: number;
+  private readonly circuits = new Map<string, Circuit>();
+
+  constructor(options: CircuitBreakerOptions = {}) {
+    super();
+    this.failureThreshold = options.failureThreshold ?? 5;
+    this.resetTimeout = options.resetTimeout ?? 30_000;
+  }
+
+  /**
+   * Run a request through the circuit for a key. Errors matched by
+   * `ignoreError` neither count as failures nor close the circuit.
+   */
+  async execute<T>(
+    key: string,
+    request: () => Promise<T>,
+    signal?: AbortSignal,
+    ignoreError?: (error: unknown) => boolean
+  ): Promise<T> {
+    this.acquire(key);
+
+    let result: T;
+    try {
+      result = await request();
+    } catch (error) {
+      if (signal?.aborted || ignoreError?.(error)) {
+        // Cancelled requests and ignored errors say nothing about the upstream
+        this.release(key);
+      } else if (isUpstreamFailure(error)) {
+        this.recordFailure(key);
+      } else {
+        this.recordSuccess(key);
+      }
+      throw error;
+    }
+
+    this.recordSuccess(key);
+    return result;
+  }
+
+  /**
+   * Current state of a circuit
+   */
+  getState(key: string): CircuitState {
+    const circuit = this.circuits.get(key);
+    if (circuit?.state === 'open' && this.remaining(circuit) <= 0) {
+      return 'half-open';
+    }
+
+    return circuit?.state ?? 'closed';
+  }
+
+  /**
+   * State of every circuit that has seen a failure
+   */
+  snapshot(): CircuitStatus[] {
+    return [...this.circuits.values()].map(({ probing: _probing, ...status }) => ({
+      ...status,
+      state: this.getState(status.key),
+    }));
+  }
+
+  /**
+   * Close a circuit, or every circuit when no key is given
+   */
+  reset(key?: string): void {
+    for (const circuit of key ? [this.circuits.get(key)] : [...this.circuits.values()]) {
+      if (circuit) {
+        this.transition(circuit, 'closed');
+        this.circuits.delete(circuit.key);
+      }
+    }
+  }
+
+  /**
+   * Let a request through, or throw when the circuit is open or a probe is
+   * already in flight
+   */
+  private acquire(key: string): void {
+    const circuit = this.circuits.get(key);
+    if (!circuit || circuit.state === 'closed') {
+      return;
+    }
+
+    if (circuit.state === 'open' && this.remaining(circuit) <= 0) {
+      this.transition(circuit, 'half-open');
+    }
+
+    if (circuit.state === 'half-open' && !circuit.probing) {
+      circuit.probing = true;
+      return;
+    }
+
+    const retryAfter = Math.max(this.remaining(circuit), 0);
+    throw new TokenlayCircuitOpenError(
+      `Circuit open for ${key} after ${circuit.failures} consecutive failures`,
+      { metadata: parseTokenlayHeaders({}), circuitKey: key, retryAfter }
+    );
+  }
+
+  private release(key: string): void {
+    const circuit = this.circuits.get(key);
+    if (circuit) {
+      circuit.probing = false;
+    }
+  }
+
+  private recordSuccess(key: string): void {
+    const circuit = this.circuits.get(key);
+    if (circuit) {
+      this.transition(circuit, 'closed');
+      this.circuits.delete(key);
+    }
+  }
+
+  private recordFailure(key: string): void {
+    let circuit = this.circuits.get(key);
+    if (!circuit) {
+      circuit = { key, state: 'closed', failures: 0, probing: false };
+      this.circuits.set(key, circuit);
+    }
+
+    circuit.failures++;
+    circuit.probing = false;
+
+    if (circuit.state === 'half-open' || circuit.failures >= this.failureThreshold) {
+      circuit.openedAt = Date.now();
+      this.transition(circuit, 'open');
+    }
+  }
+
+  private transition(circuit: Circuit, to: CircuitState): void {
+    const from = circuit.state;
+    if (from === to) {
+      return;
+    }
+
+    circuit.state = to;
+    this.emit('stateChange', { key: circuit.key, from, to, failures: circuit.failures });
+  }
+
+  /**
+   * Time until an open circuit lets a probe through, in milliseconds
+   */
+  private remaining(circuit: Circuit): number {
+    return (circuit.openedAt ?? 0) + this.resetTimeout - Date.now();
+  }
+}
@@ -1,17 +1,28 @@
 import OpenAI from 'openai';
+import type { ChatCompletion, ChatCompletionChunk } from 'openai/resources/chat/completions';
+import type { CreateEmbeddingResponse } from 'openai/resources/embeddings';
+import type { Response as ModelResponse, ResponseStreamEvent } from 'openai/resources/responses/responses';
 import type { 
   TokenlayOpenAIOptions, 
   TokenlayChatCompletionCreateParams,
+  TokenlayChatCompletionCreateParamsStreaming,
+  TokenlayChatCompletionCreateParamsNonStreaming,
+  TokenlayEmbeddingCreateParams,
+  TokenlayResponseCreateParams,
+  TokenlayResponseCreateParamsStreaming,
+  TokenlayResponseCreateParamsNonStreaming,
   TokenlayResponseMetadata,
-  RequestMetadata 
+  TokenlayRequestOptions
 } from './types.js';
-import { 
-  validateConfig, 
-  metadataToHeaders, 
-  buildTokenlayUrl,
-  DEFAULT_TOKENLAY_BASE_URL,
-  DEFAULT_PROVIDER_API_BASE
-} from './utils.js';
+import { buildTokenlayUrl, DEFAULT_PROVIDER_API_BASE } from './utils.js';
+import { TokenlayBaseClient } from './base.js';
+import {
+  TokenlayStream,
+  chatCompletionChunkMetadata,
+  isChatCompletionUsageChunk,
+  responseStreamEventMetadata,
+} from './streaming.js';
+import { estimateChatCompletion, type TokenlayCostEstimate } from './estimate.js';
 
 /**
  * TokenlayOpenAI - A drop-in replacement for OpenAI that routes through Tokenlay
@@ -19,26 +30,14 @@ import {
  * Provides intelligent request routing, usage tracking, and cost control
  * while maintaining full compatibility with the OpenAI SDK.
  */
-export class TokenlayOpenAI {
+export class TokenlayOpenAI extends TokenlayBaseClient {
   private openaiClient: OpenAI;
-  private config: Required<Omit<TokenlayOpenAIOptions, 'metadata' | 'extraHeaders'>> & {
-    metadata?: Record<string, string>;
-    extraHeaders?: Record<string, string>;
-  };
+  private directClient?: OpenAI;
+  private readonly streamUsage: boolean;
 
   constructor(options: TokenlayOpenAIOptions) {
-    validateConfig(options);
-
-    this.config = {
-      tokenlayKey: options.tokenlayKey,
-      providerApiKey: options.providerApiKey,
-      providerApiBase: options.providerApiBase || DEFAULT_PROVIDER_API_BASE,
-      tokenlayBaseUrl: options.tokenlayBaseUrl || DEFAULT_TOKENLAY_BASE_URL,
-      timeout: options.timeout || 60000,
-      maxRetries: options.maxRetries || 2,
-      metadata: options.metadata,
-      extraHeaders: options.extraHeaders,
-    };
+    super(options, DEFAULT_PROVIDER_API_BASE);
+    this.streamUsage = options.streamUsage ?? true;
 
     // Create OpenAI client pointing to Tokenlay proxy
     this.openaiClient = new OpenAI({
@@ -46,154 +45,200 @@ export class TokenlayOpenAI {
       baseURL: buildTokenlayUrl(this.config.tokenlayBaseUrl, ''),
       timeout: this.config.timeout,
       maxRetries: this.config.maxRetries,
-      defaultHeaders: this.buildDefaultHeaders(),
+      defaultHeaders: this.defaultHeaders,
+      fetch: this.config.fixtures?.fetch,
     });
+
+    // Talks to the provider without the proxy, used in fail-open mode
+    if (this.config.failureMode === 'open') {
+      this.directClient = new OpenAI({
+        apiKey: this.config.providerApiKey,
+        baseURL: this.config.providerApiBase,
+        timeout: this.config.timeout,
+        maxRetries: this.config.maxRetries,
+        defaultHeaders: this.config.provider?.headers,
+        fetch: this.config.fixtures?.fetch,
+      });
+    }
   }
 
   /**
-   * Build default headers for all requests
+   * Chat completions endpoint - main interface for LLM requests
    */
-  private buildDefaultHeaders(): Record<string, string> {
-    const headers: Record<string, string> = {
-      'x-tokenlay-provider-key': this.config.providerApiKey,
-      'x-tokenlay-provider-base': this.config.providerApiBase,
+  get chat() {
+    return {
+      completions: {
+        create: this.createChatCompletion.bind(this),
+      },
     };
+  }
 
-    // Add global metadata headers
-    if (this.config.metadata) {
-      Object.assign(headers, metadataToHeaders(this.config.metadata));
+  /**
+   * Create a chat completion, returning a TokenlayStream when `stream: true`
+   */
+  private async createChatCompletion(
+    params: TokenlayChatCompletionCreateParamsStreaming,
+    options?: TokenlayRequestOptions
+  ): Promise<TokenlayStream<ChatCompletionChunk>>;
+  private async createChatCompletion(
+    params: TokenlayChatCompletionCreateParamsNonStreaming,
+    options?: TokenlayRequestOptions
+  ): Promise<ChatCompletion>;
+  private async createChatCompletion(
+    params: TokenlayChatCompletionCreateParams,
+    options?: TokenlayRequestOptions
+  ): Promise<ChatCompletion | TokenlayStream<ChatCompletionChunk>>;
+  private async createChatCompletion(
+    params: TokenlayChatCompletionCreateParams,
+    options: TokenlayRequestOptions = {}
+  ): Promise<ChatCompletion | TokenlayStream<ChatCompletionChunk>> {
+    const { metadata, ...openaiParams } = params;
+
+    // Ask for a final usage chunk so streamed responses can report token
+    // counts, and keep it from callers that did not ask for it themselves
+    const callerUsage = openaiParams.stream_options?.include_usage === true;
+    if (this.streamUsage && openaiParams.stream && openaiParams.stream_options === undefined) {
+      openaiParams.stream_options = { include_usage: true };
     }
 
-    // Add extra headers
-    if (this.config.extraHeaders) {
-      Object.assign(headers, this.config.extraHeaders);
+    const { data: response, tokenlay, context } = await this.send(
+      { endpoint: 'chat.completions', params: openaiParams, metadata, cacheable: true },
+      options,
+      (providerParams, requestOptions) =>
+        this.openaiClient.chat.completions.create(providerParams, requestOptions),
+      // Bypassed streams are priced locally, so they always need their usage
+      this.directClient && ((providerParams, requestOptions) =>
+        this.directClient!.chat.completions.create(
+          providerParams.stream
+            ? { ...providerParams, stream_options: { ...providerParams.stream_options, include_usage: true } }
+            : providerParams,
+          requestOptions
+        ))
+    );
+
+    if (openaiParams.stream) {
+      return this.createStream<ChatCompletionChunk>(
+        context,
+        response,
+        tokenlay,
+        chatCompletionChunkMetadata,
+        callerUsage ? undefined : isChatCompletionUsageChunk
+      );
     }
 
-    return headers;
+    // eslint-disable-next-line @typescript-eslint/no-explicit-any
+    (response as any)._tokenlay = tokenlay;
+
+    return response as ChatCompletion;
   }
 
   /**
-   * Build headers for a specific request
+   * Estimate input tokens, maximum output tokens and a USD cost range for a
+   * chat completion request without sending it
    */
-  private buildRequestHeaders(metadata?: RequestMetadata): Record<string, string> {
-    if (!metadata) {
-      return {};
-    }
-
-    return metadataToHeaders(metadata);
+  estimate(params: TokenlayChatCompletionCreateParams): Promise<TokenlayCostEstimate> {
+    return estimateChatCompletion(params, this.config.pricing);
   }
 
   /**
-   * Chat completions endpoint - main interface for LLM requests
+   * Embeddings endpoint
    */
-  get chat() {
+  get embeddings() {
     return {
-      completions: {
-        create: async (params: TokenlayChatCompletionCreateParams) => {
-          const { metadata, ...openaiParams } = params;
-          
-          // Build request-specific headers
-          const requestHeaders = this.buildRequestHeaders(metadata);
-          
-          // Make the request through OpenAI client (which points to Tokenlay)
-          const response = await this.openaiClient.chat.completions.create(
-            // eslint-disable-next-line @typescript-eslint/no-explicit-any
-            openaiParams as any,
-            {
-              headers: requestHeaders,
-            }
-          );
-
-          // Add Tokenlay metadata to the response (if available)
-          // eslint-disable-next-line @typescript-eslint/no-explicit-any
-          const responseWithHeaders = response as any;
-          if (responseWithHeaders._request_id) {
-            // For now, we'll add empty metadata - this would need to be populated
-            // by actual headers from the response in a real implementation
-            responseWithHeaders._tokenlay = {
-              ruleId: undefined,
-              ruleAction: 'allow' as const,  
-              limitExceeded: false,
-              cost: 0,
-              tokensUsed: 0,
-              inputTokens: 0,
-              outputTokens: 0,
-              duration: 0,
-            };
-          }
-
-          return response;
-        },
-      },
+      create: this.createEmbedding.bind(this),
     };
   }
 
   /**
-   * Get the underlying OpenAI client for advanced usage
+   * Create embeddings with Tokenlay metadata attached to the response
    */
-  get openai(): OpenAI {
-    return this.openaiClient;
+  private async createEmbedding(
+    params: TokenlayEmbeddingCreateParams,
+    options: TokenlayRequestOptions = {}
+  ): Promise<CreateEmbeddingResponse> {
+    const { metadata, ...openaiParams } = params;
+
+    const { data: response, tokenlay } = await this.send(
+      { endpoint: 'embeddings', params: openaiParams, metadata, cacheable: true },
+      options,
+      (providerParams, requestOptions) =>
+        this.openaiClient.embeddings.create(providerParams, requestOptions),
+      this.directClient && ((providerParams, requestOptions) =>
+        this.directClient!.embeddings.create(providerParams, requestOptions))
+    );
+
+    // eslint-disable-next-line @typescript-eslint/no-explicit-any
+    (response as any)._tokenlay = tokenlay;
+
+    return response;
   }
 
   /**
-   * Update global metadata for all future requests
+   * Responses API endpoint
    */
-  updateMetadata(metadata: RequestMetadata): void {
-    // Filter out undefined values to ensure type safety
-    const filteredMetadata: Record<string, string> = {};
-    for (const [key, value] of Object.entries(metadata)) {
-      if (value !== undefined) {
-        filteredMetadata[key] = value;
-      }
-    }
-    
-    this.config.metadata = { ...this.config.metadata, ...filteredMetadata };
-    
-    // Note: defaultHeaders is protected in OpenAI v4, so we create a new client
-    // In a real implementation, you might want to recreate the client or use a different approach
+  get responses() {
+    return {
+      create: this.createResponse.bind(this),
+      /**
+       * Shorthand for `create({ ...params, stream: true })`. Unlike the OpenAI
+       * SDK's helper it resolves to a TokenlayStream of raw events, not a
+       * `ResponseStream`, so there is no `.on()` or `finalResponse()`.
+       */
+      stream: (params: Omit<TokenlayResponseCreateParams, 'stream'>, options?: TokenlayRequestOptions) =>
+        this.createResponse({ ...params, stream: true }, options),
+    };
   }
 
   /**
-   * Update provider API key (useful for key rotation)
+   * Create a model response, returning a TokenlayStream of events when `stream: true`
    */
-  updateProviderKey(providerApiKey: string): void {
-    this.config.providerApiKey = providerApiKey;
-    
-    // Note: defaultHeaders is protected in OpenAI v4, so we create a new client
-    // In a real implementation, you might want to recreate the client with the new key
+  private async createResponse(
+    params: TokenlayResponseCreateParamsStreaming,
+    options?: TokenlayRequestOptions
+  ): Promise<TokenlayStream<ResponseStreamEvent>>;
+  private async createResponse(
+    params: TokenlayResponseCreateParamsNonStreaming,
+    options?: TokenlayRequestOptions
+  ): Promise<ModelResponse>;
+  private async createResponse(
+    params: TokenlayResponseCreateParams,
+    options?: TokenlayRequestOptions
+  ): Promise<ModelResponse | TokenlayStream<ResponseStreamEvent>>;
+  private async createResponse(
+    params: TokenlayResponseCreateParams,
+    options: TokenlayRequestOptions = {}
+  ): Promise<ModelResponse | TokenlayStream<ResponseStreamEvent>> {
+    const { metadata, ...openaiParams } = params;
+
+    const { data: response, tokenlay, context } = await this.send(
+      { endpoint: 'responses', params: openaiParams, metadata },
+      options,
+      (providerParams, requestOptions) =>
+        this.openaiClient.responses.create(providerParams, requestOptions),
+      this.directClient && ((providerParams, requestOptions) =>
+        this.directClient!.responses.create(providerParams, requestOptions))
+    );
+
+    if (openaiParams.stream) {
+      return this.createStream<ResponseStreamEvent>(context, response, tokenlay, responseStreamEventMetadata);
+    }
+
+    // eslint-disable-next-line @typescript-eslint/no-explicit-any
+    (response as any)._tokenlay = tokenlay;
+
+    return response as ModelResponse;
   }
 
   /**
-   * Health check - verify connection to Tokenlay proxy
+   * Get the underlying OpenAI client for advanced usage
    */
-  async healthCheck(): Promise<{ status: 'ok' | 'error'; message?: string }> {
-    try {
-      // Make a simple request to verify connectivity
-      const response = await fetch(buildTokenlayUrl(this.config.tokenlayBaseUrl, 'health'), {
-        headers: {
-          'Authorization': `Bearer ${this.config.tokenlayKey}`,
-        },
-      });
-
-      if (response.ok) {
-        return { status: 'ok' };
-      } else {
-        return { 
-          status: 'error', 
-          message: `HTTP ${response.status}: ${response.statusText}` 
-        };
-      }
-    } catch (error) {
-      return { 
-        status: 'error', 
-        message: error instanceof Error ? error.message : 'Unknown error' 
-      };
-    }
+  get openai(): OpenAI {
+    return this.openaiClient;
   }
 }
 
 /**
- * Extract Tokenlay metadata from a chat completion response
+ * Extract Tokenlay metadata from a chat completion response or stream
  */
 // eslint-disable-next-line @typescript-eslint/no-explicit-any
 export function getTokenlayMetadata(response: any): TokenlayResponseMetadata | null {
@@ -0,0 +1,28 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
+import type { RequestMetadata } from './types.js';
+
+const storage = new AsyncLocalStorage<Record<string, string>>();
+
+/**
+ * Run `fn` with metadata that Tokenlay clients attach to every request made
+ * within it, including across async boundaries. Nested calls merge their
+ * metadata over the enclosing context.
+ */
+export function runWithMetadata<T>(metadata: RequestMetadata, fn: () => T): T {
+  const merged = { ...storage.getStore() };
+  for (const [key, value] of Object.entries(metadata)) {
+    if (value !== undefined) {
+      merged[key] = value;
+    }
+  }
+
+  return storage.run(merged, fn);
+}
+
+/**
+ * Metadata of the active context, if any
+ */
+export function getCurrentMetadata(): RequestMetadata | undefined {
+  const metadata = storage.getStore();
+  return metadata && { ...metadata };
+}
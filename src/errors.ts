@@ -0,0 +1,322 @@
+import OpenAI from 'openai';
+import type { TokenlayResponseMetadata } from './types.js';
+import { parseTokenlayHeaders, parseRetryAfter, headersToRecord, type HeadersLike } from './utils.js';
+
+/**
+ * Options shared by all Tokenlay errors
+ */
+export interface TokenlayErrorOptions {
+  /**
+   * Tokenlay metadata parsed from the proxy response headers
+   */
+  metadata: TokenlayResponseMetadata;
+
+  /**
+   * HTTP status returned by the proxy
+   */
+  status?: number;
+
+  /**
+   * Original error thrown by the provider SDK
+   */
+  cause?: unknown;
+}
+
+/**
+ * Base class for errors caused by a Tokenlay rule outcome
+ */
+export class TokenlayError extends Error {
+  /**
+   * Rule that produced this outcome
+   */
+  readonly ruleId?: string;
+
+  /**
+   * Tokenlay metadata parsed from the proxy response headers
+   */
+  readonly metadata: TokenlayResponseMetadata;
+
+  /**
+   * HTTP status returned by the proxy
+   */
+  readonly status?: number;
+
+  /**
+   * Original error thrown by the provider SDK
+   */
+  readonly cause?: unknown;
+
+  constructor(message: string, options: TokenlayErrorOptions) {
+    super(message);
+    this.name = 'TokenlayError';
+    this.ruleId = options.metadata.ruleId;
+    this.metadata = options.metadata;
+    this.status = options.status;
+    this.cause = options.cause;
+  }
+}
+
+/**
+ * The request was blocked by a Tokenlay rule
+ */
+export class TokenlayBlockedError extends TokenlayError {
+  constructor(message: string, options: TokenlayErrorOptions) {
+    super(message, options);
+    this.name = 'TokenlayBlockedError';
+  }
+}
+
+/**
+ * A usage limit (spend cap, request quota, plan limit) was exceeded
+ */
+export class TokenlayLimitExceededError extends TokenlayError {
+  constructor(message: string, options: TokenlayErrorOptions) {
+    super(message, options);
+    this.name = 'TokenlayLimitExceededError';
+  }
+}
+
+/**
+ * The request was queued by a Tokenlay rule instead of being processed
+ */
+export class TokenlayQueuedError extends TokenlayError {
+  /**
+   * Delay requested by the proxy before re-submitting, in milliseconds
+   */
+  readonly retryAfter?: number;
+
+  constructor(message: string, options: TokenlayErrorOptions & { retryAfter?: number }) {
+    super(message, options);
+    this.name = 'TokenlayQueuedError';
+    this.retryAfter = options.retryAfter;
+  }
+}
+
+/**
+ * The Tokenlay key or the provider API key was rejected
+ */
+export class TokenlayAuthError extends TokenlayError {
+  constructor(message: string, options: TokenlayErrorOptions) {
+    super(message, options);
+    this.name = 'TokenlayAuthError';
+  }
+}
+
+/**
+ * A client-side spend budget was exhausted, so the request was never sent
+ */
+export class TokenlayBudgetExceededError extends TokenlayError {
+  /**
+   * Metadata field the budget is keyed by, e.g. `userId`
+   */
+  readonly budgetKey: string;
+
+  /**
+   * Value of the metadata field that exhausted its budget
+   */
+  readonly budgetValue: string;
+
+  /**
+   * Budget limit in USD
+   */
+  readonly limit: number;
+
+  /**
+   * Spend recorded within the window in USD
+   */
+  readonly spent: number;
+
+  /**
+   * Rolling window length in milliseconds
+   */
+  readonly window: number;
+
+  constructor(
+    message: string,
+    options: TokenlayErrorOptions & { budgetKey: string; budgetValue: string; limit: number; spent: number; window: number }
+  ) {
+    super(message, options);
+    this.name = 'TokenlayBudgetExceededError';
+    this.budgetKey = options.budgetKey;
+    this.budgetValue = options.budgetValue;
+    this.limit = options.limit;
+    this.spent = options.spent;
+    this.window = options.window;
+  }
+}
+
+/**
+ * The circuit breaker for the provider and model is open after repeated
+ * failures, so the request was never sent
+ */
+export class TokenlayCircuitOpenError extends TokenlayError {
+  /**
+   * Circuit that is open, as `<providerApiBase> <model>`
+   */
+  readonly circuitKey: string;
+
+  /**
+   * Time until the circuit lets a probe request through, in milliseconds
+   */
+  readonly retryAfter: number;
+
+  constructor(message: string, options: TokenlayErrorOptions & { circuitKey: string; retryAfter: number }) {
+    super(message, options);
+    this.name = 'TokenlayCircuitOpenError';
+    this.circuitKey = options.circuitKey;
+    this.retryAfter = options.retryAfter;
+  }
+}
+
+// eslint-disable-next-line @typescript-eslint/no-explicit-any
+type ErrorClass = abstract new (...args: any[]) => Error;
+
+/**
+ * Error classes a provider SDK throws when a request gets no response: one
+ * for failed connections, and its subclass for timeouts
+ */
+const connectionErrorClasses: { connection: ErrorClass; timeout: ErrorClass }[] = [
+  { connection: OpenAI.APIConnectionError, timeout: OpenAI.APIConnectionTimeoutError },
+];
+
+/**
+ * Recognize the connection errors of a provider SDK that is an optional
+ * dependency, e.g. Anthropic's. Called when its client module loads.
+ */
+export function registerConnectionErrors(connection: ErrorClass, timeout: ErrorClass): void {
+  connectionErrorClasses.push({ connection, timeout });
+}
+
+/**
+ * Whether a provider SDK request failed without reaching the server.
+ * Timeouts are excluded, as the request may have been processed.
+ */
+export function isConnectionError(error: unknown): boolean {
+  return connectionErrorClasses.some(({ connection, timeout }) =>
+    error instanceof connection && !(error instanceof timeout)
+  );
+}
+
+/**
+ * Whether a request timed out, in a provider SDK or through an
+ * `AbortSignal.timeout()` signal
+ */
+export function isTimeoutError(error: unknown): boolean {
+  return connectionErrorClasses.some(({ timeout }) => error instanceof timeout)
+    || (error instanceof Error && error.name === 'TimeoutError');
+}
+
+/**
+ * Shape of the provider SDKs' APIError that we rely on. OpenAI exposes
+ * headers as a plain object, Anthropic as a fetch `Headers` instance.
+ */
+interface APIErrorLike {
+  status?: number;
+  headers?: Record<string, string | null | undefined> | HeadersLike;
+  message: string;
+}
+
+function isAPIErrorLike(error: unknown): error is APIErrorLike {
+  return error instanceof Error && 'status' in error && 'headers' in error;
+}
+
+/**
+ * Response headers of a provider SDK error, with lowercase names
+ */
+export function apiErrorHeaders(error: unknown): Record<string, string> {
+  if (!isAPIErrorLike(error)) {
+    return {};
+  }
+
+  if (error.headers && typeof error.headers.forEach === 'function') {
+    return headersToRecord(error.headers as HeadersLike);
+  }
+
+  const headers: Record<string, string> = {};
+  for (const [key, value] of Object.entries(error.headers ?? {})) {
+    if (typeof value === 'string') {
+      headers[key.toLowerCase()] = value;
+    }
+  }
+
+  return headers;
+}
+
+/**
+ * Whether a failed request is worth retrying, following the provider SDKs:
+ * connection failures, timeouts and 408/409/429/5xx responses, unless the
+ * response says otherwise in `x-should-retry`. Tokenlay rule outcomes are
+ * final, so they are never retried.
+ */
+export function isRetryableError(error: unknown): boolean {
+  if (error instanceof TokenlayError) {
+    return false;
+  }
+
+  if (isConnectionError(error) || isTimeoutError(error)) {
+    return true;
+  }
+
+  if (!isAPIErrorLike(error) || error.status === undefined) {
+    return false;
+  }
+
+  const shouldRetry = apiErrorHeaders(error)['x-should-retry'];
+  if (shouldRetry === 'true' || shouldRetry === 'false') {
+    return shouldRetry === 'true';
+  }
+
+  return error.status === 408 || error.status === 409 || error.status === 429 || error.status >= 500;
+}
+
+/**
+ * Delay before retrying a failed request, in milliseconds. Honors a
+ * Retry-After of up to a minute, and otherwise backs off exponentially
+ * from 0.5s to 8s with jitter, like the provider SDKs.
+ */
+export function retryDelay(error: unknown, retriesDone: number): number {
+  const retryAfter = parseRetryAfter(apiErrorHeaders(error));
+  if (retryAfter !== undefined && retryAfter >= 0 && retryAfter < 60000) {
+    return retryAfter;
+  }
+
+  const delay = Math.min(500 * 2 ** retriesDone, 8000);
+  return delay * (1 - Math.random() * 0.25);
+}
+
+/**
+ * Translate a provider SDK error into a typed Tokenlay error based on the
+ * rule outcome reported in the proxy response headers. Errors that carry no
+ * Tokenlay outcome are returned unchanged.
+ */
+export function toTokenlayError(error: unknown): unknown {
+  if (!isAPIErrorLike(error) || error instanceof TokenlayError) {
+    return error;
+  }
+
+  const headers = apiErrorHeaders(error);
+  const metadata = parseTokenlayHeaders(headers);
+  const options = { metadata, status: error.status, cause: error };
+  const rule = metadata.ruleId ? ` by rule ${metadata.ruleId}` : '';
+
+  if (headers['x-tokenlay-rule-action'] === 'queue') {
+    return new TokenlayQueuedError(`Request queued by Tokenlay${rule}: ${error.message}`, {
+      ...options,
+      retryAfter: parseRetryAfter(headers),
+    });
+  }
+
+  if (metadata.limitExceeded) {
+    return new TokenlayLimitExceededError(`Tokenlay usage limit exceeded${rule}: ${error.message}`, options);
+  }
+
+  if (headers['x-tokenlay-rule-action'] === 'block') {
+    return new TokenlayBlockedError(`Request blocked by Tokenlay${rule}: ${error.message}`, options);
+  }
+
+  if (error.status === 401) {
+    return new TokenlayAuthError(`Authentication failed: ${error.message}`, options);
+  }
+
+  return error;
+}
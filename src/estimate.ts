@@ -0,0 +1,109 @@
+import type { Tiktoken } from 'js-tiktoken';
+import type { TokenlayChatCompletionCreateParams } from './types.js';
+import { getModelPricing, type ModelPricing } from './pricing.js';
+
+/**
+ * Pre-flight estimate for a chat completion request
+ */
+export interface TokenlayCostEstimate {
+  /**
+   * Model the estimate was priced for
+   */
+  model: string;
+
+  /**
+   * Estimated prompt tokens
+   */
+  inputTokens: number;
+
+  /**
+   * Most output tokens the request can produce across all choices
+   */
+  maxOutputTokens: number;
+
+  /**
+   * Estimated cost range in USD: `min` for the prompt alone, `max` when the
+   * response uses every allowed output token
+   */
+  cost: { min: number; max: number };
+}
+
+// Per-message framing overhead for OpenAI chat models, see
+// https://github.com/openai/openai-cookbook/blob/main/examples/How_to_count_tokens_with_tiktoken.ipynb
+const TOKENS_PER_MESSAGE = 3;
+const TOKENS_PER_NAME = 1;
+const TOKENS_PER_REPLY = 3;
+
+// Rank files are large, so the tokenizer is only loaded on first use
+const tokenizers = new Map<ModelPricing['encoding'], Promise<Tiktoken>>();
+
+function getTokenizer(encoding: ModelPricing['encoding']): Promise<Tiktoken> {
+  let tokenizer = tokenizers.get(encoding);
+
+  if (!tokenizer) {
+    tokenizer = import('js-tiktoken').then((tiktoken) => tiktoken.getEncoding(encoding));
+    tokenizers.set(encoding, tokenizer);
+  }
+
+  return tokenizer;
+}
+
+/**
+ * Text of a message content field. Non-text parts such as images are not counted.
+ */
+// eslint-disable-next-line @typescript-eslint/no-explicit-any
+function contentText(content: any): string {
+  if (typeof content === 'string') {
+    return content;
+  }
+
+  if (Array.isArray(content)) {
+    return content
+      .map((part) => (typeof part?.text === 'string' ? part.text : ''))
+      .join('');
+  }
+
+  return '';
+}
+
+/**
+ * Estimate tokens and cost for a chat completion request before sending it
+ */
+export async function estimateChatCompletion(
+  params: TokenlayChatCompletionCreateParams,
+  pricing: Record<string, ModelPricing>
+): Promise<TokenlayCostEstimate> {
+  const modelPricing = getModelPricing(params.model, pricing);
+  const tokenizer = await getTokenizer(modelPricing.encoding);
+  const count = (text: string) => tokenizer.encode(text, [], []).length;
+
+  let inputTokens = TOKENS_PER_REPLY;
+  for (const message of params.messages ?? []) {
+    inputTokens += TOKENS_PER_MESSAGE + count(message.role ?? '') + count(contentText(message.content));
+    if (message.name) {
+      inputTokens += TOKENS_PER_NAME + count(message.name);
+    }
+    if (message.tool_calls) {
+      inputTokens += count(JSON.stringify(message.tool_calls));
+    }
+  }
+
+  // Tool definitions are rendered into the prompt in an undocumented format;
+  // their JSON is a close approximation
+  if (params.tools) {
+    inputTokens += count(JSON.stringify(params.tools));
+  }
+
+  const outputLimit = params.max_completion_tokens ?? params.max_tokens ?? modelPricing.maxOutputTokens;
+  const maxOutputTokens = outputLimit * (params.n ?? 1);
+
+  const inputCost = (inputTokens * modelPricing.input) / 1_000_000;
+  const outputCost = (maxOutputTokens * modelPricing.output) / 1_000_000;
+
+  return {
+    model: params.model,
+    inputTokens,
+    maxOutputTokens,
+    cost: { min: inputCost, max: inputCost + outputCost },
+  };
+}
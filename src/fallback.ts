@@ -0,0 +1,106 @@
+import type { TokenlayProviderConfig } from './types.js';
+import { TokenlayBlockedError, TokenlayCircuitOpenError, TokenlayError, isTimeoutError } from './errors.js';
+import { getProviderPreset, type ProviderPreset } from './providers.js';
+import { validateConfig } from './utils.js';
+
+/**
+ * A provider in the fallback chain
+ */
+export interface ProviderRoute {
+  /**
+   * Reported as `provider` in the response metadata
+   */
+  name: string;
+
+  /**
+   * Model names to use with this provider, by requested model name
+   */
+  models?: Record<string, string>;
+
+  /**
+   * Connection headers replacing the client defaults. Undefined for the
+   * primary provider, which uses the client defaults.
+   */
+  headers?: Record<string, string>;
+}
+
+/**
+ * Headers telling the proxy which provider to call and how
+ */
+export function providerConnectionHeaders(
+  providerApiKey: string,
+  providerApiBase: string,
+  preset?: ProviderPreset
+): Record<string, string> {
+  const headers: Record<string, string> = {
+    'x-tokenlay-provider-base': providerApiBase,
+  };
+
+  // Entra ID tokens are attached per request instead
+  if (providerApiKey) {
+    headers['x-tokenlay-provider-key'] = providerApiKey;
+  }
+
+  // Add provider preset headers
+  if (preset) {
+    headers['x-tokenlay-provider'] = preset.name;
+    Object.assign(headers, preset.headers);
+  }
+
+  return headers;
+}
+
+/**
+ * Validate the fallback providers and resolve their connection headers
+ */
+export function resolveFallbackRoutes(
+  tokenlayKey: string,
+  fallbacks: TokenlayProviderConfig[],
+  defaultProviderApiBase: string
+): ProviderRoute[] {
+  return fallbacks.map((fallback) => {
+    validateConfig({ tokenlayKey, ...fallback });
+
+    const preset = fallback.provider ? getProviderPreset(fallback.provider) : undefined;
+    const providerApiBase = fallback.providerApiBase || preset?.apiBase || defaultProviderApiBase;
+
+    return {
+      name: fallback.name ?? preset?.name ?? providerApiBase,
+      models: fallback.models,
+      headers: providerConnectionHeaders(fallback.providerApiKey, providerApiBase, preset),
+    };
+  });
+}
+
+/**
+ * Params with the model renamed for a provider
+ */
+// eslint-disable-next-line @typescript-eslint/no-explicit-any
+export function routeParams(params: Record<string, any>, route: ProviderRoute): Record<string, any> {
+  const model = route.models?.[params.model];
+  return model ? { ...params, model } : params;
+}
+
+/**
+ * Whether a failed request should be retried with the next provider: server
+ * errors, timeouts, provider rate limits, open circuits and Tokenlay blocks.
+ * Tokenlay usage limits, queueing, budgets and auth failures apply to every
+ * provider.
+ */
+export function shouldFallback(error: unknown): boolean {
+  if (error instanceof TokenlayBlockedError || error instanceof TokenlayCircuitOpenError) {
+    return true;
+  }
+
+  if (error instanceof TokenlayError) {
+    return false;
+  }
+
+  const status = (error as { status?: unknown } | undefined)?.status;
+  if (typeof status === 'number') {
+    return status >= 500 || status === 408 || status === 429;
+  }
+
+  // Provider SDK timeouts have no status
+  return isTimeoutError(error);
+}
@@ -0,0 +1,55 @@
+/**
+ * @tokenlay/sdk/file-cache - a response cache store on the file system
+ *
+ * Kept out of the main entry so that only applications that use it load
+ * `node:fs`. The main entry still needs Node built-ins such as `node:crypto`
+ * and `node:async_hooks`.
+ *
+ * @example
+ * ```typescript
+ * import { ResponseCache } from '@tokenlay/sdk';
+ * import { FileCacheStore } from '@tokenlay/sdk/file-cache';
+ *
+ * const cache = new ResponseCache({ store: new FileCacheStore({ directory: '.cache/llm' }) });
+ * ```
+ */
+
+import { mkdir, readFile, rm, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import type { CacheEntry, CacheStore } from './cache.js';
+
+/**
+ * CacheStore that keeps one JSON file per entry in a directory, so that
+ * cached responses survive restarts, e.g. between test runs
+ */
+export class FileCacheStore implements CacheStore {
+  private readonly directory: string;
+
+  constructor(options: { directory: string }) {
+    this.directory = options.directory;
+  }
+
+  async get(key: string): Promise<CacheEntry | undefined> {
+    try {
+      return JSON.parse(await readFile(this.path(key), 'utf8')) as CacheEntry;
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code === 'ENOENT') {
+        return undefined;
+      }
+      throw error;
+    }
+  }
+
+  async set(key: string, entry: CacheEntry): Promise<void> {
+    await mkdir(this.directory, { recursive: true });
+    await writeFile(this.path(key), JSON.stringify(entry));
+  }
+
+  async delete(key: string): Promise<void> {
+    await rm(this.path(key), { force: true });
+  }
+
+  private path(key: string): string {
+    return join(this.directory, `${key}.json`);
+  }
+}
@@ -0,0 +1,301 @@
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { dirname } from 'node:path';
+import { stableStringify } from './utils.js';
+
+/**
+ * What a FixtureRecorder does with requests
+ *
+ * - `record`: send every request and save it with its response, replacing
+ *   the fixture file
+ * - `replay`: answer from the fixture file only, never touching the network
+ * - `auto`: replay matching fixtures and record the rest
+ */
+export type FixtureMode = 'record' | 'replay' | 'auto';
+
+/**
+ * A fetch implementation as accepted by the provider SDKs
+ */
+export type FixtureFetch = (url: string | URL | Request, init?: RequestInit) => Promise<Response>;
+
+/**
+ * Options for creating a FixtureRecorder
+ */
+export interface FixtureRecorderOptions {
+  /**
+   * JSON fixture file to read and write
+   */
+  path: string;
+
+  /**
+   * Record or replay (default: `auto`)
+   */
+  mode?: FixtureMode;
+
+  /**
+   * Request body fields to ignore when matching, as dot-separated paths,
+   * e.g. `['user', 'messages.0.content']`. Requests match exactly by default.
+   */
+  ignoreFields?: string[];
+
+  /**
+   * Headers to redact in addition to the Tokenlay key, provider keys and
+   * API keys
+   */
+  redactHeaders?: string[];
+
+  /**
+   * Fetch used for recording (default: the global fetch)
+   */
+  fetch?: FixtureFetch;
+}
+
+/**
+ * A recorded request/response pair
+ */
+export interface FixtureInteraction {
+  request: {
+    method: string;
+    url: string;
+    headers: Record<string, string>;
+    body?: string;
+  };
+  response: {
+    status: number;
+    headers: Record<string, string>;
+
+    /**
+     * Body of a regular response
+     */
+    body?: string;
+
+    /**
+     * Server-sent events of a streamed response, one per entry
+     */
+    chunks?: string[];
+  };
+}
+
+/**
+ * Headers that carry credentials and never end up in a fixture
+ */
+const REDACTED_HEADERS = ['authorization', 'x-tokenlay-provider-key', 'api-key', 'x-api-key'];
+
+/**
+ * Placeholder stored instead of a redacted header value
+ */
+export const REDACTED = '[REDACTED]';
+
+/**
+ * Remove a dot-separated path from a parsed JSON value
+ */
+function deletePath(value: unknown, path: string[]): void {
+  if (!value || typeof value !== 'object') {
+    return;
+  }
+
+  const [head, ...rest] = path;
+  if (rest.length === 0) {
+    delete (value as Record<string, unknown>)[head];
+  } else {
+    deletePath((value as Record<string, unknown>)[head], rest);
+  }
+}
+
+/**
+ * FixtureRecorder - records Tokenlay proxy traffic to a JSON fixture file and
+ * replays it offline, so integration tests can run without keys
+ *
+ * Pass it as the client's `fixtures` option. Requests match a recorded
+ * interaction by method, URL and JSON body; each interaction is replayed once
+ * before matching interactions are reused. Credentials are redacted from the
+ * recorded headers.
+ */
+export class FixtureRecorder {
+  private readonly path: string;
+  private readonly mode: FixtureMode;
+  private readonly ignoreFields: string[][];
+  private readonly redactHeaders: Set<string>;
+  private readonly baseFetch?: FixtureFetch;
+  private interactions?: Promise<FixtureInteraction[]>;
+  private readonly replayed = new Set<FixtureInteraction>();
+  private writing: Promise<void> = Promise.resolve();
+
+  constructor(options: FixtureRecorderOptions) {
+    this.path = options.path;
+    this.mode = options.mode ?? 'auto';
+    this.ignoreFields = (options.ignoreFields ?? []).map((field) => field.split('.'));
+    this.redactHeaders = new Set([...REDACTED_HEADERS, ...(options.redactHeaders ?? []).map((name) => name.toLowerCase())]);
+    this.baseFetch = options.fetch;
+  }
+
+  /**
+   * Fetch implementation that records or replays requests
+   */
+  readonly fetch: FixtureFetch = async (url, init) => {
+    const request = new Request(url, init);
+    const body = request.body ? await request.text() : undefined;
+    const interactions = await this.load();
+
+    if (this.mode !== 'record') {
+      const match = this.findMatch(interactions, request.method, request.url, body);
+      if (match) {
+        this.replayed.add(match);
+        return this.replay(match);
+      }
+
+      if (this.mode === 'replay') {
+        // A 404 surfaces as an API error with this message instead of being retried
+        return new Response(
+          JSON.stringify({ error: { message: `No fixture matches ${request.method} ${request.url} in ${this.path}`, type: 'fixture_not_found' } }),
+          { status: 404, headers: { 'content-type': 'application/json' } }
+        );
+      }
+    }
+
+    return this.record(request, body, interactions);
+  };
+
+  /**
+   * Recorded interactions
+   */
+  async getInteractions(): Promise<FixtureInteraction[]> {
+    return [...(await this.load())];
+  }
+
+  /**
+   * Interactions of the fixture file, read once. Recording starts from
+   * scratch so that re-recording replaces stale interactions.
+   */
+  private load(): Promise<FixtureInteraction[]> {
+    this.interactions ??= this.mode === 'record' ? Promise.resolve([]) : this.read();
+    return this.interactions;
+  }
+
+  private async read(): Promise<FixtureInteraction[]> {
+    try {
+      return (JSON.parse(await readFile(this.path, 'utf8')) as { interactions: FixtureInteraction[] }).interactions;
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code !== 'ENOENT') {
+        throw error;
+      }
+      return [];
+    }
+  }
+
+  /**
+   * Write the fixture file after any write in progress, so that concurrent
+   * recordings cannot interleave
+   */
+  private save(interactions: FixtureInteraction[]): Promise<void> {
+    const write = this.writing.then(async () => {
+      await mkdir(dirname(this.path), { recursive: true });
+      await writeFile(this.path, `${JSON.stringify({ interactions }, null, 2)}\n`);
+    });
+
+    this.writing = write.catch(() => {});
+    return write;
+  }
+
+  private findMatch(
+    interactions: FixtureInteraction[],
+    method: string,
+    url: string,
+    body?: string
+  ): FixtureInteraction | undefined {
+    const key = this.matchKey(body);
+    const matches = interactions.filter((interaction) =>
+      interaction.request.method === method
+      && interaction.request.url === url
+      && this.matchKey(interaction.request.body) === key
+    );
+
+    return matches.find((interaction) => !this.replayed.has(interaction)) ?? matches[matches.length - 1];
+  }
+
+  /**
+   * Normalized body for matching, without the ignored fields
+   */
+  private matchKey(body?: string): string | undefined {
+    if (body === undefined) {
+      return undefined;
+    }
+
+    let parsed: unknown;
+    try {
+      parsed = JSON.parse(body);
+    } catch {
+      return body;
+    }
+
+    for (const path of this.ignoreFields) {
+      deletePath(parsed, path);
+    }
+
+    return stableStringify(parsed);
+  }
+
+  private replay(interaction: FixtureInteraction): Response {
+    const { status, headers, body, chunks } = interaction.response;
+    if (!chunks) {
+      return new Response(body, { status, headers });
+    }
+
+    const encoder = new TextEncoder();
+    const stream = new ReadableStream<Uint8Array>({
+      start(controller) {
+        for (const chunk of chunks) {
+          controller.enqueue(encoder.encode(chunk));
+        }
+        controller.close();
+      },
+    });
+
+    return new Response(stream, { status, headers });
+  }
+
+  private async record(request: Request, body: string | undefined, interactions: FixtureInteraction[]): Promise<Response> {
+    const fetchImpl = this.baseFetch ?? fetch;
+    const response = await fetchImpl(request.url, {
+      method: request.method,
+      headers: request.headers,
+      body,
+      signal: request.signal,
+    });
+
+    const text = await response.text();
+    const headers = this.recordHeaders(response.headers);
+    const interaction: FixtureInteraction = {
+      request: { method: request.method, url: request.url, headers: this.recordHeaders(request.headers), body },
+      response: { status: response.status, headers },
+    };
+
+    if (headers['content-type']?.includes('text/event-stream')) {
+      interaction.response.chunks = text.split(/(?<=\n\n)/);
+    } else {
+      interaction.response.body = text;
+    }
+
+    interactions.push(interaction);
+    this.replayed.add(interaction);
+    await this.save(interactions);
+
+    return new Response(text, { status: response.status, headers: response.headers });
+  }
+
+  /**
+   * Headers as a plain object with credentials redacted. Transfer headers
+   * are dropped because the recorded body is stored decoded.
+   */
+  private recordHeaders(headers: Headers): Record<string, string> {
+    const record: Record<string, string> = {};
+
+    headers.forEach((value, key) => {
+      if (key === 'content-encoding' || key === 'content-length' || key === 'transfer-encoding') {
+        return;
+      }
+      record[key] = this.redactHeaders.has(key) ? REDACTED : value;
+    });
+
+    return record;
+  }
+}
@@ -0,0 +1,135 @@
+import type { RequestMetadata, TokenlayResponseMetadata } from './types.js';
+import type { TokenlayLimitExceededError } from './errors.js';
+
+/**
+ * A request about to be sent. Hooks may mutate `params` and `headers`.
+ */
+export interface TokenlayRequestContext {
+  /**
+   * Endpoint being called, e.g. `chat.completions`
+   */
+  endpoint: string;
+
+  /**
+   * Provider SDK params, without the Tokenlay metadata
+   */
+  // eslint-disable-next-line @typescript-eslint/no-explicit-any
+  params: Record<string, any>;
+
+  /**
+   * Headers sent to the proxy: the client defaults merged with the
+   * request headers. Deleting a default header removes it from the request.
+   */
+  headers: Record<string, string>;
+
+  /**
+   * Metadata merged from every layer (global, context, scoped, request)
+   */
+  metadata: RequestMetadata;
+
+  /**
+   * When the request started, in ms since epoch
+   */
+  startedAt: number;
+}
+
+/**
+ * A completed request. For streams, hooks run once the stream has been
+ * consumed, with `response` set to the TokenlayStream.
+ */
+export interface TokenlayResponseContext extends TokenlayRequestContext {
+  response: unknown;
+  tokenlay: TokenlayResponseMetadata;
+
+  /**
+   * Time from the start of the request until the response, in ms
+   */
+  duration: number;
+}
+
+/**
+ * A failed request
+ */
+export interface TokenlayErrorContext extends TokenlayRequestContext {
+  error: unknown;
+
+  /**
+   * Time from the start of the request until the failure, in ms
+   */
+  duration: number;
+}
+
+/**
+ * A request over a Tokenlay usage limit: either rejected with `error`, or let
+ * through with `response`. `tokenlay` carries the rule in both cases.
+ */
+export type TokenlayLimitExceededContext =
+  | (TokenlayErrorContext & { error: TokenlayLimitExceededError; tokenlay: TokenlayResponseMetadata; response?: undefined })
+  | (TokenlayResponseContext & { error?: undefined });
+
+/**
+ * Lifecycle hooks. Hooks may be async and run in the order they were added;
+ * an error thrown by a hook fails the request. Every hook of a request gets
+ * the same context object, so per-request state can be kept in a WeakMap.
+ */
+export interface TokenlayHooks {
+  /**
+   * Before the request is sent, after metadata has been merged
+   */
+  onRequest?: (context: TokenlayRequestContext) => void | Promise<void>;
+
+  /**
+   * After a successful response
+   */
+  onResponse?: (context: TokenlayResponseContext) => void | Promise<void>;
+
+  /**
+   * After any failure, including rule outcomes and errors thrown by hooks
+   */
+  onError?: (context: TokenlayErrorContext) => void | Promise<void>;
+
+  /**
+   * After a successful response that a rule let through with a warning
+   */
+  onRuleWarning?: (context: TokenlayResponseContext) => void | Promise<void>;
+
+  /**
+   * After a request exceeded a usage limit: before `onError` when it was
+   * rejected, or after `onResponse` when the limit let it through
+   */
+  onLimitExceeded?: (context: TokenlayLimitExceededContext) => void | Promise<void>;
+}
+
+/**
+ * Name of a lifecycle hook
+ */
+export type TokenlayHookName = keyof TokenlayHooks;
+
+/**
+ * Hooks registered on a client, by name
+ */
+export type TokenlayHookRegistry = {
+  [Name in TokenlayHookName]: NonNullable<TokenlayHooks[Name]>[];
+};
+
+/**
+ * Build a registry from the hooks passed to the client constructor
+ */
+export function createHookRegistry(hooks: TokenlayHooks = {}): TokenlayHookRegistry {
+  const registry: TokenlayHookRegistry = {
+    onRequest: [],
+    onResponse: [],
+    onError: [],
+    onRuleWarning: [],
+    onLimitExceeded: [],
+  };
+
+  for (const name of Object.keys(registry) as TokenlayHookName[]) {
+    const hook = hooks[name];
+    if (hook) {
+      (registry[name] as unknown[]).push(hook);
+    }
+  }
+
+  return registry;
+}
@@ -22,12 +22,81 @@
  */
 
 export { TokenlayOpenAI, getTokenlayMetadata } from './client.js';
+export { TokenlayStream } from './streaming.js';
+export {
+  TokenlayError,
+  TokenlayBlockedError,
+  TokenlayLimitExceededError,
+  TokenlayQueuedError,
+  TokenlayAuthError,
+  TokenlayBudgetExceededError,
+  TokenlayCircuitOpenError,
+} from './errors.js';
+export { BudgetManager, InMemoryBudgetStore } from './budget.js';
+export { ProviderKeyPool, fingerprintKey } from './keys.js';
+export { CircuitBreaker, isUpstreamFailure } from './circuit.js';
+export { ResponseCache, MemoryCacheStore } from './cache.js';
+export { isProxyConnectionError } from './bypass.js';
+export { DEFAULT_PRICING, getModelPricing } from './pricing.js';
+export { runWithMetadata, getCurrentMetadata } from './context.js';
+export { UsageTracker } from './usage.js';
+export {
+  tokenlayExpress,
+  tokenlayExpressErrorHandler,
+  tokenlayFastify,
+  tokenlayFastifyErrorHandler,
+  withTokenlay,
+  tokenlayErrorResponse,
+} from './middleware.js';
+export { PROVIDER_PRESETS, getProviderPreset } from './providers.js';
 export type {
+  TokenlayClientOptions,
   TokenlayOpenAIOptions,
+  TokenlayAnthropicOptions,
+  TokenlayRequestOptions,
+  TokenlayScopedOptions,
+  QueueOptions,
+  AzureOptions,
+  TokenlayProviderConfig,
   RequestMetadata,
   TokenlayResponseMetadata,
   TokenlayChatCompletionCreateParams,
+  TokenlayChatCompletionCreateParamsStreaming,
+  TokenlayChatCompletionCreateParamsNonStreaming,
+  TokenlayEmbeddingCreateParams,
+  TokenlayResponseCreateParams,
+  TokenlayResponseCreateParamsStreaming,
+  TokenlayResponseCreateParamsNonStreaming,
+  TokenlayMessageCreateParams,
+  TokenlayMessageCreateParamsStreaming,
+  TokenlayMessageCreateParamsNonStreaming,
 } from './types.js';
+export type { TokenlayErrorOptions } from './errors.js';
+export type { ProviderName, ProviderPreset } from './providers.js';
+export type { BudgetLimit, BudgetStore, BudgetManagerOptions } from './budget.js';
+export type {
+  KeySelectionStrategy,
+  KeyCooldownReason,
+  ProviderKeyPoolOptions,
+  ProviderKeySelection,
+  ProviderKeyStatus,
+  ProviderKeyCooldownEvent,
+} from './keys.js';
+export type { CircuitState, CircuitBreakerOptions, CircuitStateChangeEvent, CircuitStatus } from './circuit.js';
+export type { CacheEntry, CacheStore, ResponseCacheOptions } from './cache.js';
+export type { BypassedUsage } from './bypass.js';
+export type { ModelPricing } from './pricing.js';
+export type { TokenlayCostEstimate } from './estimate.js';
+export type { UsageTrackerOptions, UsageTotals, UsageGroup, UsageSnapshot } from './usage.js';
+export type { MetadataExtractor, TokenlayMiddlewareOptions, TokenlayErrorResponse } from './middleware.js';
+export type {
+  TokenlayHooks,
+  TokenlayHookName,
+  TokenlayRequestContext,
+  TokenlayResponseContext,
+  TokenlayErrorContext,
+  TokenlayLimitExceededContext,
+} from './hooks.js';
 
 // Version
 export const VERSION = '0.1.0';
\ No newline at end of file
@@ -0,0 +1,288 @@
+import { createHash } from 'node:crypto';
+import { EventEmitter } from 'node:events';
+import { TokenlayAuthError, TokenlayError, apiErrorHeaders } from './errors.js';
+import { parseTokenlayHeaders } from './utils.js';
+
+/**
+ * How a ProviderKeyPool picks the key for the next request
+ *
+ * - `round-robin`: cycle through the keys in order
+ * - `least-recently-limited`: prefer the key whose last rate limit is
+ *   furthest in the past, keys that were never limited first
+ */
+export type KeySelectionStrategy = 'round-robin' | 'least-recently-limited';
+
+/**
+ * Why a key was put on cooldown
+ */
+export type KeyCooldownReason = 'rate_limit' | 'auth';
+
+/**
+ * Options for creating a ProviderKeyPool
+ */
+export interface ProviderKeyPoolOptions {
+  /**
+   * Provider API keys to spread requests across
+   */
+  keys: string[];
+
+  /**
+   * Key selection strategy (default: `round-robin`)
+   */
+  strategy?: KeySelectionStrategy;
+
+  /**
+   * How long a rate limited key is skipped, in milliseconds (default: 60000)
+   */
+  cooldown?: number;
+
+  /**
+   * How long a rejected key is skipped, in milliseconds (default: 600000)
+   */
+  authCooldown?: number;
+}
+
+/**
+ * A key picked for a request
+ */
+export interface ProviderKeySelection {
+  key: string;
+  fingerprint: string;
+}
+
+/**
+ * Usage and health of a pooled key, identified by its fingerprint
+ */
+export interface ProviderKeyStatus {
+  fingerprint: string;
+  requests: number;
+  rateLimits: number;
+  authFailures: number;
+  lastRateLimitedAt?: number;
+  coolingDownUntil?: number;
+}
+
+/**
+ * Payload of the `cooldown` event
+ */
+export interface ProviderKeyCooldownEvent {
+  fingerprint: string;
+  reason: KeyCooldownReason;
+  until: number;
+}
+
+interface PooledKey extends ProviderKeyStatus {
+  key: string;
+  lastUsedAt: number;
+}
+
+/**
+ * Stable identifier for a key that is safe to log: the first 16 hex digits
+ * of its SHA-256 hash
+ */
+export function fingerprintKey(key: string): string {
+  return `sha256:${createHash('sha256').update(key).digest('hex').slice(0, 16)}`;
+}
+
+/**
+ * ProviderKeyPool - spreads requests across several provider API keys and
+ * skips keys that were rate limited or rejected until their cooldown ends
+ *
+ * Events, all identifying keys by fingerprint:
+ * - `select` (`{ fingerprint }`): a key was picked for a request
+ * - `cooldown` (ProviderKeyCooldownEvent): a key was put on cooldown
+ * - `exhausted` (ProviderKeyStatus[]): every key is cooling down, so the one
+ *   available soonest was picked anyway
+ */
+export class ProviderKeyPool extends EventEmitter {
+  private readonly strategy: KeySelectionStrategy;
+  private readonly cooldown: number;
+  private readonly authCooldown: number;
+  private pooledKeys: PooledKey[] = [];
+  private cursor = 0;
+
+  constructor(options: ProviderKeyPoolOptions) {
+    super();
+
+    if (!options.keys.length) {
+      throw new Error('ProviderKeyPool needs at least one key.');
+    }
+
+    this.strategy = options.strategy ?? 'round-robin';
+    this.cooldown = options.cooldown ?? 60_000;
+    this.authCooldown = options.authCooldown ?? 600_000;
+
+    for (const key of options.keys) {
+      this.add(key);
+    }
+  }
+
+  /**
+   * Pooled keys in selection order
+   */
+  get keys(): string[] {
+    return this.pooledKeys.map((pooled) => pooled.key);
+  }
+
+  /**
+   * Add a key to the pool. Adding a pooled key again has no effect.
+   */
+  add(key: string): void {
+    if (!key) {
+      throw new Error('Pooled provider keys cannot be empty.');
+    }
+
+    if (!this.find(key)) {
+      this.pooledKeys.push({
+        key,
+        fingerprint: fingerprintKey(key),
+        requests: 0,
+        rateLimits: 0,
+        authFailures: 0,
+        lastUsedAt: 0,
+      });
+    }
+  }
+
+  /**
+   * Remove a key from the pool, e.g. after revoking it
+   */
+  remove(key: string): void {
+    if (this.pooledKeys.length === 1 && this.find(key)) {
+      throw new Error('Cannot remove the last key of a ProviderKeyPool.');
+    }
+
+    this.pooledKeys = this.pooledKeys.filter((pooled) => pooled.key !== key);
+  }
+
+  /**
+   * Pick the key for the next request
+   */
+  select(): ProviderKeySelection {
+    const now = Date.now();
+    const available = this.pooledKeys.filter((pooled) => !pooled.coolingDownUntil || pooled.coolingDownUntil <= now);
+
+    let pooled: PooledKey;
+    if (available.length === 0) {
+      pooled = this.pooledKeys.reduce((soonest, candidate) =>
+        candidate.coolingDownUntil! < soonest.coolingDownUntil! ? candidate : soonest
+      );
+      this.emit('exhausted', this.snapshot());
+    } else if (this.strategy === 'least-recently-limited') {
+      pooled = available.reduce((best, candidate) => {
+        const limited = (candidate.lastRateLimitedAt ?? 0) - (best.lastRateLimitedAt ?? 0);
+        // Spread load across keys that were limited equally long ago
+        return limited < 0 || (limited === 0 && candidate.lastUsedAt < best.lastUsedAt) ? candidate : best;
+      });
+    } else {
+      pooled = this.nextAvailable(now);
+    }
+
+    pooled.requests++;
+    pooled.lastUsedAt = now;
+    this.emit('select', { fingerprint: pooled.fingerprint });
+
+    return { key: pooled.key, fingerprint: pooled.fingerprint };
+  }
+
+  /**
+   * Whether any key is not cooling down
+   */
+  hasAvailableKey(): boolean {
+    const now = Date.now();
+    return this.pooledKeys.some((pooled) => !pooled.coolingDownUntil || pooled.coolingDownUntil <= now);
+  }
+
+  /**
+   * Put a key on cooldown when a request made with it failed with a provider
+   * rate limit (429) or an authentication error the proxy attributes to the
+   * provider (`x-tokenlay-error-source: provider`). Tokenlay rule outcomes
+   * and rejected Tokenlay keys do not count against the key. Returns whether
+   * the key was put on cooldown.
+   */
+  reportError(key: string, error: unknown): boolean {
+    const reason = keyErrorReason(error);
+    if (!reason) {
+      return false;
+    }
+
+    this.coolDown(key, reason);
+    return true;
+  }
+
+  /**
+   * Skip a key until its cooldown ends
+   */
+  coolDown(key: string, reason: KeyCooldownReason, duration?: number): void {
+    const pooled = this.find(key);
+    if (!pooled) {
+      return;
+    }
+
+    const now = Date.now();
+    if (reason === 'rate_limit') {
+      pooled.rateLimits++;
+      pooled.lastRateLimitedAt = now;
+    } else {
+      pooled.authFailures++;
+    }
+
+    pooled.coolingDownUntil = now + (duration ?? (reason === 'auth' ? this.authCooldown : this.cooldown));
+    this.emit('cooldown', { fingerprint: pooled.fingerprint, reason, until: pooled.coolingDownUntil });
+  }
+
+  /**
+   * Usage and health of every pooled key
+   */
+  snapshot(): ProviderKeyStatus[] {
+    const now = Date.now();
+
+    return this.pooledKeys.map(({ key: _key, lastUsedAt: _lastUsedAt, ...status }) => {
+      if (status.coolingDownUntil && status.coolingDownUntil <= now) {
+        delete status.coolingDownUntil;
+      }
+      return status;
+    });
+  }
+
+  private find(key: string): PooledKey | undefined {
+    return this.pooledKeys.find((pooled) => pooled.key === key);
+  }
+
+  private nextAvailable(now: number): PooledKey {
+    for (let step = 0; ; step++) {
+      const pooled = this.pooledKeys[(this.cursor + step) % this.pooledKeys.length];
+      if (!pooled.coolingDownUntil || pooled.coolingDownUntil <= now) {
+        this.cursor = (this.cursor + step + 1) % this.pooledKeys.length;
+        return pooled;
+      }
+    }
+  }
+}
+
+/**
+ * Whether an error means the provider key itself was rate limited or rejected.
+ * A rejection only counts when the proxy reports it came from the provider,
+ * as a rejected Tokenlay key fails every request the same way.
+ */
+function keyErrorReason(error: unknown): KeyCooldownReason | undefined {
+  if (error instanceof TokenlayAuthError) {
+    return error.metadata.errorSource === 'provider' ? 'auth' : undefined;
+  }
+
+  // Tokenlay usage limits and queueing also answer 429
+  if (error instanceof TokenlayError) {
+    return undefined;
+  }
+
+  const status = (error as { status?: unknown } | undefined)?.status;
+  if (status === 429) {
+    return 'rate_limit';
+  }
+
+  if (status === 401 || status === 403) {
+    return parseTokenlayHeaders(apiErrorHeaders(error)).errorSource === 'provider' ? 'auth' : undefined;
+  }
+
+  return undefined;
+}
@@ -0,0 +1,216 @@
+import type { RequestMetadata } from './types.js';
+import { runWithMetadata } from './context.js';
+import {
+  TokenlayBlockedError,
+  TokenlayBudgetExceededError,
+  TokenlayLimitExceededError,
+  TokenlayQueuedError,
+} from './errors.js';
+
+/**
+ * Read Tokenlay metadata from an incoming request
+ */
+export type MetadataExtractor<Req> = (
+  req: Req
+) => RequestMetadata | undefined | Promise<RequestMetadata | undefined>;
+
+/**
+ * Options shared by the framework middleware
+ */
+export interface TokenlayMiddlewareOptions<Req> {
+  /**
+   * Read metadata from the incoming request. Take it from your own
+   * authentication, never from headers the client controls: metadata drives
+   * Tokenlay's tier rules and usage attribution.
+   */
+  extractMetadata: MetadataExtractor<Req>;
+}
+
+/**
+ * HTTP response for a Tokenlay error
+ */
+export interface TokenlayErrorResponse {
+  status: number;
+  headers: Record<string, string>;
+  body: {
+    error: {
+      type: 'blocked' | 'budget_exceeded' | 'limit_exceeded' | 'queued';
+      message: string;
+      ruleId?: string;
+      retryAfter?: number;
+    };
+  };
+}
+
+/**
+ * Minimal request shapes, so that no framework is a dependency
+ */
+interface NodeRequestLike {
+  headers: Record<string, string | string[] | undefined>;
+}
+
+interface ExpressResponseLike {
+  headersSent?: boolean;
+  status(code: number): unknown;
+  setHeader(name: string, value: string): unknown;
+  json(body: unknown): unknown;
+}
+
+interface FastifyReplyLike {
+  code(statusCode: number): unknown;
+  headers(values: Record<string, string>): unknown;
+  send(payload?: unknown): unknown;
+}
+
+/**
+ * The configured extractor. There is no default, as nothing in a request can
+ * be trusted to identify the user without the app's authentication.
+ */
+function requireExtractor<Req>(options: TokenlayMiddlewareOptions<Req> | undefined): MetadataExtractor<Req> {
+  if (typeof options?.extractMetadata !== 'function') {
+    throw new Error('extractMetadata is required to read Tokenlay metadata from a request.');
+  }
+
+  return options.extractMetadata;
+}
+
+/**
+ * Translate a Tokenlay rule outcome into an HTTP response: 402 when a rule or
+ * budget blocks the request, 429 when a usage limit is hit or the request was
+ * queued. Returns undefined for any other error.
+ */
+export function tokenlayErrorResponse(error: unknown): TokenlayErrorResponse | undefined {
+  let status: number;
+  let type: TokenlayErrorResponse['body']['error']['type'];
+
+  if (error instanceof TokenlayBudgetExceededError) {
+    status = 402;
+    type = 'budget_exceeded';
+  } else if (error instanceof TokenlayBlockedError) {
+    status = 402;
+    type = 'blocked';
+  } else if (error instanceof TokenlayLimitExceededError) {
+    status = 429;
+    type = 'limit_exceeded';
+  } else if (error instanceof TokenlayQueuedError) {
+    status = 429;
+    type = 'queued';
+  } else {
+    return undefined;
+  }
+
+  const response: TokenlayErrorResponse = {
+    status,
+    headers: {},
+    body: { error: { type, message: error.message, ruleId: error.ruleId } },
+  };
+
+  if (error instanceof TokenlayQueuedError && error.retryAfter !== undefined) {
+    const seconds = Math.ceil(error.retryAfter / 1000);
+    response.headers['retry-after'] = String(seconds);
+    response.body.error.retryAfter = seconds;
+  }
+
+  return response;
+}
+
+/**
+ * Express middleware that makes the request's metadata the Tokenlay context
+ * for every LLM call made while handling it
+ */
+export function tokenlayExpress<Req extends NodeRequestLike>(options: TokenlayMiddlewareOptions<Req>) {
+  const extractMetadata = requireExtractor(options);
+
+  return (req: Req, _res: unknown, next: (error?: unknown) => void): void => {
+    Promise.resolve()
+      .then(() => extractMetadata(req))
+      .then(
+        (metadata) => runWithMetadata(metadata ?? {}, () => next()),
+        (error) => next(error)
+      );
+  };
+}
+
+/**
+ * Express error handler that answers Tokenlay errors with a JSON 402/429
+ * response and passes everything else on
+ */
+export function tokenlayExpressErrorHandler() {
+  return (error: unknown, _req: unknown, res: ExpressResponseLike, next: (error?: unknown) => void): void => {
+    const response = tokenlayErrorResponse(error);
+    if (!response || res.headersSent) {
+      next(error);
+      return;
+    }
+
+    for (const [name, value] of Object.entries(response.headers)) {
+      res.setHeader(name, value);
+    }
+    res.status(response.status);
+    res.json(response.body);
+  };
+}
+
+/**
+ * Fastify `onRequest` hook that makes the request's metadata the Tokenlay
+ * context for every LLM call made while handling it
+ */
+export function tokenlayFastify<Req extends NodeRequestLike>(options: TokenlayMiddlewareOptions<Req>) {
+  const extractMetadata = requireExtractor(options);
+
+  return (request: Req, _reply: unknown, done: (error?: Error) => void): void => {
+    Promise.resolve()
+      .then(() => extractMetadata(request))
+      .then(
+        (metadata) => runWithMetadata(metadata ?? {}, () => done()),
+        (error) => done(error)
+      );
+  };
+}
+
+/**
+ * Fastify error handler that answers Tokenlay errors with a JSON 402/429
+ * response and sends everything else through Fastify's default handling
+ */
+export function tokenlayFastifyErrorHandler() {
+  return (error: unknown, _request: unknown, reply: FastifyReplyLike): void => {
+    const response = tokenlayErrorResponse(error);
+    if (!response) {
+      reply.send(error);
+      return;
+    }
+
+    reply.code(response.status);
+    reply.headers(response.headers);
+    reply.send(response.body);
+  };
+}
+
+/**
+ * Wrap a Next.js route handler so that LLM calls made while handling the
+ * request carry its metadata and Tokenlay errors become JSON 402/429 responses
+ */
+export function withTokenlay<Args extends unknown[]>(
+  handler: (req: Request, ...args: Args) => Response | Promise<Response>,
+  options: TokenlayMiddlewareOptions<Request>
+) {
+  const extractMetadata = requireExtractor(options);
+
+  return async (req: Request, ...args: Args): Promise<Response> => {
+    const metadata = await extractMetadata(req);
+
+    try {
+      return await runWithMetadata(metadata ?? {}, () => handler(req, ...args));
+    } catch (error) {
+      const response = tokenlayErrorResponse(error);
+      if (!response) {
+        throw error;
+      }
+
+      return new Response(JSON.stringify(response.body), {
+        status: response.status,
+        headers: { 'content-type': 'application/json', ...response.headers },
+      });
+    }
+  };
+}
@@ -0,0 +1,214 @@
+import {
+  context as otelContext,
+  metrics,
+  propagation,
+  trace,
+  SpanKind,
+  SpanStatusCode,
+  type Attributes,
+  type MeterProvider,
+  type Span,
+  type TracerProvider,
+} from '@opentelemetry/api';
+import type { TokenlayBaseClient } from './base.js';
+import type { TokenlayRequestContext, TokenlayResponseContext, TokenlayErrorContext } from './hooks.js';
+
+/**
+ * Options for instrumentTokenlay
+ */
+export interface TokenlayInstrumentationOptions {
+  /**
+   * Tracer provider to use (default: the global provider)
+   */
+  tracerProvider?: TracerProvider;
+
+  /**
+   * Meter provider to use (default: the global provider)
+   */
+  meterProvider?: MeterProvider;
+
+  /**
+   * Metadata keys added to metric attributes as `tokenlay.metadata.<key>`
+   * (default: none). Leave out high-cardinality keys such as `userId`.
+   */
+  metadataKeys?: string[];
+}
+
+const INSTRUMENTATION_NAME = '@tokenlay/sdk';
+
+// GenAI semantic convention operation names for each endpoint
+const OPERATION_NAMES: Record<string, string> = {
+  'chat.completions': 'chat',
+  'responses': 'chat',
+  'messages': 'chat',
+  'embeddings': 'embeddings',
+};
+
+// Request params recorded on spans, by attribute name
+const REQUEST_PARAM_ATTRIBUTES: Record<string, string> = {
+  'gen_ai.request.max_tokens': 'max_tokens',
+  'gen_ai.request.temperature': 'temperature',
+  'gen_ai.request.top_p': 'top_p',
+};
+
+/**
+ * Trace and measure every call made through a Tokenlay client with
+ * OpenTelemetry, following the GenAI semantic conventions. Trace context is
+ * propagated to the proxy in `traceparent` headers. Returns a function that
+ * removes the instrumentation.
+ */
+export function instrumentTokenlay(
+  client: Pick<TokenlayBaseClient, 'addHook'>,
+  options: TokenlayInstrumentationOptions = {}
+): () => void {
+  const tracer = (options.tracerProvider ?? trace.getTracerProvider()).getTracer(INSTRUMENTATION_NAME);
+  const meter = (options.meterProvider ?? metrics.getMeterProvider()).getMeter(INSTRUMENTATION_NAME);
+
+  const duration = meter.createHistogram('gen_ai.client.operation.duration', {
+    description: 'Duration of GenAI operations made through Tokenlay',
+    unit: 's',
+  });
+  const tokenUsage = meter.createHistogram('gen_ai.client.token.usage', {
+    description: 'Tokens used by GenAI operations made through Tokenlay',
+    unit: '{token}',
+  });
+  const cost = meter.createCounter('tokenlay.client.cost', {
+    description: 'Cost of GenAI operations reported by Tokenlay',
+    unit: 'USD',
+  });
+
+  const spans = new WeakMap<TokenlayRequestContext, Span>();
+
+  const metricAttributes = (context: TokenlayRequestContext): Attributes => {
+    const attributes = requestAttributes(context);
+    for (const key of options.metadataKeys ?? []) {
+      const value = context.metadata[key];
+      if (value !== undefined) {
+        attributes[`tokenlay.metadata.${key}`] = value;
+      }
+    }
+
+    return attributes;
+  };
+
+  const onRequest = (context: TokenlayRequestContext) => {
+    const attributes: Attributes = requestAttributes(context);
+    for (const [name, param] of Object.entries(REQUEST_PARAM_ATTRIBUTES)) {
+      if (typeof context.params[param] === 'number') {
+        attributes[name] = context.params[param];
+      }
+    }
+    for (const [key, value] of Object.entries(context.metadata)) {
+      if (value !== undefined) {
+        attributes[`tokenlay.metadata.${key}`] = value;
+      }
+    }
+
+    const span = tracer.startSpan(
+      `${attributes['gen_ai.operation.name']} ${context.params.model ?? ''}`.trim(),
+      { kind: SpanKind.CLIENT, attributes }
+    );
+    spans.set(context, span);
+
+    // Continue the trace in the proxy
+    propagation.inject(trace.setSpan(otelContext.active(), span), context.headers);
+  };
+
+  const onResponse = (context: TokenlayResponseContext) => {
+    const { tokenlay } = context;
+    const attributes = metricAttributes(context);
+
+    const span = spans.get(context);
+    if (span) {
+      // eslint-disable-next-line @typescript-eslint/no-explicit-any
+      const response = context.response as any;
+      if (typeof response?.id === 'string') {
+        span.setAttribute('gen_ai.response.id', response.id);
+      }
+      if (typeof response?.model === 'string') {
+        span.setAttribute('gen_ai.response.model', response.model);
+      }
+      span.setAttributes({
+        'gen_ai.usage.input_tokens': tokenlay.inputTokens,
+        'gen_ai.usage.output_tokens': tokenlay.outputTokens,
+        ...tokenlayAttributes(tokenlay),
+      });
+      span.end();
+      spans.delete(context);
+    }
+
+    duration.record(context.duration / 1000, attributes);
+    tokenUsage.record(tokenlay.inputTokens, { ...attributes, 'gen_ai.token.type': 'input' });
+    tokenUsage.record(tokenlay.outputTokens, { ...attributes, 'gen_ai.token.type': 'output' });
+    cost.add(tokenlay.cost, attributes);
+  };
+
+  const onError = (context: TokenlayErrorContext) => {
+    const { error } = context;
+    const errorType = error instanceof Error ? error.name : 'Error';
+
+    const span = spans.get(context);
+    if (span) {
+      // eslint-disable-next-line @typescript-eslint/no-explicit-any
+      const metadata = (error as any)?.metadata;
+      if (metadata) {
+        span.setAttributes(tokenlayAttributes(metadata));
+      }
+      span.setAttribute('error.type', errorType);
+      if (error instanceof Error) {
+        span.recordException(error);
+      }
+      span.setStatus({ code: SpanStatusCode.ERROR, message: error instanceof Error ? error.message : String(error) });
+      span.end();
+      spans.delete(context);
+    }
+
+    duration.record(context.duration / 1000, { ...metricAttributes(context), 'error.type': errorType });
+  };
+
+  const removeHooks = [
+    client.addHook('onRequest', onRequest),
+    client.addHook('onResponse', onResponse),
+    client.addHook('onError', onError),
+  ];
+
+  return () => {
+    for (const remove of removeHooks) {
+      remove();
+    }
+  };
+}
+
+/**
+ * Attributes describing the operation, shared by spans and metrics
+ */
+function requestAttributes(context: TokenlayRequestContext): Attributes {
+  const attributes: Attributes = {
+    'gen_ai.operation.name': OPERATION_NAMES[context.endpoint] ?? context.endpoint,
+    'gen_ai.provider.name': context.headers['x-tokenlay-provider']
+      ?? (context.endpoint === 'messages' ? 'anthropic' : 'openai'),
+  };
+
+  if (typeof context.params.model === 'string') {
+    attributes['gen_ai.request.model'] = context.params.model;
+  }
+
+  return attributes;
+}
+
+/**
+ * Tokenlay rule outcome attributes
+ */
+function tokenlayAttributes(metadata: TokenlayResponseContext['tokenlay']): Attributes {
+  const attributes: Attributes = {
+    'tokenlay.rule.action': metadata.ruleAction,
+    'tokenlay.cost': metadata.cost,
+    'tokenlay.limit_exceeded': metadata.limitExceeded,
+  };
+
+  if (metadata.ruleId) {
+    attributes['tokenlay.rule.id'] = metadata.ruleId;
+  }
+
+  return attributes;
+}
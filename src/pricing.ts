@@ -0,0 +1,63 @@
+/**
+ * Pricing and limits for a model, used for pre-flight cost estimates
+ */
+export interface ModelPricing {
+  /**
+   * USD per million input tokens
+   */
+  input: number;
+
+  /**
+   * USD per million output tokens
+   */
+  output: number;
+
+  /**
+   * Output tokens the model can produce when the request sets no limit
+   */
+  maxOutputTokens: number;
+
+  /**
+   * Tokenizer used to count input tokens. Non-OpenAI models are approximated
+   * with `cl100k_base`.
+   */
+  encoding: 'o200k_base' | 'cl100k_base';
+}
+
+/**
+ * Built-in list prices for the models in the README. Override or extend them
+ * with the `pricing` client option.
+ */
+export const DEFAULT_PRICING: Record<string, ModelPricing> = {
+  'gpt-4o': { input: 2.5, output: 10, maxOutputTokens: 16384, encoding: 'o200k_base' },
+  'gpt-4o-mini': { input: 0.15, output: 0.6, maxOutputTokens: 16384, encoding: 'o200k_base' },
+  'o4-mini': { input: 1.1, output: 4.4, maxOutputTokens: 100000, encoding: 'o200k_base' },
+  'o3': { input: 2, output: 8, maxOutputTokens: 100000, encoding: 'o200k_base' },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5, maxOutputTokens: 4096, encoding: 'cl100k_base' },
+  'claude-opus-4': { input: 15, output: 75, maxOutputTokens: 32000, encoding: 'cl100k_base' },
+  'claude-sonnet-4': { input: 3, output: 15, maxOutputTokens: 64000, encoding: 'cl100k_base' },
+  'mistral-large-24.11': { input: 2, output: 6, maxOutputTokens: 8192, encoding: 'cl100k_base' },
+  'codestral-25.01': { input: 0.3, output: 0.9, maxOutputTokens: 8192, encoding: 'cl100k_base' },
+  'mistralai/mistral-7b-instruct': { input: 0.028, output: 0.054, maxOutputTokens: 8192, encoding: 'cl100k_base' },
+  'togethercomputer/llama-2-13b-chat': { input: 0.22, output: 0.22, maxOutputTokens: 4096, encoding: 'cl100k_base' },
+};
+
+/**
+ * Look up pricing for a model. Dated snapshots such as `gpt-4o-2024-08-06`
+ * fall back to the longest matching base model name.
+ */
+export function getModelPricing(model: string, pricing: Record<string, ModelPricing> = DEFAULT_PRICING): ModelPricing {
+  if (pricing[model]) {
+    return pricing[model];
+  }
+
+  const base = Object.keys(pricing)
+    .filter((name) => model.startsWith(`${name}-`))
+    .sort((a, b) => b.length - a.length)[0];
+
+  if (!base) {
+    throw new Error(`No pricing for model "${model}". Add it with the pricing option.`);
+  }
+
+  return pricing[base];
+}
@@ -0,0 +1,107 @@
+/**
+ * Supported provider preset names
+ */
+export type ProviderName = 'openai' | 'anthropic' | 'mistral' | 'openrouter' | 'together' | 'azure';
+
+/**
+ * Connection defaults and validation rules for a known LLM provider
+ */
+export interface ProviderPreset {
+  /**
+   * Preset name, sent to the proxy as `x-tokenlay-provider`
+   */
+  name: ProviderName;
+
+  /**
+   * Human-readable provider name used in error messages
+   */
+  displayName: string;
+
+  /**
+   * Provider API base URL. Undefined for providers with per-resource endpoints.
+   */
+  apiBase?: string;
+
+  /**
+   * Provider-specific headers included with every request
+   */
+  headers?: Record<string, string>;
+
+  /**
+   * Expected API key format
+   */
+  keyPattern?: RegExp;
+
+  /**
+   * Description of the expected key format for error messages
+   */
+  keyFormat?: string;
+
+  /**
+   * Known model names for this provider
+   */
+  models: string[];
+}
+
+/**
+ * Built-in provider presets
+ */
+export const PROVIDER_PRESETS: Record<ProviderName, ProviderPreset> = {
+  openai: {
+    name: 'openai',
+    displayName: 'OpenAI',
+    apiBase: 'https://api.openai.com/v1',
+    keyPattern: /^sk-/,
+    keyFormat: 'start with "sk-"',
+    models: ['gpt-4o', 'gpt-4o-mini', 'o4-mini', 'o3', 'gpt-3.5-turbo', 'text-embedding-3-small', 'text-embedding-3-large'],
+  },
+  anthropic: {
+    name: 'anthropic',
+    displayName: 'Anthropic',
+    apiBase: 'https://api.anthropic.com/v1',
+    headers: { 'anthropic-version': '2023-06-01' },
+    keyPattern: /^sk-ant-/,
+    keyFormat: 'start with "sk-ant-"',
+    models: ['claude-opus-4', 'claude-sonnet-4'],
+  },
+  mistral: {
+    name: 'mistral',
+    displayName: 'Mistral',
+    apiBase: 'https://api.mistral.ai/v1',
+    models: ['mistral-large-24.11', 'codestral-25.01'],
+  },
+  openrouter: {
+    name: 'openrouter',
+    displayName: 'OpenRouter',
+    apiBase: 'https://openrouter.ai/api/v1',
+    keyPattern: /^sk-or-/,
+    keyFormat: 'start with "sk-or-"',
+    models: ['mistralai/mistral-7b-instruct'],
+  },
+  together: {
+    name: 'together',
+    displayName: 'Together AI',
+    apiBase: 'https://api.together.xyz/v1',
+    models: ['togethercomputer/llama-2-13b-chat'],
+  },
+  azure: {
+    name: 'azure',
+    displayName: 'Azure OpenAI',
+    models: ['gpt-4o', 'gpt-4o-mini', 'o4-mini', 'o3'],
+  },
+};
+
+/**
+ * Look up a provider preset by name
+ */
+export function getProviderPreset(name: string): ProviderPreset {
+  const preset = PROVIDER_PRESETS[name as ProviderName];
+
+  if (!preset) {
+    throw new Error(
+      `Unknown provider "${name}". Supported providers: ${Object.keys(PROVIDER_PRESETS).join(', ')}.`
+    );
+  }
+
+  return preset;
+}
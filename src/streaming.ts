@@ -0,0 +1,242 @@
+import type { TokenlayResponseMetadata } from './types.js';
+
+/**
+ * Extract Tokenlay metadata (usage, cost) carried by a single stream chunk.
+ * Receives the metadata accumulated so far for providers that report usage
+ * across several events.
+ */
+export type StreamChunkMetadataExtractor<Chunk> = (
+  chunk: Chunk,
+  current: TokenlayResponseMetadata
+) => Partial<TokenlayResponseMetadata> | undefined;
+
+/**
+ * Minimal shape of a provider SDK stream
+ */
+export interface ProviderStream<Chunk> extends AsyncIterable<Chunk> {
+  controller: AbortController;
+}
+
+/**
+ * Read usage and Tokenlay cost from an OpenAI chat completion chunk.
+ *
+ * Usage is only present on the final chunk when `stream_options.include_usage`
+ * is set. The proxy reports the final cost on the same chunk in a `tokenlay` field.
+ */
+// eslint-disable-next-line @typescript-eslint/no-explicit-any
+export function chatCompletionChunkMetadata(chunk: any): Partial<TokenlayResponseMetadata> | undefined {
+  const metadata: Partial<TokenlayResponseMetadata> = {};
+
+  if (chunk?.usage) {
+    const inputTokens = chunk.usage.prompt_tokens ?? 0;
+    const outputTokens = chunk.usage.completion_tokens ?? 0;
+    metadata.inputTokens = inputTokens;
+    metadata.outputTokens = outputTokens;
+    metadata.tokensUsed = chunk.usage.total_tokens ?? inputTokens + outputTokens;
+  }
+
+  if (chunk?.tokenlay) {
+    Object.assign(metadata, chunk.tokenlay);
+  }
+
+  return Object.keys(metadata).length > 0 ? metadata : undefined;
+}
+
+/**
+ * Whether a chat completion chunk is the final usage chunk, which has empty `choices`
+ */
+// eslint-disable-next-line @typescript-eslint/no-explicit-any
+export function isChatCompletionUsageChunk(chunk: any): boolean {
+  return Boolean(chunk?.usage) && Array.isArray(chunk.choices) && chunk.choices.length === 0;
+}
+
+/**
+ * Read usage and Tokenlay cost from a Responses API stream event.
+ *
+ * Usage is reported on the `response.completed` event, which the proxy also
+ * uses to report the final cost in a `tokenlay` field.
+ */
+// eslint-disable-next-line @typescript-eslint/no-explicit-any
+export function responseStreamEventMetadata(event: any): Partial<TokenlayResponseMetadata> | undefined {
+  if (event?.type !== 'response.completed') {
+    return undefined;
+  }
+
+  const metadata: Partial<TokenlayResponseMetadata> = {};
+  const usage = event.response?.usage;
+
+  if (usage) {
+    const inputTokens = usage.input_tokens ?? 0;
+    const outputTokens = usage.output_tokens ?? 0;
+    metadata.inputTokens = inputTokens;
+    metadata.outputTokens = outputTokens;
+    metadata.tokensUsed = usage.total_tokens ?? inputTokens + outputTokens;
+  }
+
+  if (event.tokenlay) {
+    Object.assign(metadata, event.tokenlay);
+  }
+
+  return metadata;
+}
+
+/**
+ * Read usage and Tokenlay cost from an Anthropic Messages stream event.
+ *
+ * Input tokens arrive on `message_start` and the cumulative output token count
+ * on `message_delta`. The proxy reports the final cost in a `tokenlay` field.
+ */
+// eslint-disable-next-line @typescript-eslint/no-explicit-any
+export function messageStreamEventMetadata(event: any, current: TokenlayResponseMetadata): Partial<TokenlayResponseMetadata> | undefined {
+  const metadata: Partial<TokenlayResponseMetadata> = {};
+  const usage = event?.type === 'message_start' ? event.message?.usage : event?.usage;
+
+  if (usage) {
+    const inputTokens = usage.input_tokens ?? current.inputTokens;
+    const outputTokens = usage.output_tokens ?? current.outputTokens;
+    metadata.inputTokens = inputTokens;
+    metadata.outputTokens = outputTokens;
+    metadata.tokensUsed = inputTokens + outputTokens;
+  }
+
+  if (event?.tokenlay) {
+    Object.assign(metadata, event.tokenlay);
+  }
+
+  return Object.keys(metadata).length > 0 ? metadata : undefined;
+}
+
+/**
+ * TokenlayStream - wraps a provider stream and tracks Tokenlay metadata
+ *
+ * The metadata parsed from the response headers is available immediately via
+ * `getTokenlayMetadata(stream)`. Final cost and token usage are resolved by
+ * `finalMetadata()` once the stream has been fully consumed.
+ *
+ * Chunks matching `hideChunk` are read for their metadata but not yielded,
+ * e.g. a usage chunk the caller did not ask for.
+ */
+export class TokenlayStream<Chunk> implements AsyncIterable<Chunk> {
+  _tokenlay: TokenlayResponseMetadata;
+
+  private readonly startedAt = Date.now();
+  private readonly finalPromise: Promise<TokenlayResponseMetadata>;
+  private resolveFinal!: (metadata: TokenlayResponseMetadata) => void;
+  private rejectFinal!: (error: unknown) => void;
+  private consumed = false;
+
+  constructor(
+    private readonly stream: ProviderStream<Chunk>,
+    metadata: TokenlayResponseMetadata,
+    private readonly extractMetadata: StreamChunkMetadataExtractor<Chunk>,
+    private readonly hideChunk?: (chunk: Chunk) => boolean
+  ) {
+    this._tokenlay = metadata;
+    this.finalPromise = new Promise((resolve, reject) => {
+      this.resolveFinal = resolve;
+      this.rejectFinal = reject;
+    });
+    // Avoid unhandled rejections when the caller never asks for the final metadata
+    this.finalPromise.catch(() => {});
+  }
+
+  /**
+   * Abort controller of the underlying request
+   */
+  get controller(): AbortController {
+    return this.stream.controller;
+  }
+
+  /**
+   * Resolves with the final Tokenlay metadata (cost, token usage) once the
+   * stream ends. Cost and token usage are 0 when the provider sent no usage.
+   */
+  finalMetadata(): Promise<TokenlayResponseMetadata> {
+    return this.finalPromise;
+  }
+
+  /**
+   * Split the stream into two streams that can be consumed independently,
+   * like the OpenAI SDK's `Stream.tee()`. Both share this stream's metadata.
+   */
+  tee(): [TokenlayStream<Chunk>, TokenlayStream<Chunk>] {
+    const left: Promise<IteratorResult<Chunk>>[] = [];
+    const right: Promise<IteratorResult<Chunk>>[] = [];
+    const iterator = this[Symbol.asyncIterator]();
+
+    const branch = (queue: Promise<IteratorResult<Chunk>>[]): TokenlayStream<Chunk> => {
+      const stream: ProviderStream<Chunk> = {
+        controller: this.controller,
+        [Symbol.asyncIterator]: () => ({
+          next: () => {
+            if (queue.length === 0) {
+              const result = iterator.next();
+              left.push(result);
+              right.push(result);
+            }
+            return queue.shift()!;
+          },
+        }),
+      };
+
+      // Chunks were already read into the shared metadata by this stream
+      return new TokenlayStream(stream, this._tokenlay, () => undefined);
+    };
+
+    return [branch(left), branch(right)];
+  }
+
+  /**
+   * Convert the stream into a ReadableStream of newline-delimited JSON
+   * chunks, like the OpenAI SDK's `Stream.toReadableStream()`
+   */
+  toReadableStream(): ReadableStream<Uint8Array> {
+    const iterator = this[Symbol.asyncIterator]();
+    const encoder = new TextEncoder();
+
+    return new ReadableStream<Uint8Array>({
+      async pull(controller) {
+        try {
+          const { value, done } = await iterator.next();
+          if (done) {
+            controller.close();
+            return;
+          }
+          controller.enqueue(encoder.encode(`${JSON.stringify(value)}\n`));
+        } catch (error) {
+          controller.error(error);
+        }
+      },
+      async cancel() {
+        await iterator.return?.();
+      },
+    });
+  }
+
+  async *[Symbol.asyncIterator](): AsyncIterator<Chunk> {
+    if (this.consumed) {
+      throw new Error('Cannot iterate over a consumed stream');
+    }
+    this.consumed = true;
+
+    try {
+      for await (const chunk of this.stream) {
+        const chunkMetadata = this.extractMetadata(chunk, this._tokenlay);
+        if (chunkMetadata) {
+          Object.assign(this._tokenlay, chunkMetadata);
+        }
+        if (!this.hideChunk?.(chunk)) {
+          yield chunk;
+        }
+      }
+    } catch (error) {
+      this.rejectFinal(error);
+      throw error;
+    } finally {
+      if (!this._tokenlay.duration) {
+        this._tokenlay.duration = Date.now() - this.startedAt;
+      }
+      this.resolveFinal(this._tokenlay);
+    }
+  }
+}
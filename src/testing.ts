@@ -0,0 +1,373 @@
+/**
+ * @tokenlay/sdk/testing - a local stand-in for the Tokenlay proxy and
+ * record/replay fixtures
+ *
+ * @example
+ * ```typescript
+ * import { startMockTokenlayProxy } from '@tokenlay/sdk/testing';
+ *
+ * const proxy = await startMockTokenlayProxy();
+ * const client = new TokenlayOpenAI({
+ *   tokenlayKey: 'tk_test',
+ *   providerApiKey: 'sk-test',
+ *   tokenlayBaseUrl: proxy.url,
+ *   maxRetries: 0,
+ * });
+ *
+ * proxy.enqueue({ ruleAction: 'block', ruleId: 'rule_123' });
+ * await expect(client.chat.completions.create(params)).rejects.toThrow(TokenlayBlockedError);
+ * expect(proxy.lastRequest?.headers['x-tokenlay-provider-key']).toBe('sk-test');
+ *
+ * await proxy.stop();
+ * ```
+ */
+
+import { createServer, type IncomingMessage, type Server, type ServerResponse } from 'node:http';
+import type { AddressInfo } from 'node:net';
+
+/**
+ * A scripted proxy response
+ */
+export interface MockResponse {
+  /**
+   * HTTP status (default: 403 for blocks, 429 for queued requests and
+   * exceeded limits, 200 otherwise)
+   */
+  status?: number;
+
+  /**
+   * Assistant message text of the generated completion
+   */
+  content?: string;
+
+  /**
+   * Response body, replacing the generated completion or error
+   */
+  body?: unknown;
+
+  /**
+   * Rule reported in `x-tokenlay-rule-id`
+   */
+  ruleId?: string;
+
+  /**
+   * Rule action reported in `x-tokenlay-rule-action`
+   */
+  ruleAction?: 'allow' | 'block' | 'warn' | 'queue';
+
+  /**
+   * Whether a usage limit was exceeded
+   */
+  limitExceeded?: boolean;
+
+  /**
+   * Cost in USD reported in `x-tokenlay-cost` and, for streams, on the final chunk
+   */
+  cost?: number;
+
+  /**
+   * Warnings reported in `x-tokenlay-warnings`
+   */
+  warnings?: string[];
+
+  /**
+   * Queue ticket reported in `x-tokenlay-queue-id`
+   */
+  queueId?: string;
+
+  /**
+   * Delay before re-submitting a queued request, in milliseconds
+   */
+  retryAfter?: number;
+
+  /**
+   * Additional response headers
+   */
+  headers?: Record<string, string>;
+
+  /**
+   * Time to wait before responding, in milliseconds
+   */
+  delay?: number;
+}
+
+/**
+ * A request received by the mock proxy
+ */
+export interface RecordedRequest {
+  method: string;
+  path: string;
+
+  /**
+   * Request headers with lowercase names
+   */
+  headers: Record<string, string>;
+
+  /**
+   * Parsed JSON body, if any
+   */
+  // eslint-disable-next-line @typescript-eslint/no-explicit-any
+  body: any;
+}
+
+/**
+ * Options for creating a MockTokenlayProxy
+ */
+export interface MockTokenlayProxyOptions {
+  /**
+   * Response served when no scripted response is queued (default: a
+   * successful completion)
+   */
+  defaultResponse?: MockResponse;
+
+  /**
+   * Port to listen on (default: a free port)
+   */
+  port?: number;
+}
+
+/**
+ * Tokenlay response headers for a scripted response
+ */
+function tokenlayHeaders(mock: MockResponse, usage: { prompt_tokens: number; completion_tokens: number }): Record<string, string> {
+  const headers: Record<string, string> = {
+    'x-tokenlay-rule-action': mock.ruleAction ?? 'allow',
+    'x-tokenlay-cost': String(mock.cost ?? 0),
+    'x-tokenlay-input-tokens': String(usage.prompt_tokens),
+    'x-tokenlay-output-tokens': String(usage.completion_tokens),
+    'x-tokenlay-tokens-used': String(usage.prompt_tokens + usage.completion_tokens),
+  };
+
+  if (mock.ruleId) {
+    headers['x-tokenlay-rule-id'] = mock.ruleId;
+  }
+  if (mock.limitExceeded) {
+    headers['x-tokenlay-limit-exceeded'] = 'true';
+  }
+  if (mock.warnings) {
+    headers['x-tokenlay-warnings'] = JSON.stringify(mock.warnings);
+  }
+  if (mock.queueId) {
+    headers['x-tokenlay-queue-id'] = mock.queueId;
+  }
+  if (mock.retryAfter !== undefined) {
+    headers['retry-after-ms'] = String(mock.retryAfter);
+  }
+
+  return { ...headers, ...mock.headers };
+}
+
+/**
+ * Rough token count, good enough for usage numbers in tests
+ */
+function countTokens(text: string): number {
+  return text.split(/\s+/).filter(Boolean).length;
+}
+
+/**
+ * MockTokenlayProxy - an in-process HTTP server that answers like the
+ * Tokenlay proxy
+ *
+ * Serves `POST /v1/chat/completions` (JSON or SSE when `stream: true`) and
+ * `GET /v1/health`. Scripted responses are served in order, then the default
+ * response. Every request is recorded with its headers and body.
+ */
+export class MockTokenlayProxy {
+  /**
+   * Requests received so far, oldest first
+   */
+  readonly requests: RecordedRequest[] = [];
+
+  private readonly server: Server;
+  private readonly defaultResponse: MockResponse;
+  private readonly port: number;
+  private scripted: MockResponse[] = [];
+
+  constructor(options: MockTokenlayProxyOptions = {}) {
+    this.defaultResponse = options.defaultResponse ?? {};
+    this.port = options.port ?? 0;
+    this.server = createServer((req, res) => {
+      this.handle(req, res).catch((error: unknown) => {
+        res.writeHead(500, { 'content-type': 'application/json' });
+        res.end(JSON.stringify({ error: { message: String(error), type: 'mock_proxy_error' } }));
+      });
+    });
+  }
+
+  /**
+   * Start listening on localhost
+   */
+  start(): Promise<this> {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, '127.0.0.1', () => {
+        this.server.off('error', reject);
+        resolve(this);
+      });
+    });
+  }
+
+  /**
+   * Stop listening and close open connections
+   */
+  stop(): Promise<void> {
+    return new Promise((resolve, reject) => {
+      this.server.close((error) => (error ? reject(error) : resolve()));
+      this.server.closeAllConnections();
+    });
+  }
+
+  /**
+   * Base URL to pass as `tokenlayBaseUrl`
+   */
+  get url(): string {
+    const address = this.server.address() as AddressInfo | null;
+    if (!address) {
+      throw new Error('The mock Tokenlay proxy is not running. Call start() first.');
+    }
+
+    return `http://127.0.0.1:${address.port}`;
+  }
+
+  /**
+   * Most recent request
+   */
+  get lastRequest(): RecordedRequest | undefined {
+    return this.requests[this.requests.length - 1];
+  }
+
+  /**
+   * Queue responses for the next chat completion requests
+   */
+  enqueue(...responses: MockResponse[]): this {
+    this.scripted.push(...responses);
+    return this;
+  }
+
+  /**
+   * Forget recorded requests and queued responses
+   */
+  reset(): void {
+    this.requests.length = 0;
+    this.scripted = [];
+  }
+
+  private async handle(req: IncomingMessage, res: ServerResponse): Promise<void> {
+    const chunks: Buffer[] = [];
+    for await (const chunk of req) {
+      chunks.push(chunk as Buffer);
+    }
+
+    const raw = Buffer.concat(chunks).toString('utf8');
+    const headers: Record<string, string> = {};
+    for (const [key, value] of Object.entries(req.headers)) {
+      if (value !== undefined) {
+        headers[key] = Array.isArray(value) ? value.join(', ') : value;
+      }
+    }
+
+    const path = (req.url ?? '/').split('?')[0];
+    const request: RecordedRequest = { method: req.method ?? 'GET', path, headers, body: raw ? JSON.parse(raw) : undefined };
+    this.requests.push(request);
+
+    if (request.method === 'GET' && path === '/v1/health') {
+      res.writeHead(200, { 'content-type': 'application/json' });
+      res.end(JSON.stringify({ status: 'ok' }));
+      return;
+    }
+
+    if (request.method === 'POST' && path === '/v1/chat/completions') {
+      await this.chatCompletion(request, res);
+      return;
+    }
+
+    res.writeHead(404, { 'content-type': 'application/json' });
+    res.end(JSON.stringify({ error: { message: `No mock for ${request.method} ${path}`, type: 'not_found' } }));
+  }
+
+  private async chatCompletion(request: RecordedRequest, res: ServerResponse): Promise<void> {
+    const mock = this.scripted.shift() ?? this.defaultResponse;
+    if (mock.delay) {
+      await new Promise((resolve) => setTimeout(resolve, mock.delay));
+    }
+
+    const content = mock.content ?? 'Hello from the mock Tokenlay proxy';
+    const prompt = (request.body?.messages ?? [])
+      .map((message: { content?: unknown }) => (typeof message.content === 'string' ? message.content : ''))
+      .join(' ');
+    const usage = { prompt_tokens: countTokens(prompt), completion_tokens: countTokens(content) };
+    const headers = tokenlayHeaders(mock, usage);
+
+    const status = mock.status ?? (
+      mock.ruleAction === 'block' ? 403
+        : mock.ruleAction === 'queue' || mock.limitExceeded ? 429
+          : 200
+    );
+
+    if (status >= 400) {
+      res.writeHead(status, { 'content-type': 'application/json', ...headers });
+      res.end(JSON.stringify(mock.body ?? {
+        error: { message: mock.ruleAction === 'queue' ? 'Request queued' : 'Request rejected by Tokenlay', type: 'tokenlay_error' },
+      }));
+      return;
+    }
+
+    const id = `chatcmpl-mock-${this.requests.length}`;
+    const created = Math.floor(Date.now() / 1000);
+    const model = request.body?.model ?? 'gpt-4o';
+
+    if (!request.body?.stream) {
+      res.writeHead(status, { 'content-type': 'application/json', ...headers });
+      res.end(JSON.stringify(mock.body ?? {
+        id,
+        object: 'chat.completion',
+        created,
+        model,
+        choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+        usage: { ...usage, total_tokens: usage.prompt_tokens + usage.completion_tokens },
+      }));
+      return;
+    }
+
+    res.writeHead(status, { 'content-type': 'text/event-stream', 'cache-control': 'no-cache', ...headers });
+
+    const chunk = (delta: object, finishReason: string | null = null) => ({
+      id,
+      object: 'chat.completion.chunk',
+      created,
+      model,
+      choices: [{ index: 0, delta, finish_reason: finishReason }],
+    });
+
+    const events: object[] = [chunk({ role: 'assistant', content: '' })];
+    for (const word of content.match(/\S+\s*/g) ?? []) {
+      events.push(chunk({ content: word }));
+    }
+    events.push(chunk({}, 'stop'));
+
+    // The proxy reports usage and the final cost on a last chunk
+    if (request.body.stream_options?.include_usage) {
+      events.push({
+        ...chunk({}),
+        choices: [],
+        usage: { ...usage, total_tokens: usage.prompt_tokens + usage.completion_tokens },
+        tokenlay: { cost: mock.cost ?? 0 },
+      });
+    }
+
+    for (const event of events) {
+      res.write(`data: ${JSON.stringify(event)}\n\n`);
+    }
+    res.end('data: [DONE]\n\n');
+  }
+}
+
+/**
+ * Create and start a mock Tokenlay proxy
+ */
+export function startMockTokenlayProxy(options?: MockTokenlayProxyOptions): Promise<MockTokenlayProxy> {
+  return new MockTokenlayProxy(options).start();
+}
+
+export { FixtureRecorder, REDACTED } from './fixtures.js';
+export type { FixtureMode, FixtureFetch, FixtureRecorderOptions, FixtureInteraction } from './fixtures.js';
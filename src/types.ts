@@ -1,16 +1,33 @@
+import type { ProviderName } from './providers.js';
+import type { BudgetManager } from './budget.js';
+import type { ProviderKeyPool } from './keys.js';
+import type { CircuitBreaker } from './circuit.js';
+import type { ResponseCache } from './cache.js';
+import type { FixtureRecorder } from './fixtures.js';
+import type { ModelPricing } from './pricing.js';
+import type { TokenlayHooks } from './hooks.js';
+
 /**
- * Configuration options for TokenlayOpenAI client
+ * Configuration options shared by all Tokenlay clients
  */
-export interface TokenlayOpenAIOptions {
+export interface TokenlayClientOptions {
   /**
    * Your Tokenlay API key - get one free at https://tokenlay.com
    */
   tokenlayKey: string;
 
   /**
-   * Your provider API key (e.g., OpenAI API key)
+   * Your provider API key (e.g., OpenAI API key). Optional for Azure when
+   * `azure.getAccessToken` supplies Entra ID tokens.
    */
-  providerApiKey: string;
+  providerApiKey?: string;
+
+  /**
+   * Named provider preset. Fills in the provider API base URL and
+   * provider-specific headers, and validates the provider key format.
+   * An explicit `providerApiBase` takes precedence over the preset.
+   */
+  provider?: ProviderName;
 
   /**
    * Provider API base URL (optional, defaults to OpenAI)
@@ -43,9 +60,185 @@ export interface TokenlayOpenAIOptions {
   timeout?: number;
 
   /**
-   * Maximum number of retries (default: 2)
+   * Maximum number of retries of connection failures, timeouts and
+   * 408/409/429/5xx responses (default: 2). Tokenlay rule outcomes are
+   * never retried.
    */
   maxRetries?: number;
+
+  /**
+   * Azure OpenAI settings. Implies `provider: 'azure'`.
+   */
+  azure?: AzureOptions;
+
+  /**
+   * Ordered provider fallback chain, used instead of `provider`,
+   * `providerApiKey` and `providerApiBase`. Requests go to the first provider
+   * and move down the list on server errors, timeouts, provider rate limits
+   * and Tokenlay blocks.
+   */
+  providers?: TokenlayProviderConfig[];
+
+  /**
+   * Pool of provider API keys to spread requests across, used instead of
+   * `providerApiKey`
+   */
+  keyPool?: ProviderKeyPool;
+
+  /**
+   * Fail fast while a provider and model keep failing, instead of waiting
+   * out the timeout and retries of every request
+   */
+  circuitBreaker?: CircuitBreaker;
+
+  /**
+   * Serve identical chat completion and embedding requests from a cache
+   */
+  cache?: ResponseCache;
+
+  /**
+   * Record proxy traffic to a fixture file, or replay it offline
+   */
+  fixtures?: FixtureRecorder;
+
+  /**
+   * What happens when the Tokenlay proxy cannot be reached (default:
+   * `closed`). `closed` fails the request. `open` sends it straight to the
+   * provider and buffers its usage until Tokenlay can be reached again.
+   */
+  failureMode?: 'closed' | 'open';
+
+  /**
+   * Client-side spend budgets checked before each request is sent
+   */
+  budget?: BudgetManager;
+
+  /**
+   * Lifecycle hooks. More can be added later with `addHook()`.
+   */
+  hooks?: TokenlayHooks;
+
+  /**
+   * Model pricing used by `estimate()`, merged over the built-in table
+   */
+  pricing?: Record<string, ModelPricing>;
+
+  /**
+   * Wait and re-submit when a Tokenlay rule queues a request (default: disabled).
+   * Pass `true` to use the default queue options.
+   */
+  queue?: boolean | QueueOptions;
+}
+
+/**
+ * Configuration options for TokenlayOpenAI client
+ */
+export interface TokenlayOpenAIOptions extends TokenlayClientOptions {
+  /**
+   * Set `stream_options.include_usage` on streamed chat completions without
+   * `stream_options` so their final cost and token usage are reported
+   * (default: true). The added usage chunk is not yielded. Disable for
+   * providers that reject `stream_options`; streams then report no usage.
+   */
+  streamUsage?: boolean;
+}
+
+/**
+ * Configuration options for TokenlayAnthropic client
+ */
+export type TokenlayAnthropicOptions = TokenlayClientOptions;
+
+/**
+ * A provider in a fallback chain
+ */
+export interface TokenlayProviderConfig {
+  /**
+   * Name reported as `provider` in the response metadata (default: the
+   * preset name, or else the provider API base)
+   */
+  name?: string;
+
+  /**
+   * Provider preset
+   */
+  provider?: ProviderName;
+
+  /**
+   * Provider API key
+   */
+  providerApiKey: string;
+
+  /**
+   * Provider API base URL (default: the preset's)
+   */
+  providerApiBase?: string;
+
+  /**
+   * Model names to use with this provider, by requested model name.
+   * Unmapped models are sent unchanged.
+   */
+  models?: Record<string, string>;
+}
+
+/**
+ * Options that a derived client created by `withOptions()` can override
+ */
+export type TokenlayScopedOptions = Pick<TokenlayClientOptions, 'timeout' | 'maxRetries' | 'extraHeaders'>;
+
+/**
+ * Azure OpenAI settings
+ */
+export interface AzureOptions {
+  /**
+   * Azure OpenAI resource endpoint, e.g. "https://my-resource.openai.azure.com"
+   */
+  endpoint: string;
+
+  /**
+   * Azure OpenAI API version, sent as the `api-version` query parameter
+   */
+  apiVersion: string;
+
+  /**
+   * Deployment name for each model name. Unmapped models use the model name.
+   */
+  deployments?: Record<string, string>;
+
+  /**
+   * Acquire an Entra ID access token for each request instead of using an
+   * API key. Token caching is left to the callback.
+   */
+  getAccessToken?: () => string | Promise<string>;
+}
+
+/**
+ * Options for waiting on queued requests
+ */
+export interface QueueOptions {
+  /**
+   * Maximum total time to wait for a queued request in milliseconds (default: 60000)
+   */
+  maxWait?: number;
+
+  /**
+   * Delay between attempts when the proxy gives no Retry-After or ETA, in milliseconds (default: 1000)
+   */
+  pollInterval?: number;
+}
+
+/**
+ * Per-request options
+ */
+export interface TokenlayRequestOptions {
+  /**
+   * Abort the request, including any time spent waiting in a Tokenlay queue
+   */
+  signal?: AbortSignal;
+
+  /**
+   * Set to false to bypass the response cache for this request
+   */
+  cache?: boolean;
 }
 
 /**
@@ -126,6 +319,48 @@ export interface TokenlayResponseMetadata {
    * Warnings from the rules engine
    */
   warnings?: string[];
+
+  /**
+   * Ticket identifying a queued request, sent back when re-submitting
+   */
+  queueId?: string;
+
+  /**
+   * Position of a queued request in the Tokenlay queue
+   */
+  queuePosition?: number;
+
+  /**
+   * Estimated time until a queued request is processed, in milliseconds
+   */
+  queueEta?: number;
+
+  /**
+   * Whether a failed request was rejected by Tokenlay itself or by the
+   * provider, when the proxy reports it
+   */
+  errorSource?: 'tokenlay' | 'provider';
+
+  /**
+   * Provider that served the request, when a fallback chain is configured
+   */
+  provider?: string;
+
+  /**
+   * Fingerprint of the pooled provider key that served the request
+   */
+  keyFingerprint?: string;
+
+  /**
+   * Whether the response was served from the response cache
+   */
+  cached?: boolean;
+
+  /**
+   * Whether the request went straight to the provider because the Tokenlay
+   * proxy could not be reached
+   */
+  bypassed?: boolean;
 }
 
 /**
@@ -142,4 +377,95 @@ export interface TokenlayChatCompletionCreateParams {
    */
   // eslint-disable-next-line @typescript-eslint/no-explicit-any
   [key: string]: any;
-}
\ No newline at end of file
+}
+
+/**
+ * Chat completion options for a streaming request
+ */
+export type TokenlayChatCompletionCreateParamsStreaming = TokenlayChatCompletionCreateParams & {
+  stream: true;
+};
+
+/**
+ * Chat completion options for a non-streaming request
+ */
+export type TokenlayChatCompletionCreateParamsNonStreaming = TokenlayChatCompletionCreateParams & {
+  stream?: false | null;
+};
+
+/**
+ * Extended embedding options with Tokenlay metadata
+ */
+export interface TokenlayEmbeddingCreateParams {
+  /**
+   * Per-request metadata (overrides global metadata)
+   */
+  metadata?: RequestMetadata;
+
+  /**
+   * All other OpenAI embedding parameters
+   */
+  // eslint-disable-next-line @typescript-eslint/no-explicit-any
+  [key: string]: any;
+}
+
+/**
+ * Extended Responses API options with Tokenlay metadata
+ */
+export interface TokenlayResponseCreateParams {
+  /**
+   * Per-request metadata (overrides global metadata)
+   */
+  metadata?: RequestMetadata;
+
+  /**
+   * All other OpenAI Responses API parameters
+   */
+  // eslint-disable-next-line @typescript-eslint/no-explicit-any
+  [key: string]: any;
+}
+
+/**
+ * Responses API options for a streaming request
+ */
+export type TokenlayResponseCreateParamsStreaming = TokenlayResponseCreateParams & {
+  stream: true;
+};
+
+/**
+ * Responses API options for a non-streaming request
+ */
+export type TokenlayResponseCreateParamsNonStreaming = TokenlayResponseCreateParams & {
+  stream?: false | null;
+};
+
+/**
+ * Extended Anthropic Messages options with Tokenlay metadata
+ */
+export interface TokenlayMessageCreateParams {
+  /**
+   * Per-request metadata (overrides global metadata). Anthropic's own
+   * `user_id` is forwarded to Anthropic; all other fields go to Tokenlay.
+   */
+  metadata?: RequestMetadata & { user_id?: string | null };
+
+  /**
+   * All other Anthropic Messages parameters
+   */
+  // eslint-disable-next-line @typescript-eslint/no-explicit-any
+  [key: string]: any;
+}
+
+/**
+ * Anthropic Messages options for a streaming request
+ */
+export type TokenlayMessageCreateParamsStreaming = TokenlayMessageCreateParams & {
+  stream: true;
+};
+
+/**
+ * Anthropic Messages options for a non-streaming request
+ */
+export type TokenlayMessageCreateParamsNonStreaming = TokenlayMessageCreateParams & {
+  stream?: false | null;
+};
\ No newline at end of file
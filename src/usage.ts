@@ -0,0 +1,213 @@
+import type { TokenlayBaseClient } from './base.js';
+import type { TokenlayRequestContext, TokenlayResponseContext, TokenlayErrorContext } from './hooks.js';
+import {
+  TokenlayBlockedError,
+  TokenlayBudgetExceededError,
+  TokenlayLimitExceededError,
+} from './errors.js';
+
+/**
+ * Options for creating a UsageTracker
+ */
+export interface UsageTrackerOptions {
+  /**
+   * Dimensions to group usage by: any metadata key, or `model` for the
+   * requested model (default: `['model']`)
+   */
+  groupBy?: string[];
+}
+
+/**
+ * Aggregated usage
+ */
+export interface UsageTotals {
+  /**
+   * Completed requests, including rejected and failed ones
+   */
+  requests: number;
+  inputTokens: number;
+  outputTokens: number;
+
+  /**
+   * Cost in USD reported by Tokenlay
+   */
+  cost: number;
+
+  /**
+   * Requests rejected by a Tokenlay rule, usage limit or client budget
+   */
+  blocked: number;
+
+  /**
+   * Requests a rule let through with a warning
+   */
+  warned: number;
+
+  /**
+   * Requests that failed for any other reason
+   */
+  errors: number;
+}
+
+/**
+ * Usage for one combination of dimension values. Requests without a value
+ * for a dimension are grouped under `null`.
+ */
+export interface UsageGroup extends UsageTotals {
+  dimensions: Record<string, string | null>;
+}
+
+/**
+ * Point-in-time copy of the tracked usage
+ */
+export interface UsageSnapshot {
+  /**
+   * When tracking started or was last reset (ISO 8601)
+   */
+  since: string;
+  groupBy: string[];
+  totals: UsageTotals;
+  groups: UsageGroup[];
+}
+
+function emptyTotals(): UsageTotals {
+  return { requests: 0, inputTokens: 0, outputTokens: 0, cost: 0, blocked: 0, warned: 0, errors: 0 };
+}
+
+/**
+ * Quote a CSV field when needed
+ */
+function csvField(value: string | number | null): string {
+  const text = value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * UsageTracker - aggregates cost, tokens and rule outcomes in process
+ *
+ * Attach it to one or more clients, then take snapshots or export them for
+ * logging and reconciliation against the Tokenlay dashboard.
+ */
+export class UsageTracker {
+  private readonly groupBy: string[];
+  private totals = emptyTotals();
+  private groups = new Map<string, UsageGroup>();
+  private since = new Date();
+
+  constructor(options: UsageTrackerOptions = {}) {
+    this.groupBy = options.groupBy ?? ['model'];
+  }
+
+  /**
+   * Track every request made through a client. Returns a function that
+   * stops tracking it.
+   */
+  attach(client: Pick<TokenlayBaseClient, 'addHook'>): () => void {
+    const removeHooks = [
+      client.addHook('onResponse', (context) => this.recordResponse(context)),
+      client.addHook('onError', (context) => this.recordError(context)),
+    ];
+
+    return () => {
+      for (const remove of removeHooks) {
+        remove();
+      }
+    };
+  }
+
+  /**
+   * Copy of the usage tracked so far
+   */
+  snapshot(): UsageSnapshot {
+    return {
+      since: this.since.toISOString(),
+      groupBy: [...this.groupBy],
+      totals: { ...this.totals },
+      groups: [...this.groups.values()].map((group) => ({ ...group, dimensions: { ...group.dimensions } })),
+    };
+  }
+
+  /**
+   * Clear all tracked usage
+   */
+  reset(): void {
+    this.totals = emptyTotals();
+    this.groups.clear();
+    this.since = new Date();
+  }
+
+  /**
+   * Snapshot for `JSON.stringify(tracker)`
+   */
+  toJSON(): UsageSnapshot {
+    return this.snapshot();
+  }
+
+  /**
+   * Export the groups as CSV, one row per group with a header row
+   */
+  toCSV(): string {
+    const columns: (keyof UsageTotals)[] = ['requests', 'inputTokens', 'outputTokens', 'cost', 'blocked', 'warned', 'errors'];
+    const rows = [[...this.groupBy, ...columns].map(csvField).join(',')];
+
+    for (const group of this.groups.values()) {
+      rows.push([
+        ...this.groupBy.map((dimension) => group.dimensions[dimension]),
+        ...columns.map((column) => group[column]),
+      ].map(csvField).join(','));
+    }
+
+    return rows.join('\n') + '\n';
+  }
+
+  private recordResponse(context: TokenlayResponseContext): void {
+    const { tokenlay } = context;
+
+    this.record(context, (totals) => {
+      totals.requests += 1;
+      totals.inputTokens += tokenlay.inputTokens;
+      totals.outputTokens += tokenlay.outputTokens;
+      totals.cost += tokenlay.cost;
+      if (tokenlay.ruleAction === 'warn') {
+        totals.warned += 1;
+      }
+    });
+  }
+
+  private recordError(context: TokenlayErrorContext): void {
+    const { error } = context;
+    const blocked = error instanceof TokenlayBlockedError
+      || error instanceof TokenlayLimitExceededError
+      || error instanceof TokenlayBudgetExceededError;
+
+    this.record(context, (totals) => {
+      totals.requests += 1;
+      if (blocked) {
+        totals.blocked += 1;
+      } else {
+        totals.errors += 1;
+      }
+    });
+  }
+
+  /**
+   * Apply an update to the overall totals and to the request's group
+   */
+  private record(context: TokenlayRequestContext, update: (totals: UsageTotals) => void): void {
+    const dimensions: Record<string, string | null> = {};
+    for (const dimension of this.groupBy) {
+      const value = dimension === 'model' ? context.params.model : context.metadata[dimension];
+      dimensions[dimension] = typeof value === 'string' ? value : null;
+    }
+
+    const key = JSON.stringify(this.groupBy.map((dimension) => dimensions[dimension]));
+    let group = this.groups.get(key);
+    if (!group) {
+      group = { dimensions, ...emptyTotals() };
+      this.groups.set(key, group);
+    }
+
+    update(this.totals);
+    update(group);
+  }
+}
@@ -1,4 +1,5 @@
-import type { RequestMetadata } from './types.js';
+import type { RequestMetadata, TokenlayResponseMetadata } from './types.js';
+import { getProviderPreset } from './providers.js';
 
 /**
  * Default Tokenlay proxy URL
@@ -10,6 +11,11 @@ export const DEFAULT_TOKENLAY_BASE_URL = 'https://api.tokenlay.com';
  */
 export const DEFAULT_PROVIDER_API_BASE = 'https://api.openai.com/v1';
 
+/**
+ * Default Anthropic API base URL
+ */
+export const DEFAULT_ANTHROPIC_API_BASE = 'https://api.anthropic.com/v1';
+
 /**
  * Convert metadata object to headers with proper prefixing
  */
@@ -41,22 +47,105 @@ export function mergeHeaders(...headerObjects: (Record<string, string> | undefin
 }
 
 /**
- * Validate that required configuration is present
+ * Validate that required configuration is present and well-formed
  */
-export function validateConfig(config: { tokenlayKey?: string; providerApiKey?: string }) {
+export function validateConfig(config: {
+  tokenlayKey?: string;
+  providerApiKey?: string;
+  provider?: string;
+  providerApiBase?: string;
+  tokenlayBaseUrl?: string;
+  azure?: { endpoint?: string; apiVersion?: string; getAccessToken?: unknown };
+}) {
   if (!config.tokenlayKey) {
     throw new Error('tokenlayKey is required. Get your free key at https://tokenlay.com');
   }
   
-  if (!config.providerApiKey) {
+  if (!config.providerApiKey && !config.azure?.getAccessToken) {
     throw new Error('providerApiKey is required. This should be your OpenAI API key or other provider key.');
   }
+
+  if (config.providerApiBase) {
+    validateUrl('providerApiBase', config.providerApiBase);
+  }
+
+  if (config.tokenlayBaseUrl) {
+    validateUrl('tokenlayBaseUrl', config.tokenlayBaseUrl);
+  }
+
+  if (config.azure) {
+    if (config.provider && config.provider !== 'azure') {
+      throw new Error(`azure options cannot be combined with provider "${config.provider}".`);
+    }
+
+    if (!config.azure.endpoint) {
+      throw new Error('azure.endpoint is required, e.g. "https://my-resource.openai.azure.com".');
+    }
+    validateUrl('azure.endpoint', config.azure.endpoint);
+
+    if (!config.azure.apiVersion) {
+      throw new Error('azure.apiVersion is required, e.g. "2024-10-21".');
+    }
+  }
+
+  if (config.provider) {
+    const preset = getProviderPreset(config.provider);
+
+    if (config.providerApiKey && preset.keyPattern && !preset.keyPattern.test(config.providerApiKey)) {
+      throw new Error(`providerApiKey does not match the ${preset.displayName} key format (keys ${preset.keyFormat}).`);
+    }
+
+    if (!preset.apiBase && !config.providerApiBase && !config.azure) {
+      throw new Error(`providerApiBase is required for provider "${preset.name}".`);
+    }
+  }
+}
+
+/**
+ * Ensure a configured URL is an absolute http(s) URL
+ */
+function validateUrl(name: string, value: string) {
+  let url: URL;
+  try {
+    url = new URL(value);
+  } catch {
+    throw new Error(`${name} must be a valid URL, got "${value}".`);
+  }
+
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new Error(`${name} must use http or https, got "${value}".`);
+  }
+}
+
+/**
+ * Parse the `x-tokenlay-warnings` header, a JSON array of messages. Any
+ * other value is kept as a single warning rather than failing the response.
+ */
+function parseWarnings(value: string | undefined): string[] | undefined {
+  if (!value) {
+    return undefined;
+  }
+
+  try {
+    const warnings: unknown = JSON.parse(value);
+    if (Array.isArray(warnings)) {
+      return warnings.map(String);
+    }
+  } catch {
+    // Not JSON
+  }
+
+  return [value];
+}
+
+function parseErrorSource(value: string | undefined): TokenlayResponseMetadata['errorSource'] {
+  return value === 'tokenlay' || value === 'provider' ? value : undefined;
 }
 
 /**
  * Parse Tokenlay response headers to extract metadata
  */
-export function parseTokenlayHeaders(headers: Record<string, string>) {
+export function parseTokenlayHeaders(headers: Record<string, string>): TokenlayResponseMetadata {
   const metadata = {
     ruleId: headers['x-tokenlay-rule-id'],
     ruleAction: headers['x-tokenlay-rule-action'] as 'allow' | 'block' | 'warn' | 'queue' || 'allow',
@@ -66,12 +155,36 @@ export function parseTokenlayHeaders(headers: Record<string, string>) {
     inputTokens: parseInt(headers['x-tokenlay-input-tokens'] || '0', 10),
     outputTokens: parseInt(headers['x-tokenlay-output-tokens'] || '0', 10),
     duration: parseInt(headers['x-tokenlay-duration'] || '0', 10),
-    warnings: headers['x-tokenlay-warnings'] ? JSON.parse(headers['x-tokenlay-warnings']) : undefined,
+    warnings: parseWarnings(headers['x-tokenlay-warnings']),
+    queueId: headers['x-tokenlay-queue-id'],
+    queuePosition: headers['x-tokenlay-queue-position'] ? parseInt(headers['x-tokenlay-queue-position'], 10) : undefined,
+    queueEta: headers['x-tokenlay-queue-eta'] ? parseInt(headers['x-tokenlay-queue-eta'], 10) : undefined,
+    errorSource: parseErrorSource(headers['x-tokenlay-error-source']),
   };
   
   return metadata;
 }
 
+/**
+ * Anything that can enumerate headers like a fetch `Headers` instance
+ */
+export interface HeadersLike {
+  forEach(callback: (value: string, key: string) => void): void;
+}
+
+/**
+ * Convert a fetch `Headers` instance into a plain object with lowercase keys
+ */
+export function headersToRecord(headers: HeadersLike): Record<string, string> {
+  const record: Record<string, string> = {};
+
+  headers.forEach((value, key) => {
+    record[key.toLowerCase()] = value;
+  });
+
+  return record;
+}
+
 /**
  * Build the full URL for Tokenlay proxy endpoint
  */
@@ -79,4 +192,71 @@ export function buildTokenlayUrl(baseUrl: string, endpoint: string): string {
   const cleanBase = baseUrl.replace(/\/$/, '');
   const cleanEndpoint = endpoint.replace(/^\//, '');
   return `${cleanBase}/v1/${cleanEndpoint}`;
-}
\ No newline at end of file
+}
+
+/**
+ * Parse the `Retry-After` (or `retry-after-ms`) header into milliseconds
+ */
+export function parseRetryAfter(headers: Record<string, string>): number | undefined {
+  const retryAfterMs = parseFloat(headers['retry-after-ms']);
+  if (!Number.isNaN(retryAfterMs)) {
+    return retryAfterMs;
+  }
+
+  const retryAfter = headers['retry-after'];
+  if (!retryAfter) {
+    return undefined;
+  }
+
+  const seconds = parseFloat(retryAfter);
+  if (!Number.isNaN(seconds)) {
+    return seconds * 1000;
+  }
+
+  const date = Date.parse(retryAfter);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+/**
+ * Wait for the given number of milliseconds, rejecting early if the signal aborts
+ */
+export function sleep(ms: number, signal?: AbortSignal): Promise<void> {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason ?? new Error('The operation was aborted'));
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal?.reason ?? new Error('The operation was aborted'));
+    };
+
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * JSON with object keys sorted and undefined values dropped, so that
+ * equivalent params serialize identically
+ */
+export function stableStringify(value: unknown): string {
+  if (Array.isArray(value)) {
+    return `[${value.map((item) => stableStringify(item ?? null)).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    const entries = Object.entries(value)
+      .filter(([, item]) => item !== undefined)
+      .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+      .map(([key, item]) => `${JSON.stringify(key)}:${stableStringify(item)}`);
+    return `{${entries.join(',')}}`;
+  }
+
+  return JSON.stringify(value);
+}
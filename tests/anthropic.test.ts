@@ -0,0 +1,247 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { TokenlayAnthropic } from '../src/anthropic.js';
+import { getTokenlayMetadata } from '../src/client.js';
+import { TokenlayBlockedError } from '../src/errors.js';
+import { DEFAULT_ANTHROPIC_API_BASE } from '../src/utils.js';
+
+const message = {
+  id: 'msg_test',
+  type: 'message',
+  role: 'assistant',
+  model: 'claude-sonnet-4',
+  content: [
+    { type: 'text', text: 'Let me check the weather.' },
+    { type: 'tool_use', id: 'toolu_1', name: 'get_weather', input: { city: 'Paris' } },
+  ],
+  stop_reason: 'tool_use',
+  usage: { input_tokens: 30, output_tokens: 12 },
+};
+
+/**
+ * Build an object shaped like the Anthropic SDK's APIPromise
+ */
+function mockApiPromise(data: unknown, headers: Record<string, string> = {}) {
+  return {
+    withResponse: () => Promise.resolve({
+      data,
+      response: { headers: new Headers(headers) },
+    }),
+  };
+}
+
+// Options passed to the most recently constructed Anthropic client
+// eslint-disable-next-line @typescript-eslint/no-explicit-any
+let lastAnthropicOptions: any;
+
+const mockCreate = vi.fn();
+
+vi.mock('@anthropic-ai/sdk', async (importOriginal) => {
+  const { default: Anthropic } = await importOriginal<typeof import('@anthropic-ai/sdk')>();
+
+  // eslint-disable-next-line @typescript-eslint/no-explicit-any
+  function MockAnthropic(options: any) {
+    lastAnthropicOptions = options;
+    return {
+      messages: {
+        create: mockCreate,
+      },
+    };
+  }
+
+  // Keep the real error classes, which the client registers as connection errors
+  const { APIConnectionError, APIConnectionTimeoutError } = Anthropic;
+  return {
+    default: Object.assign(MockAnthropic, { APIConnectionError, APIConnectionTimeoutError }),
+  };
+});
+
+describe('TokenlayAnthropic', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockCreate.mockImplementation(() => mockApiPromise(message));
+  });
+
+  describe('constructor', () => {
+    it('should point the Anthropic client at the Tokenlay proxy', () => {
+      new TokenlayAnthropic({
+        tokenlayKey: 'tk_test_123',
+        providerApiKey: 'sk-ant-test-456',
+        tokenlayBaseUrl: 'https://proxy.example.com/',
+        metadata: { projectId: 'proj_1' },
+      });
+
+      expect(lastAnthropicOptions).toMatchObject({
+        apiKey: null,
+        authToken: 'tk_test_123',
+        baseURL: 'https://proxy.example.com',
+        timeout: 60000,
+        maxRetries: 2,
+        defaultHeaders: {
+          'x-tokenlay-provider-key': 'sk-ant-test-456',
+          'x-tokenlay-provider-base': DEFAULT_ANTHROPIC_API_BASE,
+          'x-tokenlay-projectId': 'proj_1',
+        },
+      });
+    });
+
+    it('should throw error when providerApiKey is missing', () => {
+      expect(() => new TokenlayAnthropic({
+        tokenlayKey: 'tk_test_123',
+        providerApiKey: '',
+      })).toThrow('providerApiKey is required');
+    });
+  });
+
+  describe('messages.create', () => {
+    it('should pass metadata as headers and attach Tokenlay metadata', async () => {
+      const client = new TokenlayAnthropic({
+        tokenlayKey: 'tk_test_123',
+        providerApiKey: 'sk-ant-test-456',
+      });
+
+      mockCreate.mockReturnValueOnce(mockApiPromise(message, {
+        'x-tokenlay-rule-id': 'rule_claude',
+        'x-tokenlay-cost': '0.0003',
+        'x-tokenlay-input-tokens': '30',
+        'x-tokenlay-output-tokens': '12',
+      }));
+
+      const tools = [{
+        name: 'get_weather',
+        description: 'Get the weather for a city',
+        input_schema: { type: 'object', properties: { city: { type: 'string' } } },
+      }];
+
+      const response = await client.messages.create({
+        model: 'claude-sonnet-4',
+        max_tokens: 1024,
+        system: 'You are a helpful assistant.',
+        messages: [{ role: 'user', content: 'Weather in Paris?' }],
+        tools,
+        metadata: { userId: 'user_123' },
+      });
+
+      expect(mockCreate).toHaveBeenCalledWith(
+        {
+          model: 'claude-sonnet-4',
+          max_tokens: 1024,
+          system: 'You are a helpful assistant.',
+          messages: [{ role: 'user', content: 'Weather in Paris?' }],
+          tools,
+        },
+        { headers: { 'x-tokenlay-userId': 'user_123' }, signal: undefined, maxRetries: 0 }
+      );
+      expect(response.content[1]).toMatchObject({ type: 'tool_use', name: 'get_weather' });
+      expect(getTokenlayMetadata(response)).toMatchObject({
+        ruleId: 'rule_claude',
+        cost: 0.0003,
+        inputTokens: 30,
+        outputTokens: 12,
+      });
+    });
+
+    it('should forward Anthropic metadata.user_id to Anthropic', async () => {
+      const client = new TokenlayAnthropic({
+        tokenlayKey: 'tk_test_123',
+        providerApiKey: 'sk-ant-test-456',
+      });
+
+      mockCreate.mockReturnValueOnce(mockApiPromise(message));
+
+      await client.messages.create({
+        model: 'claude-sonnet-4',
+        max_tokens: 1024,
+        messages: [{ role: 'user', content: 'Hello!' }],
+        metadata: { userId: 'user_123', user_id: 'end-user-42' },
+      });
+
+      expect(mockCreate.mock.calls[0][0].metadata).toEqual({ user_id: 'end-user-42' });
+      expect(mockCreate.mock.calls[0][1].headers).toEqual({ 'x-tokenlay-userId': 'user_123' });
+    });
+
+    it('should stream events with Tokenlay metadata', async () => {
+      const client = new TokenlayAnthropic({
+        tokenlayKey: 'tk_test_123',
+        providerApiKey: 'sk-ant-test-456',
+      });
+
+      const events = [
+        { type: 'message_start', message: { id: 'msg_test', usage: { input_tokens: 25, output_tokens: 1 } } },
+        { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Hi' } },
+        { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 9 }, tokenlay: { cost: 0.0002 } },
+        { type: 'message_stop' },
+      ];
+
+      mockCreate.mockReturnValueOnce({
+        withResponse: () => Promise.resolve({
+          data: {
+            controller: new AbortController(),
+            async *[Symbol.asyncIterator]() {
+              yield* events;
+            },
+          },
+          response: { headers: new Headers({ 'x-tokenlay-rule-id': 'rule_stream' }) },
+        }),
+      });
+
+      const stream = await client.messages.stream({
+        model: 'claude-sonnet-4',
+        max_tokens: 256,
+        messages: [{ role: 'user', content: 'Hello!' }],
+      });
+
+      expect(mockCreate.mock.calls[0][0].stream).toBe(true);
+      expect(getTokenlayMetadata(stream)?.ruleId).toBe('rule_stream');
+
+      const received = [];
+      for await (const event of stream) {
+        received.push(event.type);
+      }
+
+      expect(received).toEqual(['message_start', 'content_block_delta', 'message_delta', 'message_stop']);
+      expect(await stream.finalMetadata()).toMatchObject({
+        ruleId: 'rule_stream',
+        cost: 0.0002,
+        inputTokens: 25,
+        outputTokens: 9,
+        tokensUsed: 34,
+      });
+    });
+
+    it('should throw typed errors for Tokenlay rule outcomes', async () => {
+      const client = new TokenlayAnthropic({
+        tokenlayKey: 'tk_test_123',
+        providerApiKey: 'sk-ant-test-456',
+      });
+
+      mockCreate.mockReturnValueOnce({
+        withResponse: () => Promise.reject(Object.assign(new Error('403 Blocked'), {
+          status: 403,
+          headers: new Headers({ 'x-tokenlay-rule-action': 'block', 'x-tokenlay-rule-id': 'rule_no_opus' }),
+        })),
+      });
+
+      const error = await client.messages.create({
+        model: 'claude-opus-4',
+        max_tokens: 256,
+        messages: [{ role: 'user', content: 'Hello!' }],
+      }).catch((e: unknown) => e);
+
+      expect(error).toBeInstanceOf(TokenlayBlockedError);
+      expect((error as TokenlayBlockedError).ruleId).toBe('rule_no_opus');
+    });
+  });
+
+  describe('updateProviderKey', () => {
+    it('should send the new key on subsequent requests', () => {
+      const client = new TokenlayAnthropic({
+        tokenlayKey: 'tk_test_123',
+        providerApiKey: 'sk-ant-test-456',
+      });
+
+      client.updateProviderKey('sk-ant-new-789');
+
+      expect(lastAnthropicOptions.defaultHeaders['x-tokenlay-provider-key']).toBe('sk-ant-new-789');
+    });
+  });
+});
@@ -0,0 +1,73 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  azureApiBase,
+  resolveAzureDeployment,
+  buildAzureDefaultHeaders,
+  buildAzureRequestHeaders,
+} from '../src/azure.js';
+
+const azure = {
+  endpoint: 'https://my-resource.openai.azure.com/',
+  apiVersion: '2024-10-21',
+  deployments: { 'gpt-4o': 'prod-gpt4o' },
+};
+
+describe('azure', () => {
+  describe('azureApiBase', () => {
+    it('should build the API base from the resource endpoint', () => {
+      expect(azureApiBase(azure)).toBe('https://my-resource.openai.azure.com/openai');
+    });
+  });
+
+  describe('resolveAzureDeployment', () => {
+    it('should map models to their deployment', () => {
+      expect(resolveAzureDeployment(azure, 'gpt-4o')).toBe('prod-gpt4o');
+    });
+
+    it('should fall back to the model name', () => {
+      expect(resolveAzureDeployment(azure, 'gpt-4o-mini')).toBe('gpt-4o-mini');
+    });
+  });
+
+  describe('buildAzureDefaultHeaders', () => {
+    it('should send the API version and api-key auth', () => {
+      expect(buildAzureDefaultHeaders(azure)).toEqual({
+        'x-tokenlay-provider-api-version': '2024-10-21',
+        'x-tokenlay-provider-auth': 'api-key',
+      });
+    });
+
+    it('should use bearer auth with Entra ID', () => {
+      const headers = buildAzureDefaultHeaders({ ...azure, getAccessToken: () => 'token' });
+
+      expect(headers['x-tokenlay-provider-auth']).toBe('bearer');
+    });
+  });
+
+  describe('buildAzureRequestHeaders', () => {
+    it('should point the provider base at the model deployment', async () => {
+      const headers = await buildAzureRequestHeaders(azure, 'gpt-4o');
+
+      expect(headers).toEqual({
+        'x-tokenlay-provider-base': 'https://my-resource.openai.azure.com/openai/deployments/prod-gpt4o',
+      });
+    });
+
+    it('should acquire a fresh Entra ID token for each request', async () => {
+      const getAccessToken = vi.fn()
+        .mockResolvedValueOnce('token-1')
+        .mockResolvedValueOnce('token-2');
+
+      const first = await buildAzureRequestHeaders({ ...azure, getAccessToken }, 'gpt-4o');
+      const second = await buildAzureRequestHeaders({ ...azure, getAccessToken }, 'gpt-4o');
+
+      expect(first['x-tokenlay-provider-key']).toBe('token-1');
+      expect(second['x-tokenlay-provider-key']).toBe('token-2');
+    });
+
+    it('should reject an empty token', async () => {
+      await expect(buildAzureRequestHeaders({ ...azure, getAccessToken: () => '' }, 'gpt-4o'))
+        .rejects.toThrow('azure.getAccessToken returned an empty token.');
+    });
+  });
+});
@@ -0,0 +1,93 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { BudgetManager, InMemoryBudgetStore } from '../src/budget.js';
+import { TokenlayBudgetExceededError, TokenlayError } from '../src/errors.js';
+
+describe('budget', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  describe('InMemoryBudgetStore', () => {
+    it('should total spend within the window', () => {
+      const store = new InMemoryBudgetStore();
+      store.add('budget:userId:1000:user_123', 0.5, 100);
+      store.add('budget:userId:1000:user_123', 0.25, 200);
+
+      expect(store.total('budget:userId:1000:user_123', 150)).toBe(0.25);
+      expect(store.total('budget:userId:1000:user_123', 0)).toBe(0.25);
+      expect(store.total('budget:userId:1000:other', 0)).toBe(0);
+    });
+  });
+
+  describe('BudgetManager', () => {
+    it('should validate budgets', () => {
+      expect(() => new BudgetManager({ budgets: [{ key: 'userId', limit: -1, window: 1000 }] }))
+        .toThrow('Budget limit for "userId" must be a non-negative number, got -1.');
+      expect(() => new BudgetManager({ budgets: [{ key: 'userId', limit: 1, window: 0 }] }))
+        .toThrow('Budget window for "userId" must be a positive number of milliseconds, got 0.');
+    });
+
+    it('should reject requests once the budget is spent', async () => {
+      const manager = new BudgetManager({ budgets: [{ key: 'userId', limit: 1, window: 60_000 }] });
+
+      await manager.record({ userId: 'user_123' }, 0.6);
+      await expect(manager.check({ userId: 'user_123' })).resolves.toBeUndefined();
+
+      await manager.record({ userId: 'user_123' }, 0.4);
+      const error = await manager.check({ userId: 'user_123' }).catch((e: unknown) => e);
+
+      expect(error).toBeInstanceOf(TokenlayBudgetExceededError);
+      expect(error).toBeInstanceOf(TokenlayError);
+      expect(error).toMatchObject({
+        name: 'TokenlayBudgetExceededError',
+        budgetKey: 'userId',
+        budgetValue: 'user_123',
+        limit: 1,
+        spent: 1,
+        window: 60_000,
+      });
+      expect((error as Error).message).toBe('Budget exceeded for userId "user_123": spent $1 of $1 in the last 60000ms');
+
+      // Other users and requests without the field are unaffected
+      await expect(manager.check({ userId: 'user_456' })).resolves.toBeUndefined();
+      await expect(manager.check({})).resolves.toBeUndefined();
+    });
+
+    it('should let spend age out of the rolling window', async () => {
+      vi.useFakeTimers();
+      const manager = new BudgetManager({ budgets: [{ key: 'projectId', limit: 1, window: 60_000 }] });
+
+      await manager.record({ projectId: 'proj_1' }, 1);
+      await expect(manager.check({ projectId: 'proj_1' })).rejects.toThrow(TokenlayBudgetExceededError);
+
+      vi.advanceTimersByTime(60_001);
+      await expect(manager.check({ projectId: 'proj_1' })).resolves.toBeUndefined();
+      expect(await manager.getSpend('projectId', 'proj_1')).toBe(0);
+    });
+
+    it('should track every budget that applies', async () => {
+      const manager = new BudgetManager({
+        budgets: [
+          { key: 'userId', limit: 10, window: 60_000 },
+          { key: 'feature', limit: 0.5, window: 60_000 },
+        ],
+      });
+
+      await manager.record({ userId: 'user_123', feature: 'chat' }, 0.5);
+
+      expect(await manager.getSpend('userId', 'user_123')).toBe(0.5);
+      await expect(manager.check({ userId: 'user_123', feature: 'chat' })).rejects.toMatchObject({ budgetKey: 'feature' });
+      await expect(manager.check({ userId: 'user_123', feature: 'search' })).resolves.toBeUndefined();
+    });
+
+    it('should use a custom store', async () => {
+      const store = { add: vi.fn(), total: vi.fn().mockResolvedValue(2) };
+      const manager = new BudgetManager({ budgets: [{ key: 'userId', limit: 1, window: 1000 }], store });
+
+      await manager.record({ userId: 'user_123' }, 0.1);
+      expect(store.add).toHaveBeenCalledWith('budget:userId:1000:user_123', 0.1, expect.any(Number));
+
+      await expect(manager.check({ userId: 'user_123' })).rejects.toMatchObject({ spent: 2 });
+    });
+  });
+});
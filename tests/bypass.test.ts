@@ -0,0 +1,77 @@
+import { describe, it, expect, vi } from 'vitest';
+import OpenAI from 'openai';
+import { bypassedCost, bypassedResponseUsage, isProxyConnectionError, reportBypassedUsage } from '../src/bypass.js';
+import { DEFAULT_PRICING } from '../src/pricing.js';
+
+describe('isProxyConnectionError', () => {
+  it('should detect connection errors', () => {
+    expect(isProxyConnectionError(new OpenAI.APIConnectionError({ message: 'Connection error.' }))).toBe(true);
+  });
+
+  it('should not treat timeouts, API errors or look-alikes as connection errors', () => {
+    class APIConnectionError extends Error {}
+
+    expect(isProxyConnectionError(new OpenAI.APIConnectionTimeoutError())).toBe(false);
+    expect(isProxyConnectionError(new APIConnectionError('Connection error.'))).toBe(false);
+    expect(isProxyConnectionError(Object.assign(new Error('502 Bad Gateway'), { status: 502 }))).toBe(false);
+    expect(isProxyConnectionError('Connection error.')).toBe(false);
+  });
+});
+
+describe('bypassedResponseUsage', () => {
+  it('should read chat completion usage', () => {
+    expect(bypassedResponseUsage({ usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 } }))
+      .toEqual({ inputTokens: 10, outputTokens: 5, tokensUsed: 15 });
+  });
+
+  it('should read Responses API usage', () => {
+    expect(bypassedResponseUsage({ usage: { input_tokens: 7, output_tokens: 3 } }))
+      .toEqual({ inputTokens: 7, outputTokens: 3, tokensUsed: 10 });
+  });
+
+  it('should default to zero without usage', () => {
+    expect(bypassedResponseUsage({})).toEqual({ inputTokens: 0, outputTokens: 0, tokensUsed: 0 });
+  });
+});
+
+describe('bypassedCost', () => {
+  it('should price known models', () => {
+    expect(bypassedCost('gpt-4o', { inputTokens: 1_000_000, outputTokens: 1_000_000 }, DEFAULT_PRICING)).toBe(12.5);
+  });
+
+  it('should be zero for unknown or missing models', () => {
+    expect(bypassedCost('unknown-model', { inputTokens: 100, outputTokens: 100 }, DEFAULT_PRICING)).toBe(0);
+    expect(bypassedCost(undefined, { inputTokens: 100, outputTokens: 100 }, DEFAULT_PRICING)).toBe(0);
+  });
+});
+
+describe('reportBypassedUsage', () => {
+  const records = [{
+    endpoint: 'chat.completions',
+    model: 'gpt-4o',
+    metadata: { userId: 'user_123' },
+    inputTokens: 10,
+    outputTokens: 8,
+    cost: 0.000105,
+    timestamp: 1_700_000_000_000,
+  }];
+
+  it('should post the records with the Tokenlay key', async () => {
+    const fetchImpl = vi.fn().mockResolvedValue({ ok: true, status: 200 });
+
+    await reportBypassedUsage('https://api.tokenlay.com/v1/usage', 'tk_test_123', records, fetchImpl);
+
+    expect(fetchImpl).toHaveBeenCalledWith('https://api.tokenlay.com/v1/usage', {
+      method: 'POST',
+      headers: { 'Authorization': 'Bearer tk_test_123', 'Content-Type': 'application/json' },
+      body: JSON.stringify({ records }),
+    });
+  });
+
+  it('should throw when the report is rejected', async () => {
+    const fetchImpl = vi.fn().mockResolvedValue({ ok: false, status: 401, statusText: 'Unauthorized' });
+
+    await expect(reportBypassedUsage('https://api.tokenlay.com/v1/usage', 'tk_test_123', records, fetchImpl))
+      .rejects.toThrow('Failed to report bypassed usage: HTTP 401: Unauthorized');
+  });
+});
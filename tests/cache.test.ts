@@ -0,0 +1,84 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { ResponseCache, MemoryCacheStore } from '../src/cache.js';
+import { parseTokenlayHeaders } from '../src/utils.js';
+
+const metadata = { ...parseTokenlayHeaders({ 'x-tokenlay-cost': '0.002' }) };
+
+describe('ResponseCache', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  describe('key', () => {
+    const cache = new ResponseCache();
+    const params = {
+      model: 'gpt-4o',
+      messages: [{ role: 'user', content: 'Hello' }],
+      temperature: 0,
+    };
+
+    it('should not depend on param order or transport options', () => {
+      expect(cache.key('chat.completions', params)).toBe(cache.key('chat.completions', {
+        temperature: 0,
+        stream_options: undefined,
+        messages: [{ content: 'Hello', role: 'user' }],
+        model: 'gpt-4o',
+        user: 'user_123',
+      }));
+    });
+
+    it('should change with the model, messages and sampling params', () => {
+      const key = cache.key('chat.completions', params);
+
+      expect(cache.key('chat.completions', { ...params, model: 'gpt-4o-mini' })).not.toBe(key);
+      expect(cache.key('chat.completions', { ...params, messages: [{ role: 'user', content: 'Hi' }] })).not.toBe(key);
+      expect(cache.key('chat.completions', { ...params, temperature: 1 })).not.toBe(key);
+      expect(cache.key('embeddings', params)).not.toBe(key);
+    });
+
+    it('should include only the configured metadata fields', () => {
+      const perUser = new ResponseCache({ metadataKeys: ['userId'] });
+
+      expect(cache.key('chat.completions', params, { userId: 'a' })).toBe(cache.key('chat.completions', params, { userId: 'b' }));
+      expect(perUser.key('chat.completions', params, { userId: 'a', feature: 'x' }))
+        .toBe(perUser.key('chat.completions', params, { userId: 'a', feature: 'y' }));
+      expect(perUser.key('chat.completions', params, { userId: 'a' }))
+        .not.toBe(perUser.key('chat.completions', params, { userId: 'b' }));
+    });
+  });
+
+  it('should expire entries after the ttl', async () => {
+    vi.useFakeTimers();
+    const cache = new ResponseCache({ ttl: 1000 });
+
+    await cache.set('key', { id: 'chatcmpl-test' }, metadata);
+    expect((await cache.get('key'))?.value).toEqual({ id: 'chatcmpl-test' });
+
+    vi.advanceTimersByTime(1000);
+    expect(await cache.get('key')).toBeUndefined();
+  });
+
+  describe('MemoryCacheStore', () => {
+    it('should evict the least recently used entry', () => {
+      const store = new MemoryCacheStore({ maxEntries: 2 });
+      store.set('a', { value: 'a', metadata });
+      store.set('b', { value: 'b', metadata });
+
+      store.get('a');
+      store.set('c', { value: 'c', metadata });
+
+      expect(store.get('b')).toBeUndefined();
+      expect(store.get('a')?.value).toBe('a');
+      expect(store.size).toBe(2);
+    });
+
+    it('should return copies of stored entries', () => {
+      const store = new MemoryCacheStore();
+      store.set('a', { value: { text: 'a' }, metadata });
+
+      (store.get('a')!.value as { text: string }).text = 'changed';
+
+      expect(store.get('a')?.value).toEqual({ text: 'a' });
+    });
+  });
+});
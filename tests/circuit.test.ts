@@ -0,0 +1,148 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import OpenAI from 'openai';
+import { CircuitBreaker, isUpstreamFailure } from '../src/circuit.js';
+import { TokenlayCircuitOpenError, TokenlayLimitExceededError } from '../src/errors.js';
+import { parseTokenlayHeaders } from '../src/utils.js';
+
+const key = 'https://api.openai.com/v1 gpt-4o';
+
+function apiError(status: number) {
+  return Object.assign(new Error(`${status} Error`), { status });
+}
+
+describe('CircuitBreaker', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  async function fail(breaker: CircuitBreaker, times = 1) {
+    for (let i = 0; i < times; i++) {
+      await expect(breaker.execute(key, () => Promise.reject(apiError(503)))).rejects.toThrow('503 Error');
+    }
+  }
+
+  it('should open after consecutive failures and fail fast', async () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 2 });
+    const stateChange = vi.fn();
+    breaker.on('stateChange', stateChange);
+    const request = vi.fn().mockResolvedValue('ok');
+
+    await fail(breaker, 2);
+
+    await expect(breaker.execute(key, request)).rejects.toBeInstanceOf(TokenlayCircuitOpenError);
+    expect(request).not.toHaveBeenCalled();
+    expect(breaker.getState(key)).toBe('open');
+    expect(stateChange).toHaveBeenCalledWith({ key, from: 'closed', to: 'open', failures: 2 });
+  });
+
+  it('should reset the failure count after a success', async () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 2 });
+
+    await fail(breaker);
+    await breaker.execute(key, () => Promise.resolve('ok'));
+    await fail(breaker);
+
+    expect(breaker.getState(key)).toBe('closed');
+  });
+
+  it('should track circuits per key', async () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 1 });
+
+    await fail(breaker);
+
+    await expect(breaker.execute('https://api.openai.com/v1 gpt-4o-mini', () => Promise.resolve('ok')))
+      .resolves.toBe('ok');
+  });
+
+  it('should close after a successful half-open probe', async () => {
+    vi.useFakeTimers();
+    const breaker = new CircuitBreaker({ failureThreshold: 1, resetTimeout: 1000 });
+    const stateChange = vi.fn();
+    breaker.on('stateChange', stateChange);
+
+    await fail(breaker);
+    await expect(breaker.execute(key, () => Promise.resolve('ok')))
+      .rejects.toMatchObject({ circuitKey: key, retryAfter: 1000 });
+
+    vi.advanceTimersByTime(1000);
+    expect(breaker.getState(key)).toBe('half-open');
+
+    let finishProbe!: (value: string) => void;
+    const probe = breaker.execute(key, () => new Promise<string>((resolve) => { finishProbe = resolve; }));
+
+    // Only one probe at a time
+    await expect(breaker.execute(key, () => Promise.resolve('ok'))).rejects.toBeInstanceOf(TokenlayCircuitOpenError);
+
+    finishProbe('ok');
+    await expect(probe).resolves.toBe('ok');
+    expect(breaker.getState(key)).toBe('closed');
+    expect(stateChange.mock.calls.map(([event]) => event.to)).toEqual(['open', 'half-open', 'closed']);
+  });
+
+  it('should reopen when the probe fails', async () => {
+    vi.useFakeTimers();
+    const breaker = new CircuitBreaker({ failureThreshold: 1, resetTimeout: 1000 });
+
+    await fail(breaker);
+    vi.advanceTimersByTime(1000);
+    await fail(breaker);
+
+    expect(breaker.getState(key)).toBe('open');
+    expect(breaker.snapshot()).toEqual([{ key, state: 'open', failures: 2, openedAt: Date.now() }]);
+  });
+
+  it('should not count cancelled requests or healthy answers as failures', async () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 1 });
+    const controller = new AbortController();
+    controller.abort();
+
+    await expect(breaker.execute(key, () => Promise.reject(apiError(503)), controller.signal)).rejects.toThrow();
+    await expect(breaker.execute(key, () => Promise.reject(apiError(400)))).rejects.toThrow();
+
+    expect(breaker.getState(key)).toBe('closed');
+  });
+
+  it('should not count ignored errors as failures', async () => {
+    vi.useFakeTimers();
+    const breaker = new CircuitBreaker({ failureThreshold: 1, resetTimeout: 1000 });
+    const ignoreError = (error: unknown) => (error as { status?: number }).status === 503;
+
+    await expect(breaker.execute(key, () => Promise.reject(apiError(503)), undefined, ignoreError)).rejects.toThrow();
+    expect(breaker.getState(key)).toBe('closed');
+
+    await fail(breaker);
+    vi.advanceTimersByTime(1000);
+
+    // An ignored probe leaves the circuit half-open for the next probe
+    await expect(breaker.execute(key, () => Promise.reject(apiError(503)), undefined, ignoreError)).rejects.toThrow();
+    expect(breaker.getState(key)).toBe('half-open');
+    await expect(breaker.execute(key, () => Promise.resolve('ok'))).resolves.toBe('ok');
+    expect(breaker.getState(key)).toBe('closed');
+  });
+
+  it('should close circuits on reset', async () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 1 });
+
+    await fail(breaker);
+    breaker.reset();
+
+    expect(breaker.getState(key)).toBe('closed');
+    expect(breaker.snapshot()).toEqual([]);
+  });
+});
+
+describe('isUpstreamFailure', () => {
+  it('should count server errors, timeouts and connection errors', () => {
+    expect(isUpstreamFailure(apiError(502))).toBe(true);
+    expect(isUpstreamFailure(apiError(408))).toBe(true);
+    expect(isUpstreamFailure(new OpenAI.APIConnectionError({ message: 'Connection error.' }))).toBe(true);
+    expect(isUpstreamFailure(new OpenAI.APIConnectionTimeoutError())).toBe(true);
+  });
+
+  it('should not count client errors and Tokenlay rule outcomes', () => {
+    expect(isUpstreamFailure(apiError(429))).toBe(false);
+    expect(isUpstreamFailure(new Error('boom'))).toBe(false);
+    expect(isUpstreamFailure(new TokenlayLimitExceededError('Limit', { metadata: parseTokenlayHeaders({}), status: 500 })))
+      .toBe(false);
+  });
+});
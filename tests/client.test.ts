@@ -1,9 +1,21 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import OpenAI from 'openai';
 import { TokenlayOpenAI, getTokenlayMetadata } from '../src/client.js';
+import {
+  TokenlayLimitExceededError,
+  TokenlayQueuedError,
+  TokenlayBudgetExceededError,
+  TokenlayCircuitOpenError,
+  TokenlayAuthError,
+} from '../src/errors.js';
+import { BudgetManager } from '../src/budget.js';
+import { ProviderKeyPool, fingerprintKey } from '../src/keys.js';
+import { CircuitBreaker } from '../src/circuit.js';
+import { ResponseCache } from '../src/cache.js';
+import { runWithMetadata } from '../src/context.js';
 import { DEFAULT_TOKENLAY_BASE_URL, DEFAULT_PROVIDER_API_BASE } from '../src/utils.js';
 
-// Mock OpenAI
-const mockCreate = vi.fn().mockResolvedValue({
+const completion = {
   id: 'chatcmpl-test',
   object: 'chat.completion',
   choices: [
@@ -22,22 +34,88 @@ const mockCreate = vi.fn().mockResolvedValue({
     total_tokens: 18,
   },
   _request_id: 'req_test_123',
-});
+};
+
+/**
+ * Build an object shaped like the OpenAI SDK's APIPromise that rejects with a queued response
+ */
+function mockQueuedApiPromise(headers: Record<string, string>) {
+  return {
+    withResponse: () => Promise.reject(Object.assign(new Error('429 Request queued'), {
+      status: 429,
+      headers: { 'x-tokenlay-rule-action': 'queue', ...headers },
+    })),
+  };
+}
+
+/**
+ * Build an object shaped like the OpenAI SDK's APIPromise
+ */
+function mockApiPromise(data: unknown, headers: Record<string, string> = {}) {
+  return {
+    withResponse: () => Promise.resolve({
+      data: structuredClone(data),
+      response: { headers: new Headers(headers) },
+    }),
+  };
+}
+
+const embedding = {
+  object: 'list',
+  data: [{ object: 'embedding', index: 0, embedding: [0.1, 0.2, 0.3] }],
+  model: 'text-embedding-3-small',
+  usage: { prompt_tokens: 4, total_tokens: 4 },
+};
+
+const modelResponse = {
+  id: 'resp_test',
+  object: 'response',
+  output_text: 'Hello from the Responses API',
+  usage: { input_tokens: 7, output_tokens: 5, total_tokens: 12 },
+};
+
+// Mock OpenAI
+const mockCreate = vi.fn().mockImplementation(() => mockApiPromise(completion));
+const mockEmbeddingsCreate = vi.fn().mockImplementation(() => mockApiPromise(embedding));
+const mockResponsesCreate = vi.fn().mockImplementation(() => mockApiPromise(modelResponse));
+
+// Chat completions sent straight to the provider in fail-open mode
+const mockDirectCreate = vi.fn().mockImplementation(() => mockApiPromise(completion));
+
+// Options passed to the most recently constructed OpenAI client
+// eslint-disable-next-line @typescript-eslint/no-explicit-any
+let lastOpenAIOptions: any;
+
+vi.mock('openai', async (importOriginal) => {
+  const { default: OpenAI } = await importOriginal<typeof import('openai')>();
 
-vi.mock('openai', () => {
   // Create a mock constructor function
-  function MockOpenAI() {
+  // eslint-disable-next-line @typescript-eslint/no-explicit-any
+  function MockOpenAI(options: any) {
+    if (options.baseURL === DEFAULT_PROVIDER_API_BASE) {
+      return { chat: { completions: { create: mockDirectCreate } } };
+    }
+
+    lastOpenAIOptions = options;
     return {
       chat: {
         completions: {
           create: mockCreate,
         },
       },
+      embeddings: {
+        create: mockEmbeddingsCreate,
+      },
+      responses: {
+        create: mockResponsesCreate,
+      },
     };
   }
   
+  // Keep the real error classes, which the client recognizes connection errors by
+  const { APIConnectionError, APIConnectionTimeoutError } = OpenAI;
   return {
-    default: MockOpenAI,
+    default: Object.assign(MockOpenAI, { APIConnectionError, APIConnectionTimeoutError }),
   };
 });
 
@@ -48,26 +126,10 @@ describe('TokenlayOpenAI', () => {
   beforeEach(() => {
     vi.clearAllMocks();
     // Reset the mockCreate for each test
-    mockCreate.mockResolvedValue({
-      id: 'chatcmpl-test',
-      object: 'chat.completion',
-      choices: [
-        {
-          message: {
-            role: 'assistant',
-            content: 'Hello! How can I help you today?',
-          },
-          finish_reason: 'stop',
-          index: 0,
-        },
-      ],
-      usage: {
-        prompt_tokens: 10,
-        completion_tokens: 8,
-        total_tokens: 18,
-      },
-      _request_id: 'req_test_123',
-    });
+    mockCreate.mockImplementation(() => mockApiPromise(completion));
+    mockEmbeddingsCreate.mockImplementation(() => mockApiPromise(embedding));
+    mockResponsesCreate.mockImplementation(() => mockApiPromise(modelResponse));
+    mockDirectCreate.mockImplementation(() => mockApiPromise(completion));
   });
 
   afterEach(() => {
@@ -138,6 +200,51 @@ describe('TokenlayOpenAI', () => {
       expect(config.maxRetries).toBe(customConfig.maxRetries);
       expect(config.metadata).toEqual(customConfig.metadata);
     });
+
+    it('should allow disabling retries', () => {
+      new TokenlayOpenAI({
+        tokenlayKey: 'tk_test_123',
+        providerApiKey: 'sk-test-456',
+        maxRetries: 0,
+      });
+
+      expect(lastOpenAIOptions.maxRetries).toBe(0);
+    });
+
+    it('should apply provider preset base URL and headers', () => {
+      new TokenlayOpenAI({
+        tokenlayKey: 'tk_test_123',
+        providerApiKey: 'sk-ant-test-456',
+        provider: 'anthropic',
+      });
+
+      expect(lastOpenAIOptions.defaultHeaders).toEqual({
+        'x-tokenlay-provider-key': 'sk-ant-test-456',
+        'x-tokenlay-provider-base': 'https://api.anthropic.com/v1',
+        'x-tokenlay-provider': 'anthropic',
+        'anthropic-version': '2023-06-01',
+      });
+    });
+
+    it('should prefer an explicit providerApiBase over the preset', () => {
+      const client = new TokenlayOpenAI({
+        tokenlayKey: 'tk_test_123',
+        providerApiKey: 'sk-or-test-456',
+        provider: 'openrouter',
+        providerApiBase: 'https://openrouter.example.com/api/v1',
+      });
+
+      // eslint-disable-next-line @typescript-eslint/no-explicit-any
+      expect((client as any).config.providerApiBase).toBe('https://openrouter.example.com/api/v1');
+    });
+
+    it('should fail fast on a misconfigured provider', () => {
+      expect(() => new TokenlayOpenAI({
+        tokenlayKey: 'tk_test_123',
+        providerApiKey: 'sk-test-456',
+        provider: 'openrouter',
+      })).toThrow('providerApiKey does not match the OpenRouter key format');
+    });
   });
 
   describe('chat.completions.create', () => {
@@ -162,10 +269,10 @@ describe('TokenlayOpenAI', () => {
         providerApiKey: 'sk-test-456',
       });
 
-      const localMockCreate = vi.fn().mockResolvedValue({
+      const localMockCreate = vi.fn().mockReturnValue(mockApiPromise({
         id: 'test',
         choices: [{ message: { content: 'test' } }],
-      });
+      }));
 
       // eslint-disable-next-line @typescript-eslint/no-explicit-any
       (client as any).openaiClient.chat.completions.create = localMockCreate;
@@ -191,11 +298,47 @@ describe('TokenlayOpenAI', () => {
             'x-tokenlay-tier': 'pro',
             'x-tokenlay-feature': 'chat',
           },
+          maxRetries: 0,
         }
       );
     });
 
-    it('should attach Tokenlay metadata to response', async () => {
+    it('should attach Tokenlay metadata from response headers', async () => {
+      const client = new TokenlayOpenAI({
+        tokenlayKey: 'tk_test_123',
+        providerApiKey: 'sk-test-456',
+      });
+
+      mockCreate.mockReturnValueOnce(mockApiPromise(completion, {
+        'x-tokenlay-rule-id': 'rule_123',
+        'x-tokenlay-rule-action': 'warn',
+        'x-tokenlay-cost': '0.00018',
+        'x-tokenlay-tokens-used': '18',
+        'x-tokenlay-input-tokens': '10',
+        'x-tokenlay-output-tokens': '8',
+        'x-tokenlay-duration': '1500',
+        'x-tokenlay-warnings': '["Approaching monthly limit"]',
+      }));
+
+      const response = await client.chat.completions.create({
+        model: 'gpt-3.5-turbo',
+        messages: [{ role: 'user', content: 'Hello!' }],
+      });
+
+      expect(getTokenlayMetadata(response)).toEqual({
+        ruleId: 'rule_123',
+        ruleAction: 'warn',
+        limitExceeded: false,
+        cost: 0.00018,
+        tokensUsed: 18,
+        inputTokens: 10,
+        outputTokens: 8,
+        duration: 1500,
+        warnings: ['Approaching monthly limit'],
+      });
+    });
+
+    it('should attach default metadata when Tokenlay headers are absent', async () => {
       const client = new TokenlayOpenAI({
         tokenlayKey: 'tk_test_123',
         providerApiKey: 'sk-test-456',
@@ -213,38 +356,1448 @@ describe('TokenlayOpenAI', () => {
       expect(metadata?.cost).toBe(0);
       expect(metadata?.tokensUsed).toBe(0);
     });
+
+    it('should return a TokenlayStream for streaming requests', async () => {
+      const client = new TokenlayOpenAI({
+        tokenlayKey: 'tk_test_123',
+        providerApiKey: 'sk-test-456',
+      });
+
+      const chunks = [
+        { id: 'chunk_1', choices: [{ delta: { content: 'Hi' } }] },
+        {
+          id: 'chunk_2',
+          choices: [],
+          usage: { prompt_tokens: 5, completion_tokens: 1, total_tokens: 6 },
+          tokenlay: { cost: 0.0001 },
+        },
+      ];
+
+      mockCreate.mockReturnValueOnce({
+        withResponse: () => Promise.resolve({
+          data: {
+            controller: new AbortController(),
+            async *[Symbol.asyncIterator]() {
+              yield* chunks;
+            },
+          },
+          response: { headers: new Headers({ 'x-tokenlay-rule-id': 'rule_stream' }) },
+        }),
+      });
+
+      const stream = await client.chat.completions.create({
+        model: 'gpt-3.5-turbo',
+        messages: [{ role: 'user', content: 'Hello!' }],
+        stream: true,
+      });
+
+      expect(mockCreate).toHaveBeenCalledWith(
+        expect.objectContaining({ stream: true, stream_options: { include_usage: true } }),
+        expect.anything()
+      );
+      expect(getTokenlayMetadata(stream)?.ruleId).toBe('rule_stream');
+
+      const received = [];
+      for await (const chunk of stream) {
+        received.push(chunk);
+      }
+
+      // The usage chunk was added by the client, so it is not yielded
+      expect(received).toEqual([chunks[0]]);
+      const metadata = await stream.finalMetadata();
+      expect(metadata.ruleId).toBe('rule_stream');
+      expect(metadata.cost).toBe(0.0001);
+      expect(metadata.tokensUsed).toBe(6);
+    });
+
+    it('should yield the usage chunk when the caller asked for it', async () => {
+      const client = new TokenlayOpenAI({
+        tokenlayKey: 'tk_test_123',
+        providerApiKey: 'sk-test-456',
+      });
+
+      const chunks = [
+        { id: 'chunk_1', choices: [{ delta: { content: 'Hi' } }] },
+        { id: 'chunk_2', choices: [], usage: { prompt_tokens: 5, completion_tokens: 1, total_tokens: 6 } },
+      ];
+
+      mockCreate.mockReturnValueOnce({
+        withResponse: () => Promise.resolve({
+          data: {
+            controller: new AbortController(),
+            async *[Symbol.asyncIterator]() {
+              yield* chunks;
+            },
+          },
+          response: { headers: new Headers() },
+        }),
+      });
+
+      const stream = await client.chat.completions.create({
+        model: 'gpt-3.5-turbo',
+        messages: [{ role: 'user', content: 'Hello!' }],
+        stream: true,
+        stream_options: { include_usage: true },
+      });
+
+      const received = [];
+      for await (const chunk of stream) {
+        received.push(chunk);
+      }
+
+      expect(received).toEqual(chunks);
+      expect((await stream.finalMetadata()).tokensUsed).toBe(6);
+    });
+
+    it('should not set stream_options when streamUsage is disabled', async () => {
+      const client = new TokenlayOpenAI({
+        tokenlayKey: 'tk_test_123',
+        providerApiKey: 'sk-test-456',
+        streamUsage: false,
+      });
+
+      mockCreate.mockReturnValueOnce({
+        withResponse: () => Promise.resolve({
+          data: { controller: new AbortController(), async *[Symbol.asyncIterator]() {} },
+          response: { headers: new Headers() },
+        }),
+      });
+
+      await client.chat.completions.create({
+        model: 'gpt-3.5-turbo',
+        messages: [{ role: 'user', content: 'Hello!' }],
+        stream: true,
+      });
+
+      expect(mockCreate.mock.calls[0][0]).not.toHaveProperty('stream_options');
+    });
+
+    it('should keep caller-provided stream_options', async () => {
+      const client = new TokenlayOpenAI({
+        tokenlayKey: 'tk_test_123',
+        providerApiKey: 'sk-test-456',
+        streamUsage: true,
+      });
+
+      mockCreate.mockReturnValueOnce({
+        withResponse: () => Promise.resolve({
+          data: { controller: new AbortController(), async *[Symbol.asyncIterator]() {} },
+          response: { headers: new Headers() },
+        }),
+      });
+
+      await client.chat.completions.create({
+        model: 'gpt-3.5-turbo',
+        messages: [{ role: 'user', content: 'Hello!' }],
+        stream: true,
+        stream_options: { include_usage: false },
+      });
+
+      expect(mockCreate).toHaveBeenCalledWith(
+        expect.objectContaining({ stream_options: { include_usage: false } }),
+        expect.anything()
+      );
+    });
+
+    it('should throw typed errors for Tokenlay rule outcomes', async () => {
+      const client = new TokenlayOpenAI({
+        tokenlayKey: 'tk_test_123',
+        providerApiKey: 'sk-test-456',
+      });
+
+      mockCreate.mockReturnValueOnce({
+        withResponse: () => Promise.reject(Object.assign(new Error('429 Monthly limit reached'), {
+          status: 429,
+          headers: {
+            'x-tokenlay-rule-id': 'rule_monthly_cap',
+            'x-tokenlay-rule-action': 'block',
+            'x-tokenlay-limit-exceeded': 'true',
+          },
+        })),
+      });
+
+      await expect(client.chat.completions.create({
+        model: 'gpt-3.5-turbo',
+        messages: [{ role: 'user', content: 'Hello!' }],
+      })).rejects.toBeInstanceOf(TokenlayLimitExceededError);
+    });
   });
 
-  describe('updateMetadata', () => {
-    it('should update global metadata', () => {
+  describe('estimate', () => {
+    it('should estimate with overridden pricing without sending the request', async () => {
       const client = new TokenlayOpenAI({
         tokenlayKey: 'tk_test_123',
         providerApiKey: 'sk-test-456',
+        pricing: { 'ft:gpt-4o:acme': { input: 5, output: 20, maxOutputTokens: 1000, encoding: 'o200k_base' } },
       });
 
-      client.updateMetadata({ userId: 'user_456', tier: 'enterprise' });
+      const estimate = await client.estimate({
+        model: 'ft:gpt-4o:acme',
+        messages: [{ role: 'user', content: 'Hello!' }],
+      });
 
-      // eslint-disable-next-line @typescript-eslint/no-explicit-any
-      const config = (client as any).config;
-      expect(config.metadata).toEqual({
-        userId: 'user_456',
-        tier: 'enterprise',
+      expect(estimate.inputTokens).toBe(9);
+      expect(estimate.maxOutputTokens).toBe(1000);
+      expect(estimate.cost.max).toBeCloseTo((9 * 5 + 1000 * 20) / 1_000_000, 12);
+      expect(mockCreate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('embeddings.create', () => {
+    it('should pass metadata as headers and attach Tokenlay metadata', async () => {
+      const client = new TokenlayOpenAI({
+        tokenlayKey: 'tk_test_123',
+        providerApiKey: 'sk-test-456',
+      });
+
+      mockEmbeddingsCreate.mockReturnValueOnce(mockApiPromise(embedding, {
+        'x-tokenlay-rule-id': 'rule_rag',
+        'x-tokenlay-cost': '0.00002',
+        'x-tokenlay-input-tokens': '4',
+        'x-tokenlay-tokens-used': '4',
+      }));
+
+      const response = await client.embeddings.create({
+        model: 'text-embedding-3-small',
+        input: 'Hello world',
+        metadata: { userId: 'user_123', feature: 'rag' },
+      });
+
+      expect(mockEmbeddingsCreate).toHaveBeenCalledWith(
+        { model: 'text-embedding-3-small', input: 'Hello world' },
+        {
+          headers: {
+            'x-tokenlay-userId': 'user_123',
+            'x-tokenlay-feature': 'rag',
+          },
+          signal: undefined,
+          maxRetries: 0,
+        }
+      );
+      expect(response.data[0].embedding).toEqual([0.1, 0.2, 0.3]);
+      expect(getTokenlayMetadata(response)).toMatchObject({
+        ruleId: 'rule_rag',
+        cost: 0.00002,
+        inputTokens: 4,
+        tokensUsed: 4,
+      });
+    });
+
+    it('should throw typed errors for Tokenlay rule outcomes', async () => {
+      const client = new TokenlayOpenAI({
+        tokenlayKey: 'tk_test_123',
+        providerApiKey: 'sk-test-456',
       });
+
+      mockEmbeddingsCreate.mockReturnValueOnce(mockQueuedApiPromise({}));
+
+      await expect(client.embeddings.create({
+        model: 'text-embedding-3-small',
+        input: 'Hello world',
+      })).rejects.toBeInstanceOf(TokenlayQueuedError);
     });
   });
 
-  describe('updateProviderKey', () => {
-    it('should update provider API key', () => {
+  describe('responses', () => {
+    const events = [
+      { type: 'response.created', sequence_number: 0 },
+      { type: 'response.output_text.delta', sequence_number: 1, delta: 'Hi' },
+      {
+        type: 'response.completed',
+        sequence_number: 2,
+        response: { id: 'resp_test', usage: { input_tokens: 7, output_tokens: 1, total_tokens: 8 } },
+        tokenlay: { cost: 0.00003 },
+      },
+    ];
+
+    function mockEventStream(headers: Record<string, string>) {
+      return {
+        withResponse: () => Promise.resolve({
+          data: {
+            controller: new AbortController(),
+            async *[Symbol.asyncIterator]() {
+              yield* events;
+            },
+          },
+          response: { headers: new Headers(headers) },
+        }),
+      };
+    }
+
+    it('should pass metadata as headers and attach Tokenlay metadata', async () => {
       const client = new TokenlayOpenAI({
         tokenlayKey: 'tk_test_123',
         providerApiKey: 'sk-test-456',
       });
 
-      client.updateProviderKey('sk-new-key-789');
+      mockResponsesCreate.mockReturnValueOnce(mockApiPromise(modelResponse, {
+        'x-tokenlay-rule-id': 'rule_responses',
+        'x-tokenlay-cost': '0.00005',
+      }));
 
-      // eslint-disable-next-line @typescript-eslint/no-explicit-any
-      const config = (client as any).config;
-      expect(config.providerApiKey).toBe('sk-new-key-789');
+      const response = await client.responses.create({
+        model: 'gpt-4o',
+        input: 'Hello!',
+        metadata: { userId: 'user_123' },
+      });
+
+      expect(mockResponsesCreate).toHaveBeenCalledWith(
+        { model: 'gpt-4o', input: 'Hello!' },
+        { headers: { 'x-tokenlay-userId': 'user_123' }, signal: undefined, maxRetries: 0 }
+      );
+      expect(response.output_text).toBe('Hello from the Responses API');
+      expect(getTokenlayMetadata(response)).toMatchObject({ ruleId: 'rule_responses', cost: 0.00005 });
+    });
+
+    it('should stream events with Tokenlay metadata from create', async () => {
+      const client = new TokenlayOpenAI({
+        tokenlayKey: 'tk_test_123',
+        providerApiKey: 'sk-test-456',
+      });
+
+      mockResponsesCreate.mockReturnValueOnce(mockEventStream({ 'x-tokenlay-rule-id': 'rule_stream' }));
+
+      const stream = await client.responses.create({ model: 'gpt-4o', input: 'Hello!', stream: true });
+      expect(getTokenlayMetadata(stream)?.ruleId).toBe('rule_stream');
+
+      const received = [];
+      for await (const event of stream) {
+        received.push(event.type);
+      }
+
+      expect(received).toEqual(['response.created', 'response.output_text.delta', 'response.completed']);
+      expect(await stream.finalMetadata()).toMatchObject({ cost: 0.00003, inputTokens: 7, outputTokens: 1, tokensUsed: 8 });
+    });
+
+    it('should stream events with Tokenlay metadata from stream', async () => {
+      const client = new TokenlayOpenAI({
+        tokenlayKey: 'tk_test_123',
+        providerApiKey: 'sk-test-456',
+      });
+
+      mockResponsesCreate.mockReturnValueOnce(mockEventStream({ 'x-tokenlay-rule-action': 'warn' }));
+
+      const stream = await client.responses.stream({
+        model: 'gpt-4o',
+        input: 'Hello!',
+        metadata: { feature: 'assistant' },
+      });
+
+      expect(mockResponsesCreate).toHaveBeenCalledWith(
+        { model: 'gpt-4o', input: 'Hello!', stream: true },
+        { headers: { 'x-tokenlay-feature': 'assistant' }, signal: undefined, maxRetries: 0 }
+      );
+      expect(getTokenlayMetadata(stream)?.ruleAction).toBe('warn');
+
+      const received = [];
+      for await (const event of stream) {
+        received.push(event);
+      }
+
+      expect(received).toHaveLength(3);
+      expect((await stream.finalMetadata()).tokensUsed).toBe(8);
+    });
+  });
+
+  describe('budget', () => {
+    it('should stop requests once a budget is spent', async () => {
+      const client = new TokenlayOpenAI({
+        tokenlayKey: 'tk_test_123',
+        providerApiKey: 'sk-test-456',
+        metadata: { projectId: 'proj_1' },
+        budget: new BudgetManager({ budgets: [{ key: 'userId', limit: 0.001, window: 60_000 }] }),
+      });
+      mockCreate.mockImplementation(() => mockApiPromise(completion, { 'x-tokenlay-cost': '0.001' }));
+
+      const params = {
+        model: 'gpt-3.5-turbo',
+        messages: [{ role: 'user' as const, content: 'Hello!' }],
+        metadata: { userId: 'user_123' },
+      };
+
+      await client.chat.completions.create(params);
+      await expect(client.chat.completions.create(params)).rejects.toThrow(TokenlayBudgetExceededError);
+      expect(mockCreate).toHaveBeenCalledTimes(1);
+    });
+
+    it('should key budgets by global metadata', async () => {
+      const budget = new BudgetManager({ budgets: [{ key: 'projectId', limit: 1, window: 60_000 }] });
+      const client = new TokenlayOpenAI({
+        tokenlayKey: 'tk_test_123',
+        providerApiKey: 'sk-test-456',
+        metadata: { projectId: 'proj_1' },
+        budget,
+      });
+      mockEmbeddingsCreate.mockReturnValueOnce(mockApiPromise(embedding, { 'x-tokenlay-cost': '0.25' }));
+
+      await client.embeddings.create({ model: 'text-embedding-3-small', input: 'Hello' });
+
+      expect(await budget.getSpend('projectId', 'proj_1')).toBe(0.25);
+    });
+
+    it('should record the final cost of a stream', async () => {
+      const budget = new BudgetManager({ budgets: [{ key: 'userId', limit: 1, window: 60_000 }] });
+      const client = new TokenlayOpenAI({
+        tokenlayKey: 'tk_test_123',
+        providerApiKey: 'sk-test-456',
+        budget,
+      });
+      mockCreate.mockReturnValueOnce({
+        withResponse: () => Promise.resolve({
+          data: {
+            controller: new AbortController(),
+            async *[Symbol.asyncIterator]() {
+              yield { id: 'chunk_1', choices: [], tokenlay: { cost: 0.4 } };
+            },
+          },
+          response: { headers: new Headers() },
+        }),
+      });
+
+      const stream = await client.chat.completions.create({
+        model: 'gpt-3.5-turbo',
+        messages: [{ role: 'user', content: 'Hello!' }],
+        metadata: { userId: 'user_123' },
+        stream: true,
+      });
+      expect(await budget.getSpend('userId', 'user_123')).toBe(0);
+
+      for await (const chunk of stream) {
+        expect(chunk.id).toBe('chunk_1');
+      }
+
+      await vi.waitFor(async () => expect(await budget.getSpend('userId', 'user_123')).toBe(0.4));
+    });
+  });
+
+  describe('azure', () => {
+    const azure = {
+      endpoint: 'https://my-resource.openai.azure.com',
+      apiVersion: '2024-10-21',
+      deployments: { 'gpt-4o': 'prod-gpt4o' },
+    };
+
+    it('should configure the azure provider', () => {
+      new TokenlayOpenAI({
+        tokenlayKey: 'tk_test_123',
+        providerApiKey: 'azure-key-456',
+        azure,
+      });
+
+      expect(lastOpenAIOptions.defaultHeaders).toEqual({
+        'x-tokenlay-provider-key': 'azure-key-456',
+        'x-tokenlay-provider-base': 'https://my-resource.openai.azure.com/openai',
+        'x-tokenlay-provider': 'azure',
+        'x-tokenlay-provider-api-version': '2024-10-21',
+        'x-tokenlay-provider-auth': 'api-key',
+      });
+    });
+
+    it('should route each request to the model deployment', async () => {
+      const client = new TokenlayOpenAI({
+        tokenlayKey: 'tk_test_123',
+        providerApiKey: 'azure-key-456',
+        azure,
+      });
+
+      await client.chat.completions.create({
+        model: 'gpt-4o',
+        messages: [{ role: 'user', content: 'Hello' }],
+      });
+
+      expect(mockCreate.mock.calls[0][0].model).toBe('gpt-4o');
+      expect(mockCreate.mock.calls[0][1].headers['x-tokenlay-provider-base'])
+        .toBe('https://my-resource.openai.azure.com/openai/deployments/prod-gpt4o');
+    });
+
+    it('should send an Entra ID token with each request', async () => {
+      const getAccessToken = vi.fn().mockResolvedValue('entra-token');
+      const client = new TokenlayOpenAI({
+        tokenlayKey: 'tk_test_123',
+        azure: { ...azure, getAccessToken },
+      });
+
+      expect(lastOpenAIOptions.defaultHeaders).not.toHaveProperty('x-tokenlay-provider-key');
+      expect(lastOpenAIOptions.defaultHeaders['x-tokenlay-provider-auth']).toBe('bearer');
+
+      await client.embeddings.create({ model: 'text-embedding-3-small', input: 'Hello' });
+
+      expect(getAccessToken).toHaveBeenCalledTimes(1);
+      expect(mockEmbeddingsCreate.mock.calls[0][1].headers['x-tokenlay-provider-key']).toBe('entra-token');
+    });
+  });
+
+  describe('providers', () => {
+    const providers = [
+      { provider: 'openai' as const, providerApiKey: 'sk-primary' },
+      {
+        name: 'backup',
+        providerApiBase: 'https://backup.example.com/v1',
+        providerApiKey: 'sk-backup',
+        models: { 'gpt-4o': 'gpt-4o-2024-08-06' },
+      },
+    ];
+
+    const params = {
+      model: 'gpt-4o',
+      messages: [{ role: 'user' as const, content: 'Hello!' }],
+    };
+
+    function mockErrorApiPromise(status: number, headers: Record<string, string> = {}) {
+      return {
+        withResponse: () => Promise.reject(Object.assign(new Error(`${status} Error`), { status, headers })),
+      };
+    }
+
+    it('should configure the first provider as the default', () => {
+      new TokenlayOpenAI({ tokenlayKey: 'tk_test_123', providers });
+
+      expect(lastOpenAIOptions.defaultHeaders).toEqual({
+        'x-tokenlay-provider-key': 'sk-primary',
+        'x-tokenlay-provider-base': 'https://api.openai.com/v1',
+        'x-tokenlay-provider': 'openai',
+      });
+    });
+
+    it('should report the provider that served the request', async () => {
+      const client = new TokenlayOpenAI({ tokenlayKey: 'tk_test_123', providers, maxRetries: 0 });
+
+      const response = await client.chat.completions.create(params);
+
+      expect(mockCreate).toHaveBeenCalledTimes(1);
+      expect(mockCreate.mock.calls[0][1].headers).toEqual({});
+      expect(getTokenlayMetadata(response)?.provider).toBe('openai');
+    });
+
+    it('should fall back to the next provider on server errors', async () => {
+      const client = new TokenlayOpenAI({ tokenlayKey: 'tk_test_123', providers, maxRetries: 0 });
+      mockCreate.mockReturnValueOnce(mockErrorApiPromise(503));
+
+      const response = await client.chat.completions.create(params);
+
+      expect(mockCreate).toHaveBeenCalledTimes(2);
+      expect(mockCreate.mock.calls[1][0].model).toBe('gpt-4o-2024-08-06');
+      expect(mockCreate.mock.calls[1][1].headers).toEqual({
+        'x-tokenlay-provider-key': 'sk-backup',
+        'x-tokenlay-provider-base': 'https://backup.example.com/v1',
+        'x-tokenlay-provider': null,
+      });
+      expect(getTokenlayMetadata(response)?.provider).toBe('backup');
+    });
+
+    it('should fall back when Tokenlay blocks the request', async () => {
+      const client = new TokenlayOpenAI({ tokenlayKey: 'tk_test_123', providers, maxRetries: 0 });
+      mockCreate.mockReturnValueOnce(mockErrorApiPromise(403, { 'x-tokenlay-rule-action': 'block' }));
+
+      const response = await client.chat.completions.create(params);
+
+      expect(getTokenlayMetadata(response)?.provider).toBe('backup');
+    });
+
+    it('should not fall back when a Tokenlay limit is exceeded', async () => {
+      const client = new TokenlayOpenAI({ tokenlayKey: 'tk_test_123', providers, maxRetries: 0 });
+      mockCreate.mockReturnValueOnce(mockErrorApiPromise(429, { 'x-tokenlay-limit-exceeded': 'true' }));
+
+      await expect(client.chat.completions.create(params)).rejects.toBeInstanceOf(TokenlayLimitExceededError);
+      expect(mockCreate).toHaveBeenCalledTimes(1);
+    });
+
+    it('should surface the error of the last provider', async () => {
+      const client = new TokenlayOpenAI({ tokenlayKey: 'tk_test_123', providers, maxRetries: 0 });
+      mockCreate
+        .mockReturnValueOnce(mockErrorApiPromise(500))
+        .mockReturnValueOnce(mockErrorApiPromise(502));
+
+      await expect(client.chat.completions.create(params)).rejects.toThrow('502 Error');
+      expect(mockCreate).toHaveBeenCalledTimes(2);
+    });
+
+    it('should skip a provider whose circuit is open', async () => {
+      const circuitBreaker = new CircuitBreaker({ failureThreshold: 1 });
+      const client = new TokenlayOpenAI({ tokenlayKey: 'tk_test_123', providers, circuitBreaker, maxRetries: 0 });
+      mockCreate.mockReturnValueOnce(mockErrorApiPromise(500));
+
+      await client.chat.completions.create(params);
+      const response = await client.chat.completions.create(params);
+
+      expect(mockCreate).toHaveBeenCalledTimes(3);
+      expect(circuitBreaker.getState('https://api.openai.com/v1 gpt-4o')).toBe('open');
+      expect(getTokenlayMetadata(response)?.provider).toBe('backup');
+    });
+
+    it('should reject providers combined with a top-level provider key', () => {
+      expect(() => new TokenlayOpenAI({
+        tokenlayKey: 'tk_test_123',
+        providerApiKey: 'sk-test-456',
+        providers,
+      })).toThrow('Pass either providers or provider, providerApiKey, providerApiBase and azure, not both.');
+    });
+  });
+
+  describe('keyPool', () => {
+    const params = {
+      model: 'gpt-4o',
+      messages: [{ role: 'user' as const, content: 'Hello!' }],
+    };
+
+    it('should send a pooled key with each request', async () => {
+      const client = new TokenlayOpenAI({
+        tokenlayKey: 'tk_test_123',
+        keyPool: new ProviderKeyPool({ keys: ['sk-one', 'sk-two'] }),
+      });
+
+      expect(lastOpenAIOptions.defaultHeaders).not.toHaveProperty('x-tokenlay-provider-key');
+
+      const first = await client.chat.completions.create(params);
+      const second = await client.chat.completions.create(params);
+
+      expect(mockCreate.mock.calls[0][1].headers['x-tokenlay-provider-key']).toBe('sk-one');
+      expect(mockCreate.mock.calls[1][1].headers['x-tokenlay-provider-key']).toBe('sk-two');
+      expect(getTokenlayMetadata(first)?.keyFingerprint).toBe(fingerprintKey('sk-one'));
+      expect(getTokenlayMetadata(second)?.keyFingerprint).toBe(fingerprintKey('sk-two'));
+    });
+
+    it('should hand a rate limited request off to the next key', async () => {
+      const keyPool = new ProviderKeyPool({ keys: ['sk-one', 'sk-two'] });
+      const client = new TokenlayOpenAI({ tokenlayKey: 'tk_test_123', keyPool });
+      mockCreate.mockReturnValueOnce({
+        withResponse: () => Promise.reject(Object.assign(new Error('429 Rate limit'), { status: 429, headers: {} })),
+      });
+
+      const response = await client.chat.completions.create(params);
+      await client.chat.completions.create(params);
+
+      expect(mockCreate.mock.calls.map((call) => call[1].headers['x-tokenlay-provider-key']))
+        .toEqual(['sk-one', 'sk-two', 'sk-two']);
+      expect(mockCreate.mock.calls[0][1].maxRetries).toBe(0);
+      expect(getTokenlayMetadata(response)?.keyFingerprint).toBe(fingerprintKey('sk-two'));
+      expect(keyPool.snapshot()[0].rateLimits).toBe(1);
+    });
+
+    it('should fail once every pooled key is rate limited', async () => {
+      const keyPool = new ProviderKeyPool({ keys: ['sk-one', 'sk-two'] });
+      const client = new TokenlayOpenAI({ tokenlayKey: 'tk_test_123', keyPool, maxRetries: 0 });
+      mockCreate.mockImplementation(() => ({
+        withResponse: () => Promise.reject(Object.assign(new Error('429 Rate limit'), { status: 429, headers: {} })),
+      }));
+
+      await expect(client.chat.completions.create(params)).rejects.toThrow('429 Rate limit');
+
+      expect(mockCreate.mock.calls.map((call) => call[1].headers['x-tokenlay-provider-key']))
+        .toEqual(['sk-one', 'sk-two']);
+    });
+
+    it('should not put keys on cooldown when the Tokenlay key is rejected', async () => {
+      const keyPool = new ProviderKeyPool({ keys: ['sk-one', 'sk-two'] });
+      const client = new TokenlayOpenAI({ tokenlayKey: 'tk_test_123', keyPool });
+      mockCreate.mockReturnValue({
+        withResponse: () => Promise.reject(Object.assign(new Error('401 Invalid Tokenlay key'), {
+          status: 401,
+          headers: { 'x-tokenlay-error-source': 'tokenlay' },
+        })),
+      });
+
+      await expect(client.chat.completions.create(params)).rejects.toThrow(TokenlayAuthError);
+      await expect(client.chat.completions.create(params)).rejects.toThrow(TokenlayAuthError);
+
+      expect(keyPool.snapshot().map((key) => key.authFailures)).toEqual([0, 0]);
+      expect(keyPool.snapshot().every((key) => key.coolingDownUntil === undefined)).toBe(true);
+    });
+
+    it('should validate pooled keys against the provider', () => {
+      expect(() => new TokenlayOpenAI({
+        tokenlayKey: 'tk_test_123',
+        provider: 'openai',
+        keyPool: new ProviderKeyPool({ keys: ['sk-one', 'not-a-key'] }),
+      })).toThrow(/OpenAI/);
+    });
+
+    it('should not rotate pooled keys with updateProviderKey', () => {
+      const client = new TokenlayOpenAI({
+        tokenlayKey: 'tk_test_123',
+        keyPool: new ProviderKeyPool({ keys: ['sk-one'] }),
+      });
+
+      expect(() => client.updateProviderKey('sk-two')).toThrow('Rotate pooled keys with keyPool.add() and keyPool.remove().');
+    });
+  });
+
+  describe('circuitBreaker', () => {
+    const params = {
+      model: 'gpt-4o',
+      messages: [{ role: 'user' as const, content: 'Hello!' }],
+    };
+
+    it('should fail fast once the circuit for the provider and model opens', async () => {
+      const circuitBreaker = new CircuitBreaker({ failureThreshold: 2 });
+      const client = new TokenlayOpenAI({
+        tokenlayKey: 'tk_test_123',
+        providerApiKey: 'sk-test-456',
+        circuitBreaker,
+        maxRetries: 0,
+      });
+      mockCreate.mockImplementation(() => ({
+        withResponse: () => Promise.reject(Object.assign(new Error('503 Unavailable'), { status: 503, headers: {} })),
+      }));
+
+      await expect(client.chat.completions.create(params)).rejects.toThrow('503 Unavailable');
+      await expect(client.chat.completions.create(params)).rejects.toThrow('503 Unavailable');
+      await expect(client.chat.completions.create(params)).rejects.toBeInstanceOf(TokenlayCircuitOpenError);
+
+      expect(mockCreate).toHaveBeenCalledTimes(2);
+      expect(circuitBreaker.getState(`${DEFAULT_PROVIDER_API_BASE} gpt-4o`)).toBe('open');
+
+      mockCreate.mockImplementation(() => mockApiPromise(completion));
+      await expect(client.chat.completions.create({ ...params, model: 'gpt-4o-mini' })).resolves.toBeDefined();
+    });
+  });
+
+  describe('cache', () => {
+    const params = {
+      model: 'gpt-4o',
+      messages: [{ role: 'user' as const, content: 'Hello!' }],
+      temperature: 0,
+    };
+
+    it('should serve identical requests from the cache at no cost', async () => {
+      const onResponse = vi.fn();
+      const client = new TokenlayOpenAI({
+        tokenlayKey: 'tk_test_123',
+        providerApiKey: 'sk-test-456',
+        cache: new ResponseCache(),
+        hooks: { onResponse },
+      });
+      mockCreate.mockImplementation(() => mockApiPromise(completion, { 'x-tokenlay-cost': '0.002' }));
+
+      const first = await client.chat.completions.create(params);
+      const second = await client.chat.completions.create({ ...params, metadata: { userId: 'user_123' } });
+
+      expect(mockCreate).toHaveBeenCalledTimes(1);
+      expect(second.choices).toEqual(first.choices);
+      expect(getTokenlayMetadata(first)).toMatchObject({ cost: 0.002 });
+      expect(getTokenlayMetadata(first)?.cached).toBeUndefined();
+      expect(getTokenlayMetadata(second)).toMatchObject({ cost: 0, cached: true });
+      expect(onResponse).toHaveBeenCalledTimes(2);
+    });
+
+    it('should cache embeddings', async () => {
+      const client = new TokenlayOpenAI({
+        tokenlayKey: 'tk_test_123',
+        providerApiKey: 'sk-test-456',
+        cache: new ResponseCache(),
+      });
+
+      await client.embeddings.create({ model: 'text-embedding-3-small', input: 'Hello' });
+      const response = await client.embeddings.create({ model: 'text-embedding-3-small', input: 'Hello' });
+
+      expect(mockEmbeddingsCreate).toHaveBeenCalledTimes(1);
+      expect(response.data[0].embedding).toEqual([0.1, 0.2, 0.3]);
+    });
+
+    it('should send requests and record their cost when the cache store fails', async () => {
+      const budget = new BudgetManager({ budgets: [{ key: 'userId', limit: 1, window: 60_000 }] });
+      const store = {
+        get: () => Promise.reject(new Error('Store unavailable')),
+        set: () => Promise.reject(new Error('Store unavailable')),
+        delete: () => {},
+      };
+      const client = new TokenlayOpenAI({
+        tokenlayKey: 'tk_test_123',
+        providerApiKey: 'sk-test-456',
+        cache: new ResponseCache({ store }),
+        budget,
+      });
+      mockCreate.mockReturnValueOnce(mockApiPromise(completion, { 'x-tokenlay-cost': '0.002' }));
+
+      const response = await client.chat.completions.create({ ...params, metadata: { userId: 'user_123' } });
+
+      expect(response.choices).toEqual(completion.choices);
+      expect(getTokenlayMetadata(response)?.cached).toBeUndefined();
+      expect(await budget.getSpend('userId', 'user_123')).toBe(0.002);
+    });
+
+    it('should bypass the cache for streams and on request', async () => {
+      const client = new TokenlayOpenAI({
+        tokenlayKey: 'tk_test_123',
+        providerApiKey: 'sk-test-456',
+        cache: new ResponseCache(),
+      });
+
+      await client.chat.completions.create(params);
+      await client.chat.completions.create(params, { cache: false });
+      await client.chat.completions.create({ ...params, stream: true });
+
+      expect(mockCreate).toHaveBeenCalledTimes(3);
+    });
+  });
+
+  describe('failureMode', () => {
+    const params = {
+      model: 'gpt-4o',
+      messages: [{ role: 'user' as const, content: 'Hello!' }],
+      metadata: { userId: 'user_123' },
+    };
+
+    function mockUnreachableProxy() {
+      mockCreate.mockImplementation(() => ({
+        withResponse: () => Promise.reject(new OpenAI.APIConnectionError({ message: 'Connection error.' })),
+      }));
+    }
+
+    it('should fail when the proxy is unreachable by default', async () => {
+      const client = new TokenlayOpenAI({ tokenlayKey: 'tk_test_123', providerApiKey: 'sk-test-456', maxRetries: 0 });
+      mockUnreachableProxy();
+
+      await expect(client.chat.completions.create(params)).rejects.toThrow('Connection error.');
+      expect(mockDirectCreate).not.toHaveBeenCalled();
+    });
+
+    it('should send requests straight to the provider in open mode', async () => {
+      const client = new TokenlayOpenAI({
+        tokenlayKey: 'tk_test_123',
+        providerApiKey: 'sk-test-456',
+        failureMode: 'open',
+        maxRetries: 0,
+      });
+      mockUnreachableProxy();
+
+      const response = await client.chat.completions.create(params);
+
+      expect(mockDirectCreate).toHaveBeenCalledTimes(1);
+      expect(mockDirectCreate.mock.calls[0][0]).toEqual({ model: 'gpt-4o', messages: params.messages });
+      expect(response.choices[0].message.content).toBe('Hello! How can I help you today?');
+      expect(getTokenlayMetadata(response)).toMatchObject({
+        bypassed: true,
+        inputTokens: 10,
+        outputTokens: 8,
+        cost: (10 * 2.5 + 8 * 10) / 1_000_000,
+      });
+      expect(client.getBypassedUsage()).toEqual([expect.objectContaining({
+        endpoint: 'chat.completions',
+        model: 'gpt-4o',
+        metadata: { userId: 'user_123' },
+        inputTokens: 10,
+        outputTokens: 8,
+      })]);
+    });
+
+    it('should price bypassed streams from their usage chunk', async () => {
+      const client = new TokenlayOpenAI({
+        tokenlayKey: 'tk_test_123',
+        providerApiKey: 'sk-test-456',
+        failureMode: 'open',
+        maxRetries: 0,
+        streamUsage: false,
+      });
+      mockUnreachableProxy();
+
+      const chunks = [
+        { id: 'chunk_1', choices: [{ delta: { content: 'Hi' } }] },
+        { id: 'chunk_2', choices: [], usage: { prompt_tokens: 10, completion_tokens: 8, total_tokens: 18 } },
+      ];
+      mockDirectCreate.mockReturnValueOnce({
+        withResponse: () => Promise.resolve({
+          data: {
+            controller: new AbortController(),
+            async *[Symbol.asyncIterator]() {
+              yield* chunks;
+            },
+          },
+          response: { headers: new Headers() },
+        }),
+      });
+
+      const stream = await client.chat.completions.create({ ...params, stream: true });
+      const received = [];
+      for await (const chunk of stream) {
+        received.push(chunk);
+      }
+
+      expect(mockCreate.mock.calls[0][0]).not.toHaveProperty('stream_options');
+      expect(mockDirectCreate.mock.calls[0][0].stream_options).toEqual({ include_usage: true });
+      expect(received).toEqual([chunks[0]]);
+      expect(await stream.finalMetadata()).toMatchObject({
+        bypassed: true,
+        inputTokens: 10,
+        outputTokens: 8,
+        cost: (10 * 2.5 + 8 * 10) / 1_000_000,
+      });
+      await vi.waitFor(() => expect(client.getBypassedUsage()).toEqual([
+        expect.objectContaining({ inputTokens: 10, outputTokens: 8, cost: (10 * 2.5 + 8 * 10) / 1_000_000 }),
+      ]));
+    });
+
+    it('should call the provider with the current provider key', async () => {
+      const client = new TokenlayOpenAI({
+        tokenlayKey: 'tk_test_123',
+        providerApiKey: 'sk-old',
+        failureMode: 'open',
+        maxRetries: 0,
+      });
+      const scoped = client.withMetadata({ feature: 'chat' });
+      mockUnreachableProxy();
+
+      client.updateProviderKey('sk-new');
+      await client.chat.completions.create(params);
+      await scoped.chat.completions.create(params);
+
+      expect(mockDirectCreate.mock.calls.map((call) => call[1].headers)).toEqual([
+        { 'Authorization': 'Bearer sk-new' },
+        { 'Authorization': 'Bearer sk-new' },
+      ]);
+    });
+
+    it('should not bypass the proxy for other errors', async () => {
+      const client = new TokenlayOpenAI({
+        tokenlayKey: 'tk_test_123',
+        providerApiKey: 'sk-test-456',
+        failureMode: 'open',
+        maxRetries: 0,
+      });
+      mockCreate.mockReturnValueOnce({
+        withResponse: () => Promise.reject(Object.assign(new Error('500 Internal error'), { status: 500, headers: {} })),
+      });
+
+      await expect(client.chat.completions.create(params)).rejects.toThrow('500 Internal error');
+      expect(mockDirectCreate).not.toHaveBeenCalled();
+    });
+
+    it('should report buffered usage once the proxy recovers', async () => {
+      const client = new TokenlayOpenAI({
+        tokenlayKey: 'tk_test_123',
+        providerApiKey: 'sk-test-456',
+        failureMode: 'open',
+        maxRetries: 0,
+      });
+      mockCreate.mockReturnValueOnce({
+        withResponse: () => Promise.reject(new OpenAI.APIConnectionError({ message: 'Connection error.' })),
+      });
+      // eslint-disable-next-line @typescript-eslint/no-explicit-any
+      (global.fetch as any).mockResolvedValueOnce({ ok: true, status: 200 });
+
+      await client.chat.completions.create(params);
+      const recovered = await client.chat.completions.create(params);
+
+      expect(getTokenlayMetadata(recovered)?.bypassed).toBeUndefined();
+      await vi.waitFor(() => expect(client.getBypassedUsage()).toEqual([]));
+      expect(global.fetch).toHaveBeenCalledWith(`${DEFAULT_TOKENLAY_BASE_URL}/v1/usage`, expect.objectContaining({
+        method: 'POST',
+        headers: expect.objectContaining({ 'Authorization': 'Bearer tk_test_123' }),
+      }));
+      // eslint-disable-next-line @typescript-eslint/no-explicit-any
+      const body = JSON.parse((global.fetch as any).mock.calls[0][1].body);
+      expect(body.records).toEqual([expect.objectContaining({ model: 'gpt-4o', inputTokens: 10 })]);
+    });
+
+    it('should keep usage buffered when reporting fails', async () => {
+      const client = new TokenlayOpenAI({
+        tokenlayKey: 'tk_test_123',
+        providerApiKey: 'sk-test-456',
+        failureMode: 'open',
+        maxRetries: 0,
+      });
+      mockUnreachableProxy();
+      // eslint-disable-next-line @typescript-eslint/no-explicit-any
+      (global.fetch as any).mockResolvedValueOnce({ ok: false, status: 503, statusText: 'Service Unavailable' });
+
+      await client.chat.completions.create(params);
+
+      await expect(client.flushBypassedUsage()).rejects.toThrow('Failed to report bypassed usage: HTTP 503');
+      expect(client.getBypassedUsage()).toHaveLength(1);
+    });
+
+    it('should keep bypassing the proxy when a circuit breaker is configured', async () => {
+      const circuitBreaker = new CircuitBreaker({ failureThreshold: 2 });
+      const client = new TokenlayOpenAI({
+        tokenlayKey: 'tk_test_123',
+        providerApiKey: 'sk-test-456',
+        failureMode: 'open',
+        maxRetries: 0,
+        circuitBreaker,
+      });
+      mockUnreachableProxy();
+
+      for (let i = 0; i < 4; i++) {
+        expect(getTokenlayMetadata(await client.chat.completions.create(params))?.bypassed).toBe(true);
+      }
+
+      expect(mockCreate).toHaveBeenCalledTimes(4);
+      expect(mockDirectCreate).toHaveBeenCalledTimes(4);
+      expect(circuitBreaker.getState(`${DEFAULT_PROVIDER_API_BASE} gpt-4o`)).toBe('closed');
+    });
+
+    it('should require a provider key in open mode', () => {
+      expect(() => new TokenlayOpenAI({
+        tokenlayKey: 'tk_test_123',
+        keyPool: new ProviderKeyPool({ keys: ['sk-one'] }),
+        failureMode: 'open',
+        maxRetries: 0,
+      })).toThrow('failureMode "open" needs providerApiKey to call the provider directly.');
+    });
+  });
+
+  describe('queue mode', () => {
+    const params = {
+      model: 'gpt-3.5-turbo',
+      messages: [{ role: 'user', content: 'Hello!' }],
+    };
+
+    it('should surface queued requests when queue mode is disabled', async () => {
+      const client = new TokenlayOpenAI({
+        tokenlayKey: 'tk_test_123',
+        providerApiKey: 'sk-test-456',
+      });
+
+      mockCreate.mockReturnValueOnce(mockQueuedApiPromise({ 'retry-after-ms': '1' }));
+
+      await expect(client.chat.completions.create(params)).rejects.toBeInstanceOf(TokenlayQueuedError);
+      expect(mockCreate).toHaveBeenCalledTimes(1);
+    });
+
+    it('should re-submit with the queue ticket until the request is processed', async () => {
+      const client = new TokenlayOpenAI({
+        tokenlayKey: 'tk_test_123',
+        providerApiKey: 'sk-test-456',
+        queue: true,
+      });
+
+      mockCreate
+        .mockReturnValueOnce(mockQueuedApiPromise({ 'x-tokenlay-queue-id': 'q_123', 'retry-after-ms': '5' }))
+        .mockReturnValueOnce(mockQueuedApiPromise({ 'x-tokenlay-queue-id': 'q_123', 'x-tokenlay-queue-eta': '5' }));
+
+      const response = await client.chat.completions.create(params);
+
+      expect(response.choices[0].message.content).toBe('Hello! How can I help you today?');
+      expect(mockCreate).toHaveBeenCalledTimes(3);
+      expect(mockCreate.mock.calls[0][1].headers).toEqual({});
+      expect(mockCreate.mock.calls[2][1].headers).toEqual({ 'x-tokenlay-queue-id': 'q_123' });
+    });
+
+    it('should stop waiting once maxWait would be exceeded', async () => {
+      const client = new TokenlayOpenAI({
+        tokenlayKey: 'tk_test_123',
+        providerApiKey: 'sk-test-456',
+        queue: { maxWait: 1000 },
+      });
+
+      mockCreate.mockReturnValueOnce(mockQueuedApiPromise({ 'retry-after': '30' }));
+
+      await expect(client.chat.completions.create(params)).rejects.toBeInstanceOf(TokenlayQueuedError);
+      expect(mockCreate).toHaveBeenCalledTimes(1);
+    });
+
+    it('should stop waiting when the signal aborts', async () => {
+      const client = new TokenlayOpenAI({
+        tokenlayKey: 'tk_test_123',
+        providerApiKey: 'sk-test-456',
+        queue: { pollInterval: 10000 },
+      });
+      const controller = new AbortController();
+
+      mockCreate.mockReturnValueOnce(mockQueuedApiPromise({}));
+
+      const promise = client.chat.completions.create(params, { signal: controller.signal });
+      setTimeout(() => controller.abort(new Error('Job cancelled')), 5);
+
+      await expect(promise).rejects.toThrow('Job cancelled');
+      expect(mockCreate).toHaveBeenCalledTimes(1);
+      expect(mockCreate.mock.calls[0][1].signal).toBe(controller.signal);
+    });
+  });
+
+  describe('updateMetadata', () => {
+    it('should update global metadata', () => {
+      const client = new TokenlayOpenAI({
+        tokenlayKey: 'tk_test_123',
+        providerApiKey: 'sk-test-456',
+      });
+
+      client.updateMetadata({ userId: 'user_456', tier: 'enterprise' });
+
+      // eslint-disable-next-line @typescript-eslint/no-explicit-any
+      const config = (client as any).config;
+      expect(config.metadata).toEqual({
+        userId: 'user_456',
+        tier: 'enterprise',
+      });
+    });
+
+    it('should apply updated metadata to the OpenAI client default headers', () => {
+      const client = new TokenlayOpenAI({
+        tokenlayKey: 'tk_test_123',
+        providerApiKey: 'sk-test-456',
+        metadata: { userId: 'user_123', feature: 'chat' },
+      });
+      const defaultHeaders = lastOpenAIOptions.defaultHeaders;
+
+      client.updateMetadata({ userId: 'user_456', tier: undefined });
+
+      expect(defaultHeaders).toBe(lastOpenAIOptions.defaultHeaders);
+      expect(defaultHeaders).toEqual({
+        'x-tokenlay-provider-key': 'sk-test-456',
+        'x-tokenlay-provider-base': DEFAULT_PROVIDER_API_BASE,
+        'x-tokenlay-userId': 'user_456',
+        'x-tokenlay-feature': 'chat',
+      });
+    });
+  });
+
+  describe('hooks', () => {
+    const params = {
+      model: 'gpt-3.5-turbo',
+      messages: [{ role: 'user' as const, content: 'Hello!' }],
+      metadata: { userId: 'user_123' },
+    };
+
+    it('should pass the final params, merged headers, timing and metadata', async () => {
+      const onRequest = vi.fn();
+      const onResponse = vi.fn();
+      const client = new TokenlayOpenAI({
+        tokenlayKey: 'tk_test_123',
+        providerApiKey: 'sk-test-456',
+        metadata: { tier: 'pro' },
+        hooks: { onRequest, onResponse },
+      });
+      mockCreate.mockReturnValueOnce(mockApiPromise(completion, { 'x-tokenlay-cost': '0.002' }));
+
+      const response = await client.chat.completions.create(params);
+
+      expect(onRequest).toHaveBeenCalledWith(expect.objectContaining({
+        endpoint: 'chat.completions',
+        params: { model: 'gpt-3.5-turbo', messages: params.messages },
+        headers: expect.objectContaining({
+          'x-tokenlay-provider-key': 'sk-test-456',
+          'x-tokenlay-tier': 'pro',
+          'x-tokenlay-userId': 'user_123',
+        }),
+        metadata: { tier: 'pro', userId: 'user_123' },
+        startedAt: expect.any(Number),
+      }));
+      expect(onResponse).toHaveBeenCalledWith(expect.objectContaining({
+        response,
+        tokenlay: expect.objectContaining({ cost: 0.002 }),
+        duration: expect.any(Number),
+      }));
+    });
+
+    it('should let async hooks mutate params and headers', async () => {
+      const client = new TokenlayOpenAI({
+        tokenlayKey: 'tk_test_123',
+        providerApiKey: 'sk-test-456',
+        extraHeaders: { 'x-debug': '1' },
+        hooks: {
+          onRequest: async (context) => {
+            await Promise.resolve();
+            context.params.model = 'gpt-4o-mini';
+            context.headers['x-request-id'] = 'req_1';
+            delete context.headers['x-debug'];
+          },
+        },
+      });
+
+      await client.chat.completions.create(params);
+
+      expect(mockCreate).toHaveBeenCalledWith(
+        expect.objectContaining({ model: 'gpt-4o-mini' }),
+        {
+          headers: { 'x-tokenlay-userId': 'user_123', 'x-request-id': 'req_1', 'x-debug': null },
+          signal: undefined,
+          maxRetries: 0,
+        }
+      );
+    });
+
+    it('should reject the request when a hook throws', async () => {
+      const onError = vi.fn();
+      const client = new TokenlayOpenAI({
+        tokenlayKey: 'tk_test_123',
+        providerApiKey: 'sk-test-456',
+        hooks: {
+          onRequest: () => {
+            throw new Error('Denied by policy');
+          },
+          onError,
+        },
+      });
+
+      await expect(client.chat.completions.create(params)).rejects.toThrow('Denied by policy');
+      expect(mockCreate).not.toHaveBeenCalled();
+      expect(onError).toHaveBeenCalledWith(expect.objectContaining({ error: expect.any(Error) }));
+    });
+
+    it('should report exceeded limits and errors', async () => {
+      const calls: string[] = [];
+      const client = new TokenlayOpenAI({
+        tokenlayKey: 'tk_test_123',
+        providerApiKey: 'sk-test-456',
+        hooks: {
+          onLimitExceeded: ({ error, tokenlay }) => {
+            calls.push(`limit:${tokenlay.ruleId}:${error?.name}`);
+          },
+          onError: () => {
+            calls.push('error');
+          },
+        },
+      });
+      mockCreate.mockReturnValueOnce({
+        withResponse: () => Promise.reject(Object.assign(new Error('429 Limit exceeded'), {
+          status: 429,
+          headers: { 'x-tokenlay-limit-exceeded': 'true', 'x-tokenlay-rule-id': 'rule_cap' },
+        })),
+      });
+
+      await expect(client.chat.completions.create(params)).rejects.toThrow(TokenlayLimitExceededError);
+      expect(calls).toEqual(['limit:rule_cap:TokenlayLimitExceededError', 'error']);
+    });
+
+    it('should report exceeded limits that let the request through', async () => {
+      const calls: string[] = [];
+      const client = new TokenlayOpenAI({
+        tokenlayKey: 'tk_test_123',
+        providerApiKey: 'sk-test-456',
+        hooks: {
+          onResponse: () => {
+            calls.push('response');
+          },
+          onLimitExceeded: ({ response, tokenlay }) => {
+            calls.push(`limit:${tokenlay.ruleId}:${response === undefined ? 'rejected' : 'served'}`);
+          },
+        },
+      });
+      mockCreate.mockReturnValueOnce(mockApiPromise(completion, {
+        'x-tokenlay-limit-exceeded': 'true',
+        'x-tokenlay-rule-id': 'rule_soft_cap',
+      }));
+
+      await client.chat.completions.create(params);
+
+      expect(calls).toEqual(['response', 'limit:rule_soft_cap:served']);
+    });
+
+    it('should report rule warnings', async () => {
+      const onRuleWarning = vi.fn();
+      const client = new TokenlayOpenAI({
+        tokenlayKey: 'tk_test_123',
+        providerApiKey: 'sk-test-456',
+        hooks: { onRuleWarning },
+      });
+
+      await client.chat.completions.create(params);
+      expect(onRuleWarning).not.toHaveBeenCalled();
+
+      mockCreate.mockReturnValueOnce(mockApiPromise(completion, {
+        'x-tokenlay-rule-action': 'warn',
+        'x-tokenlay-warnings': '["Approaching monthly budget"]',
+      }));
+      await client.chat.completions.create(params);
+
+      expect(onRuleWarning).toHaveBeenCalledWith(expect.objectContaining({
+        tokenlay: expect.objectContaining({ warnings: ['Approaching monthly budget'] }),
+      }));
+    });
+
+    it('should run response hooks once a stream is consumed', async () => {
+      const onResponse = vi.fn();
+      const client = new TokenlayOpenAI({
+        tokenlayKey: 'tk_test_123',
+        providerApiKey: 'sk-test-456',
+        hooks: { onResponse },
+      });
+      mockCreate.mockReturnValueOnce({
+        withResponse: () => Promise.resolve({
+          data: {
+            controller: new AbortController(),
+            async *[Symbol.asyncIterator]() {
+              yield { id: 'chunk_1', choices: [], tokenlay: { cost: 0.4 } };
+            },
+          },
+          response: { headers: new Headers() },
+        }),
+      });
+
+      const stream = await client.chat.completions.create({ ...params, stream: true });
+      expect(onResponse).not.toHaveBeenCalled();
+
+      for await (const chunk of stream) {
+        expect(chunk.id).toBe('chunk_1');
+      }
+
+      await vi.waitFor(() => expect(onResponse).toHaveBeenCalledWith(expect.objectContaining({
+        response: stream,
+        tokenlay: expect.objectContaining({ cost: 0.4 }),
+      })));
+    });
+
+    it('should add and remove hooks dynamically', async () => {
+      const client = new TokenlayOpenAI({
+        tokenlayKey: 'tk_test_123',
+        providerApiKey: 'sk-test-456',
+      });
+      const onRequest = vi.fn();
+
+      const remove = client.addHook('onRequest', onRequest);
+      await client.withMetadata({ tier: 'pro' }).chat.completions.create(params);
+      remove();
+      await client.chat.completions.create(params);
+
+      expect(onRequest).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('withMetadata', () => {
+    it('should merge global, scoped and per-request metadata in order', async () => {
+      const client = new TokenlayOpenAI({
+        tokenlayKey: 'tk_test_123',
+        providerApiKey: 'sk-test-456',
+        metadata: { tier: 'free', feature: 'global' },
+      });
+
+      const scoped = client.withMetadata({ userId: 'user_123', feature: 'scoped' });
+      await scoped.chat.completions.create({
+        model: 'gpt-3.5-turbo',
+        messages: [{ role: 'user', content: 'Hello!' }],
+        metadata: { feature: 'request' },
+      });
+
+      // Per-request headers override the global metadata in the default headers
+      expect(lastOpenAIOptions.defaultHeaders['x-tokenlay-tier']).toBe('free');
+      expect(mockCreate.mock.calls[0][1].headers).toEqual({
+        'x-tokenlay-userId': 'user_123',
+        'x-tokenlay-feature': 'request',
+      });
+    });
+
+    it('should share the underlying client', () => {
+      const client = new TokenlayOpenAI({
+        tokenlayKey: 'tk_test_123',
+        providerApiKey: 'sk-test-456',
+      });
+      const openaiOptions = lastOpenAIOptions;
+
+      const scoped = client.withMetadata({ userId: 'user_123' }).withMetadata({ tier: 'pro' });
+
+      expect(scoped).toBeInstanceOf(TokenlayOpenAI);
+      expect(scoped.openai).toBe(client.openai);
+      // No new OpenAI client was constructed
+      expect(lastOpenAIOptions).toBe(openaiOptions);
+    });
+
+    it('should not change the parent client', async () => {
+      const client = new TokenlayOpenAI({
+        tokenlayKey: 'tk_test_123',
+        providerApiKey: 'sk-test-456',
+      });
+      const scoped = client.withMetadata({ userId: 'user_123' });
+
+      await scoped.embeddings.create({ model: 'text-embedding-3-small', input: 'Hello' });
+      await client.embeddings.create({ model: 'text-embedding-3-small', input: 'Hello' });
+
+      expect(mockEmbeddingsCreate.mock.calls[0][1].headers).toEqual({ 'x-tokenlay-userId': 'user_123' });
+      expect(mockEmbeddingsCreate.mock.calls[1][1].headers).toEqual({});
+    });
+
+    it('should see later global metadata updates', async () => {
+      const client = new TokenlayOpenAI({
+        tokenlayKey: 'tk_test_123',
+        providerApiKey: 'sk-test-456',
+      });
+      const scoped = client.withMetadata({ userId: 'user_123' });
+
+      client.updateMetadata({ projectId: 'proj_1' });
+
+      expect(lastOpenAIOptions.defaultHeaders['x-tokenlay-projectId']).toBe('proj_1');
+      // eslint-disable-next-line @typescript-eslint/no-explicit-any
+      expect((scoped as any).config.metadata).toEqual({ projectId: 'proj_1' });
+    });
+  });
+
+  describe('runWithMetadata', () => {
+    it('should attach context metadata between global and scoped metadata', async () => {
+      const client = new TokenlayOpenAI({
+        tokenlayKey: 'tk_test_123',
+        providerApiKey: 'sk-test-456',
+        metadata: { userId: 'global' },
+      });
+      const scoped = client.withMetadata({ feature: 'scoped' });
+
+      await runWithMetadata({ userId: 'user_123', feature: 'context', tier: 'pro' }, async () => {
+        await Promise.resolve();
+        await scoped.chat.completions.create({
+          model: 'gpt-3.5-turbo',
+          messages: [{ role: 'user', content: 'Hello!' }],
+          metadata: { tier: 'enterprise' },
+        });
+      });
+
+      expect(mockCreate.mock.calls[0][1].headers).toEqual({
+        'x-tokenlay-userId': 'user_123',
+        'x-tokenlay-feature': 'scoped',
+        'x-tokenlay-tier': 'enterprise',
+      });
+    });
+  });
+
+  describe('withOptions', () => {
+    it('should pass timeout, retries and extra headers with each request', async () => {
+      const client = new TokenlayOpenAI({
+        tokenlayKey: 'tk_test_123',
+        providerApiKey: 'sk-test-456',
+      });
+
+      const scoped = client
+        .withOptions({ timeout: 5000, extraHeaders: { 'x-request-id': 'req_1' } })
+        .withMetadata({ userId: 'user_123' })
+        .withOptions({ maxRetries: 0 });
+
+      await scoped.chat.completions.create({
+        model: 'gpt-3.5-turbo',
+        messages: [{ role: 'user', content: 'Hello!' }],
+      });
+
+      expect(mockCreate.mock.calls[0][1]).toEqual({
+        headers: { 'x-tokenlay-userId': 'user_123', 'x-request-id': 'req_1' },
+        signal: undefined,
+        timeout: 5000,
+        maxRetries: 0,
+      });
+    });
+  });
+
+  describe('updateProviderKey', () => {
+    it('should update provider API key', () => {
+      const client = new TokenlayOpenAI({
+        tokenlayKey: 'tk_test_123',
+        providerApiKey: 'sk-test-456',
+      });
+
+      client.updateProviderKey('sk-new-key-789');
+
+      // eslint-disable-next-line @typescript-eslint/no-explicit-any
+      const config = (client as any).config;
+      expect(config.providerApiKey).toBe('sk-new-key-789');
+    });
+
+    it('should send the new key on subsequent requests', () => {
+      const client = new TokenlayOpenAI({
+        tokenlayKey: 'tk_test_123',
+        providerApiKey: 'sk-test-456',
+        extraHeaders: { 'x-custom': 'value' },
+      });
+
+      client.updateProviderKey('sk-new-key-789');
+
+      expect(lastOpenAIOptions.defaultHeaders['x-tokenlay-provider-key']).toBe('sk-new-key-789');
+      expect(lastOpenAIOptions.defaultHeaders['x-custom']).toBe('value');
+    });
+
+    it('should reject an empty key', () => {
+      const client = new TokenlayOpenAI({
+        tokenlayKey: 'tk_test_123',
+        providerApiKey: 'sk-test-456',
+      });
+
+      expect(() => client.updateProviderKey('')).toThrow('providerApiKey is required');
+      expect(lastOpenAIOptions.defaultHeaders['x-tokenlay-provider-key']).toBe('sk-test-456');
     });
   });
 
@@ -0,0 +1,37 @@
+import { describe, it, expect } from 'vitest';
+import { runWithMetadata, getCurrentMetadata } from '../src/context.js';
+
+describe('context', () => {
+  it('should have no metadata outside a context', () => {
+    expect(getCurrentMetadata()).toBeUndefined();
+  });
+
+  it('should expose metadata across async boundaries', async () => {
+    const metadata = await runWithMetadata({ userId: 'user_123' }, async () => {
+      await new Promise((resolve) => setTimeout(resolve, 1));
+      return getCurrentMetadata();
+    });
+
+    expect(metadata).toEqual({ userId: 'user_123' });
+    expect(getCurrentMetadata()).toBeUndefined();
+  });
+
+  it('should merge nested contexts over the enclosing one', () => {
+    runWithMetadata({ userId: 'user_123', tier: 'free' }, () => {
+      runWithMetadata({ tier: 'pro', feature: undefined }, () => {
+        expect(getCurrentMetadata()).toEqual({ userId: 'user_123', tier: 'pro' });
+      });
+
+      expect(getCurrentMetadata()).toEqual({ userId: 'user_123', tier: 'free' });
+    });
+  });
+
+  it('should isolate concurrent contexts', async () => {
+    const read = (userId: string) => runWithMetadata({ userId }, async () => {
+      await new Promise((resolve) => setTimeout(resolve, userId === 'a' ? 5 : 1));
+      return getCurrentMetadata()?.userId;
+    });
+
+    expect(await Promise.all([read('a'), read('b')])).toEqual(['a', 'b']);
+  });
+});
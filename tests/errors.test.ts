@@ -0,0 +1,141 @@
+import { describe, it, expect } from 'vitest';
+import OpenAI from 'openai';
+import Anthropic from '@anthropic-ai/sdk';
+import '../src/anthropic.js';
+import {
+  isConnectionError,
+  isTimeoutError,
+  toTokenlayError,
+  TokenlayError,
+  TokenlayBlockedError,
+  TokenlayLimitExceededError,
+  TokenlayQueuedError,
+  TokenlayAuthError,
+} from '../src/errors.js';
+
+/**
+ * Build an error shaped like the OpenAI SDK's APIError
+ */
+function apiError(status: number, headers: Record<string, string>, message = `${status} error`) {
+  return Object.assign(new Error(message), { status, headers });
+}
+
+describe('errors', () => {
+  describe('toTokenlayError', () => {
+    it('should map blocked requests to TokenlayBlockedError', () => {
+      const original = apiError(403, {
+        'x-tokenlay-rule-id': 'rule_free_tier',
+        'x-tokenlay-rule-action': 'block',
+      });
+
+      const error = toTokenlayError(original);
+
+      expect(error).toBeInstanceOf(TokenlayBlockedError);
+      expect(error).toBeInstanceOf(TokenlayError);
+      expect(error).toMatchObject({
+        name: 'TokenlayBlockedError',
+        ruleId: 'rule_free_tier',
+        status: 403,
+        cause: original,
+      });
+      expect((error as TokenlayError).metadata.ruleAction).toBe('block');
+      expect((error as TokenlayError).message).toContain('rule_free_tier');
+    });
+
+    it('should map exceeded limits to TokenlayLimitExceededError', () => {
+      const error = toTokenlayError(apiError(429, {
+        'x-tokenlay-rule-id': 'rule_monthly_cap',
+        'x-tokenlay-rule-action': 'block',
+        'x-tokenlay-limit-exceeded': 'true',
+      }));
+
+      expect(error).toBeInstanceOf(TokenlayLimitExceededError);
+      expect((error as TokenlayError).metadata.limitExceeded).toBe(true);
+      expect((error as TokenlayError).status).toBe(429);
+    });
+
+    it('should map queued requests to TokenlayQueuedError', () => {
+      const error = toTokenlayError(apiError(429, {
+        'x-tokenlay-rule-id': 'rule_throttle',
+        'x-tokenlay-rule-action': 'queue',
+      }));
+
+      expect(error).toBeInstanceOf(TokenlayQueuedError);
+      expect((error as TokenlayError).ruleId).toBe('rule_throttle');
+      expect((error as TokenlayQueuedError).retryAfter).toBeUndefined();
+    });
+
+    it('should carry Retry-After on queued errors', () => {
+      const error = toTokenlayError(apiError(429, {
+        'x-tokenlay-rule-action': 'queue',
+        'x-tokenlay-queue-position': '3',
+        'retry-after': '2',
+      }));
+
+      expect((error as TokenlayQueuedError).retryAfter).toBe(2000);
+      expect((error as TokenlayQueuedError).metadata.queuePosition).toBe(3);
+    });
+
+    it('should map 401 responses to TokenlayAuthError', () => {
+      const error = toTokenlayError(apiError(401, {}, 'Invalid Tokenlay key'));
+
+      expect(error).toBeInstanceOf(TokenlayAuthError);
+      expect((error as TokenlayError).message).toBe('Authentication failed: Invalid Tokenlay key');
+      expect((error as TokenlayError).ruleId).toBeUndefined();
+    });
+
+    it('should read headers from fetch Headers instances', () => {
+      const error = toTokenlayError(Object.assign(new Error('429 Limit'), {
+        status: 429,
+        headers: new Headers({ 'X-Tokenlay-Limit-Exceeded': 'true' }),
+      }));
+
+      expect(error).toBeInstanceOf(TokenlayLimitExceededError);
+    });
+
+    it('should return errors without a Tokenlay outcome unchanged', () => {
+      const original = apiError(500, { 'content-type': 'application/json' });
+      expect(toTokenlayError(original)).toBe(original);
+    });
+
+    it('should keep the original error when the warnings header is not JSON', () => {
+      const original = apiError(500, { 'x-tokenlay-warnings': 'near limit' });
+      expect(toTokenlayError(original)).toBe(original);
+    });
+
+    it('should return non-API errors unchanged', () => {
+      const original = new TypeError('fetch failed');
+      expect(toTokenlayError(original)).toBe(original);
+      expect(toTokenlayError('boom')).toBe('boom');
+    });
+  });
+
+  describe('isConnectionError', () => {
+    it('should detect provider SDK connection errors', () => {
+      expect(isConnectionError(new OpenAI.APIConnectionError({ message: 'Connection error.' }))).toBe(true);
+      expect(isConnectionError(new Anthropic.APIConnectionError({ message: 'Connection error.' }))).toBe(true);
+    });
+
+    it('should not treat timeouts or look-alikes as connection errors', () => {
+      class APIConnectionError extends Error {}
+
+      expect(isConnectionError(new OpenAI.APIConnectionTimeoutError())).toBe(false);
+      expect(isConnectionError(new Anthropic.APIConnectionTimeoutError())).toBe(false);
+      expect(isConnectionError(new APIConnectionError('Connection error.'))).toBe(false);
+      expect(isConnectionError(apiError(502, {}))).toBe(false);
+    });
+  });
+
+  describe('isTimeoutError', () => {
+    it('should detect provider SDK and AbortSignal timeouts', () => {
+      expect(isTimeoutError(new OpenAI.APIConnectionTimeoutError())).toBe(true);
+      expect(isTimeoutError(new Anthropic.APIConnectionTimeoutError())).toBe(true);
+      expect(isTimeoutError(Object.assign(new Error('Timed out'), { name: 'TimeoutError' }))).toBe(true);
+    });
+
+    it('should not treat connection errors as timeouts', () => {
+      expect(isTimeoutError(new OpenAI.APIConnectionError({ message: 'Connection error.' }))).toBe(false);
+      expect(isTimeoutError(new Error('boom'))).toBe(false);
+    });
+  });
+});
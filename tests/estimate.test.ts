@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest';
+import { estimateChatCompletion } from '../src/estimate.js';
+import { DEFAULT_PRICING } from '../src/pricing.js';
+
+const messages = [
+  { role: 'system', content: 'You are helpful.' },
+  { role: 'user', content: 'Hello!' },
+];
+
+describe('estimateChatCompletion', () => {
+  it('should count prompt tokens and price the request', async () => {
+    const estimate = await estimateChatCompletion({ model: 'gpt-4o', messages, max_tokens: 100 }, DEFAULT_PRICING);
+
+    // 3 reply tokens + (3 + 1 + 4) system + (3 + 1 + 2) user
+    expect(estimate.inputTokens).toBe(17);
+    expect(estimate.maxOutputTokens).toBe(100);
+    expect(estimate.model).toBe('gpt-4o');
+    expect(estimate.cost.min).toBeCloseTo(17 * 2.5 / 1_000_000, 12);
+    expect(estimate.cost.max).toBeCloseTo(17 * 2.5 / 1_000_000 + 100 * 10 / 1_000_000, 12);
+  });
+
+  it('should fall back to the model output limit and multiply by n', async () => {
+    const estimate = await estimateChatCompletion({ model: 'gpt-3.5-turbo', messages, n: 2 }, DEFAULT_PRICING);
+
+    expect(estimate.maxOutputTokens).toBe(2 * 4096);
+  });
+
+  it('should prefer max_completion_tokens', async () => {
+    const estimate = await estimateChatCompletion(
+      { model: 'o3', messages, max_tokens: 100, max_completion_tokens: 50 },
+      DEFAULT_PRICING
+    );
+
+    expect(estimate.maxOutputTokens).toBe(50);
+  });
+
+  it('should count text content parts, names and tools', async () => {
+    const base = await estimateChatCompletion({ model: 'gpt-4o', messages }, DEFAULT_PRICING);
+    const estimate = await estimateChatCompletion({
+      model: 'gpt-4o',
+      messages: [
+        messages[0],
+        { role: 'user', name: 'bob', content: [{ type: 'text', text: 'Hello!' }, { type: 'image_url', image_url: { url: 'https://example.com/a.png' } }] },
+      ],
+      tools: [{ type: 'function', function: { name: 'lookup', parameters: { type: 'object' } } }],
+    }, DEFAULT_PRICING);
+
+    expect(estimate.inputTokens).toBeGreaterThan(base.inputTokens + 2);
+  });
+
+  it('should treat special tokens in content as text', async () => {
+    const estimate = await estimateChatCompletion(
+      { model: 'gpt-4o', messages: [{ role: 'user', content: '<|endoftext|>' }] },
+      DEFAULT_PRICING
+    );
+
+    expect(estimate.inputTokens).toBe(3 + 3 + 1 + 7);
+  });
+});
@@ -0,0 +1,92 @@
+import { describe, it, expect } from 'vitest';
+import OpenAI from 'openai';
+import {
+  providerConnectionHeaders,
+  resolveFallbackRoutes,
+  routeParams,
+  shouldFallback,
+} from '../src/fallback.js';
+import {
+  TokenlayBlockedError,
+  TokenlayLimitExceededError,
+  TokenlayAuthError,
+  TokenlayCircuitOpenError,
+} from '../src/errors.js';
+import { getProviderPreset } from '../src/providers.js';
+import { parseTokenlayHeaders, DEFAULT_PROVIDER_API_BASE } from '../src/utils.js';
+
+describe('fallback', () => {
+  describe('providerConnectionHeaders', () => {
+    it('should include the preset name and headers', () => {
+      expect(providerConnectionHeaders('sk-ant-123', 'https://api.anthropic.com/v1', getProviderPreset('anthropic')))
+        .toEqual({
+          'x-tokenlay-provider-base': 'https://api.anthropic.com/v1',
+          'x-tokenlay-provider-key': 'sk-ant-123',
+          'x-tokenlay-provider': 'anthropic',
+          'anthropic-version': '2023-06-01',
+        });
+    });
+
+    it('should omit an empty key', () => {
+      expect(providerConnectionHeaders('', 'https://example.com/v1')).toEqual({
+        'x-tokenlay-provider-base': 'https://example.com/v1',
+      });
+    });
+  });
+
+  describe('resolveFallbackRoutes', () => {
+    it('should name routes after their preset or API base', () => {
+      const routes = resolveFallbackRoutes('tk_test_123', [
+        { provider: 'mistral', providerApiKey: 'mistral-key' },
+        { providerApiKey: 'sk-test-456' },
+      ], DEFAULT_PROVIDER_API_BASE);
+
+      expect(routes.map((route) => route.name)).toEqual(['mistral', DEFAULT_PROVIDER_API_BASE]);
+      expect(routes[0].headers?.['x-tokenlay-provider-base']).toBe('https://api.mistral.ai/v1');
+    });
+
+    it('should validate each provider', () => {
+      expect(() => resolveFallbackRoutes('tk_test_123', [{ provider: 'openai', providerApiKey: 'bad-key' }], DEFAULT_PROVIDER_API_BASE))
+        .toThrow(/OpenAI/);
+    });
+  });
+
+  describe('routeParams', () => {
+    it('should map the model for the provider', () => {
+      const params = { model: 'gpt-4o', temperature: 0 };
+
+      expect(routeParams(params, { name: 'backup', models: { 'gpt-4o': 'gpt-4o-backup' } }))
+        .toEqual({ model: 'gpt-4o-backup', temperature: 0 });
+      expect(routeParams(params, { name: 'primary' })).toBe(params);
+    });
+  });
+
+  describe('shouldFallback', () => {
+    const metadata = parseTokenlayHeaders({});
+
+    function apiError(status: number) {
+      return Object.assign(new Error(`${status} Error`), { status });
+    }
+
+    it('should fall back on server errors, timeouts and provider rate limits', () => {
+      expect(shouldFallback(apiError(500))).toBe(true);
+      expect(shouldFallback(apiError(408))).toBe(true);
+      expect(shouldFallback(apiError(429))).toBe(true);
+      expect(shouldFallback(Object.assign(new Error('Timed out'), { name: 'TimeoutError' }))).toBe(true);
+      expect(shouldFallback(new OpenAI.APIConnectionTimeoutError())).toBe(true);
+    });
+
+    it('should fall back on Tokenlay blocks and open circuits', () => {
+      expect(shouldFallback(new TokenlayBlockedError('Blocked', { metadata }))).toBe(true);
+      expect(shouldFallback(new TokenlayCircuitOpenError('Open', { metadata, circuitKey: 'gpt-4o', retryAfter: 0 })))
+        .toBe(true);
+    });
+
+    it('should not fall back on client errors or other Tokenlay outcomes', () => {
+      expect(shouldFallback(apiError(400))).toBe(false);
+      expect(shouldFallback(new TokenlayLimitExceededError('Limit', { metadata, status: 429 }))).toBe(false);
+      expect(shouldFallback(new TokenlayAuthError('Auth', { metadata, status: 401 }))).toBe(false);
+      expect(shouldFallback(new Error('Network error'))).toBe(false);
+    });
+  });
+});
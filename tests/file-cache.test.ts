@@ -0,0 +1,27 @@
+import { describe, it, expect } from 'vitest';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { FileCacheStore } from '../src/file-cache.js';
+import { parseTokenlayHeaders } from '../src/utils.js';
+
+const metadata = parseTokenlayHeaders({ 'x-tokenlay-cost': '0.002' });
+
+describe('FileCacheStore', () => {
+  it('should persist entries as files', async () => {
+    const directory = await mkdtemp(join(tmpdir(), 'tokenlay-cache-'));
+    try {
+      const store = new FileCacheStore({ directory: join(directory, 'responses') });
+
+      expect(await store.get('a')).toBeUndefined();
+      await store.set('a', { value: { text: 'a' }, metadata, expiresAt: 1 });
+      expect(await new FileCacheStore({ directory: join(directory, 'responses') }).get('a'))
+        .toEqual({ value: { text: 'a' }, metadata, expiresAt: 1 });
+
+      await store.delete('a');
+      expect(await store.get('a')).toBeUndefined();
+    } finally {
+      await rm(directory, { recursive: true, force: true });
+    }
+  });
+});
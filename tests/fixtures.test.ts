@@ -0,0 +1,140 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { FixtureRecorder, REDACTED, type FixtureMode } from '../src/fixtures.js';
+import { startMockTokenlayProxy, type MockTokenlayProxy } from '../src/testing.js';
+import { TokenlayOpenAI, getTokenlayMetadata } from '../src/client.js';
+
+describe('FixtureRecorder', () => {
+  let directory: string;
+  let path: string;
+  let proxy: MockTokenlayProxy;
+
+  const params = {
+    model: 'gpt-4o',
+    messages: [{ role: 'user' as const, content: 'Say hello' }],
+  };
+
+  function createClient(mode: FixtureMode, options: { ignoreFields?: string[]; tokenlayBaseUrl?: string } = {}) {
+    return new TokenlayOpenAI({
+      tokenlayKey: 'tk_secret_123',
+      providerApiKey: 'sk-secret-456',
+      tokenlayBaseUrl: options.tokenlayBaseUrl ?? proxy.url,
+      maxRetries: 0,
+      fixtures: new FixtureRecorder({ path, mode, ignoreFields: options.ignoreFields }),
+    });
+  }
+
+  beforeEach(async () => {
+    directory = await mkdtemp(join(tmpdir(), 'tokenlay-fixtures-'));
+    path = join(directory, 'fixtures', 'chat.json');
+    proxy = await startMockTokenlayProxy();
+  });
+
+  afterEach(async () => {
+    await proxy.stop();
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  it('should record interactions with credentials redacted', async () => {
+    proxy.enqueue({ content: 'Hi there', cost: 0.0012, ruleId: 'rule_1' });
+
+    const response = await createClient('record').chat.completions.create(params);
+
+    expect(response.choices[0].message.content).toBe('Hi there');
+    const { interactions } = JSON.parse(await readFile(path, 'utf8'));
+    expect(interactions).toHaveLength(1);
+    expect(interactions[0].request).toMatchObject({
+      method: 'POST',
+      url: `${proxy.url}/v1/chat/completions`,
+      headers: { authorization: REDACTED, 'x-tokenlay-provider-key': REDACTED },
+    });
+    expect(interactions[0].response).toMatchObject({
+      status: 200,
+      headers: { 'x-tokenlay-cost': '0.0012', 'x-tokenlay-rule-id': 'rule_1' },
+    });
+    expect(await readFile(path, 'utf8')).not.toMatch(/secret/);
+  });
+
+  it('should replay recorded responses and Tokenlay metadata offline', async () => {
+    proxy.enqueue({ content: 'First', cost: 0.001 }, { content: 'Second', cost: 0.002 });
+    const recording = createClient('record');
+    await recording.chat.completions.create(params);
+    await recording.chat.completions.create(params);
+    const url = proxy.url;
+    await proxy.stop();
+    proxy = await startMockTokenlayProxy();
+
+    const replaying = createClient('replay', { tokenlayBaseUrl: url });
+    const first = await replaying.chat.completions.create(params);
+    const second = await replaying.chat.completions.create(params);
+
+    expect(first.choices[0].message.content).toBe('First');
+    expect(second.choices[0].message.content).toBe('Second');
+    expect(getTokenlayMetadata(second)?.cost).toBe(0.002);
+    expect(proxy.requests).toHaveLength(0);
+  });
+
+  it('should record and replay streams chunk by chunk', async () => {
+    const streamParams = { stream: true, stream_options: { include_usage: true } } as const;
+    proxy.enqueue({ content: 'Hello from the stream', cost: 0.003 });
+    const recorded = await createClient('record').chat.completions.create({ ...params, ...streamParams });
+    for await (const chunk of recorded) {
+      expect(chunk.object).toBe('chat.completion.chunk');
+    }
+
+    const stream = await createClient('replay').chat.completions.create({ ...params, ...streamParams });
+    let text = '';
+    for await (const chunk of stream) {
+      text += chunk.choices[0]?.delta?.content ?? '';
+    }
+
+    expect(text).toBe('Hello from the stream');
+    expect((await stream.finalMetadata()).cost).toBe(0.003);
+    const { interactions } = JSON.parse(await readFile(path, 'utf8'));
+    expect(interactions[0].response.chunks.length).toBeGreaterThan(1);
+  });
+
+  it('should match while ignoring configured fields', async () => {
+    await createClient('record').chat.completions.create({ ...params, user: 'user_1' });
+
+    const strict = createClient('replay');
+    const lenient = createClient('replay', { ignoreFields: ['user'] });
+
+    await expect(strict.chat.completions.create({ ...params, user: 'user_2' })).rejects.toThrow(/No fixture matches POST/);
+    await expect(lenient.chat.completions.create({ ...params, user: 'user_2' })).resolves.toBeDefined();
+  });
+
+  it('should record only unmatched requests in auto mode', async () => {
+    await createClient('auto').chat.completions.create(params);
+    await createClient('auto').chat.completions.create(params);
+    await createClient('auto').chat.completions.create({ ...params, model: 'gpt-4o-mini' });
+
+    expect(proxy.requests).toHaveLength(2);
+    expect(await new FixtureRecorder({ path }).getInteractions()).toHaveLength(2);
+  });
+
+  it('should replace the fixture file when re-recording', async () => {
+    proxy.enqueue({ content: 'Stale' });
+    await createClient('record').chat.completions.create(params);
+
+    proxy.enqueue({ content: 'Fresh' });
+    await createClient('record').chat.completions.create(params);
+
+    expect(await new FixtureRecorder({ path }).getInteractions()).toHaveLength(1);
+    const replayed = await createClient('replay').chat.completions.create(params);
+    expect(replayed.choices[0].message.content).toBe('Fresh');
+  });
+
+  it('should keep every interaction of concurrent recordings', async () => {
+    const client = createClient('record');
+
+    await Promise.all(['one', 'two', 'three', 'four'].map((content) =>
+      client.chat.completions.create({ ...params, messages: [{ role: 'user', content }] })
+    ));
+
+    const { interactions } = JSON.parse(await readFile(path, 'utf8'));
+    expect(interactions).toHaveLength(4);
+  });
+});
@@ -0,0 +1,27 @@
+import { describe, it, expect } from 'vitest';
+import { createHookRegistry } from '../src/hooks.js';
+
+describe('hooks', () => {
+  describe('createHookRegistry', () => {
+    it('should start with no hooks', () => {
+      expect(createHookRegistry()).toEqual({
+        onRequest: [],
+        onResponse: [],
+        onError: [],
+        onRuleWarning: [],
+        onLimitExceeded: [],
+      });
+    });
+
+    it('should register the hooks passed in', () => {
+      const onRequest = () => {};
+      const onError = async () => {};
+
+      const registry = createHookRegistry({ onRequest, onError });
+
+      expect(registry.onRequest).toEqual([onRequest]);
+      expect(registry.onError).toEqual([onError]);
+      expect(registry.onResponse).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,125 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { ProviderKeyPool, fingerprintKey } from '../src/keys.js';
+import { TokenlayAuthError, TokenlayLimitExceededError } from '../src/errors.js';
+import { parseTokenlayHeaders } from '../src/utils.js';
+
+function apiError(status: number) {
+  return Object.assign(new Error(`${status} Error`), { status });
+}
+
+describe('ProviderKeyPool', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should fingerprint keys without exposing them', () => {
+    const fingerprint = fingerprintKey('sk-test-1');
+
+    expect(fingerprint).toMatch(/^sha256:[0-9a-f]{16}$/);
+    expect(fingerprint).toBe(fingerprintKey('sk-test-1'));
+    expect(fingerprint).not.toBe(fingerprintKey('sk-test-2'));
+  });
+
+  it('should rotate keys round-robin', () => {
+    const pool = new ProviderKeyPool({ keys: ['sk-1', 'sk-2', 'sk-3'] });
+
+    expect([1, 2, 3, 4].map(() => pool.select().key)).toEqual(['sk-1', 'sk-2', 'sk-3', 'sk-1']);
+  });
+
+  it('should skip rate limited keys until their cooldown ends', () => {
+    vi.useFakeTimers();
+    const pool = new ProviderKeyPool({ keys: ['sk-1', 'sk-2'], cooldown: 1000 });
+    const cooldown = vi.fn();
+    pool.on('cooldown', cooldown);
+
+    expect(pool.reportError('sk-1', apiError(429))).toBe(true);
+    expect(cooldown).toHaveBeenCalledWith({ fingerprint: fingerprintKey('sk-1'), reason: 'rate_limit', until: Date.now() + 1000 });
+    expect([1, 2].map(() => pool.select().key)).toEqual(['sk-2', 'sk-2']);
+
+    vi.advanceTimersByTime(1000);
+    expect(pool.select().key).toBe('sk-1');
+  });
+
+  it('should put keys rejected by the provider on cooldown', () => {
+    const pool = new ProviderKeyPool({ keys: ['sk-1', 'sk-2'] });
+    const metadata = parseTokenlayHeaders({ 'x-tokenlay-error-source': 'provider' });
+
+    expect(pool.reportError('sk-1', new TokenlayAuthError('Authentication failed', { metadata, status: 401 }))).toBe(true);
+    expect(pool.reportError('sk-2', Object.assign(apiError(403), { headers: { 'x-tokenlay-error-source': 'provider' } })))
+      .toBe(true);
+
+    expect(pool.snapshot()).toMatchObject([
+      { authFailures: 1, coolingDownUntil: expect.any(Number) },
+      { authFailures: 1, coolingDownUntil: expect.any(Number) },
+    ]);
+  });
+
+  it('should not blame keys for rejections it cannot attribute to the provider', () => {
+    const pool = new ProviderKeyPool({ keys: ['sk-1'] });
+    const rejectedByTokenlay = parseTokenlayHeaders({ 'x-tokenlay-error-source': 'tokenlay' });
+
+    expect(pool.reportError('sk-1', new TokenlayAuthError('Authentication failed', { metadata: rejectedByTokenlay, status: 401 })))
+      .toBe(false);
+    expect(pool.reportError('sk-1', new TokenlayAuthError('Authentication failed', { metadata: parseTokenlayHeaders({}), status: 401 })))
+      .toBe(false);
+    expect(pool.reportError('sk-1', apiError(403))).toBe(false);
+    expect(pool.snapshot()[0].authFailures).toBe(0);
+  });
+
+  it('should not blame keys for Tokenlay rule outcomes', () => {
+    const pool = new ProviderKeyPool({ keys: ['sk-1'] });
+    const error = new TokenlayLimitExceededError('Limit', { metadata: parseTokenlayHeaders({}), status: 429 });
+
+    expect(pool.reportError('sk-1', error)).toBe(false);
+    expect(pool.reportError('sk-1', apiError(500))).toBe(false);
+  });
+
+  it('should prefer the least recently rate limited key', () => {
+    vi.useFakeTimers();
+    const pool = new ProviderKeyPool({ keys: ['sk-1', 'sk-2', 'sk-3'], strategy: 'least-recently-limited', cooldown: 10 });
+
+    pool.reportError('sk-1', apiError(429));
+    vi.advanceTimersByTime(5);
+    pool.reportError('sk-2', apiError(429));
+    vi.advanceTimersByTime(10);
+
+    expect(pool.select().key).toBe('sk-3');
+    expect(pool.select().key).toBe('sk-3');
+    pool.reportError('sk-3', apiError(429));
+    vi.advanceTimersByTime(10);
+    expect(pool.select().key).toBe('sk-1');
+  });
+
+  it('should pick the key available soonest when every key is cooling down', () => {
+    const pool = new ProviderKeyPool({ keys: ['sk-1', 'sk-2'] });
+    const exhausted = vi.fn();
+    pool.on('exhausted', exhausted);
+
+    pool.coolDown('sk-1', 'rate_limit', 5000);
+    pool.coolDown('sk-2', 'rate_limit', 1000);
+
+    expect(pool.select().key).toBe('sk-2');
+    expect(exhausted).toHaveBeenCalledTimes(1);
+  });
+
+  it('should report whether a key is available', () => {
+    const pool = new ProviderKeyPool({ keys: ['sk-1', 'sk-2'] });
+
+    pool.coolDown('sk-1', 'rate_limit');
+    expect(pool.hasAvailableKey()).toBe(true);
+
+    pool.coolDown('sk-2', 'auth');
+    expect(pool.hasAvailableKey()).toBe(false);
+  });
+
+  it('should add and remove keys', () => {
+    const pool = new ProviderKeyPool({ keys: ['sk-1'] });
+
+    pool.add('sk-2');
+    pool.add('sk-2');
+    pool.remove('sk-1');
+
+    expect(pool.keys).toEqual(['sk-2']);
+    expect(() => pool.remove('sk-2')).toThrow('Cannot remove the last key of a ProviderKeyPool.');
+  });
+});
@@ -0,0 +1,180 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  tokenlayExpress,
+  tokenlayExpressErrorHandler,
+  tokenlayFastify,
+  tokenlayFastifyErrorHandler,
+  withTokenlay,
+  tokenlayErrorResponse,
+} from '../src/middleware.js';
+import { getCurrentMetadata } from '../src/context.js';
+import {
+  TokenlayBlockedError,
+  TokenlayLimitExceededError,
+  TokenlayQueuedError,
+  TokenlayAuthError,
+} from '../src/errors.js';
+import { BudgetManager } from '../src/budget.js';
+import { parseTokenlayHeaders } from '../src/utils.js';
+
+const metadata = parseTokenlayHeaders({ 'x-tokenlay-rule-id': 'rule_free_tier' });
+
+// Stands in for the app's own session lookup
+const session = async (req: Request) => (req.headers.get('cookie') === 'session=abc' ? 'user_123' : undefined);
+const extractMetadata = async (req: Request) => ({ userId: await session(req) });
+
+describe('middleware', () => {
+  describe('tokenlayErrorResponse', () => {
+    it('should answer blocked requests with 402', () => {
+      const response = tokenlayErrorResponse(new TokenlayBlockedError('Request blocked', { metadata }));
+
+      expect(response).toEqual({
+        status: 402,
+        headers: {},
+        body: { error: { type: 'blocked', message: 'Request blocked', ruleId: 'rule_free_tier' } },
+      });
+    });
+
+    it('should answer exhausted budgets with 402', async () => {
+      const budget = new BudgetManager({ budgets: [{ key: 'userId', limit: 0, window: 1000 }] });
+      const error = await budget.check({ userId: 'user_123' }).catch((e: unknown) => e);
+
+      expect(tokenlayErrorResponse(error)?.status).toBe(402);
+      expect(tokenlayErrorResponse(error)?.body.error.type).toBe('budget_exceeded');
+    });
+
+    it('should answer exceeded limits with 429', () => {
+      const response = tokenlayErrorResponse(new TokenlayLimitExceededError('Limit exceeded', { metadata }));
+
+      expect(response?.status).toBe(429);
+      expect(response?.body.error.type).toBe('limit_exceeded');
+    });
+
+    it('should answer queued requests with 429 and Retry-After', () => {
+      const response = tokenlayErrorResponse(new TokenlayQueuedError('Queued', { metadata, retryAfter: 1500 }));
+
+      expect(response?.status).toBe(429);
+      expect(response?.headers).toEqual({ 'retry-after': '2' });
+      expect(response?.body.error).toMatchObject({ type: 'queued', retryAfter: 2 });
+    });
+
+    it('should ignore other errors', () => {
+      expect(tokenlayErrorResponse(new TokenlayAuthError('Authentication failed', { metadata }))).toBeUndefined();
+      expect(tokenlayErrorResponse(new Error('boom'))).toBeUndefined();
+    });
+  });
+
+  describe('express', () => {
+    it('should require an extractor', () => {
+      // @ts-expect-error extractMetadata is required
+      expect(() => tokenlayExpress()).toThrow('extractMetadata is required');
+      // @ts-expect-error extractMetadata is required
+      expect(() => tokenlayExpress({})).toThrow('extractMetadata is required');
+    });
+
+    it('should run the rest of the request with the extracted metadata', async () => {
+      const middleware = tokenlayExpress<{ headers: Record<string, string>; user: { id: string } }>({
+        extractMetadata: async (req) => ({ userId: req.user.id }),
+      });
+
+      const seen = await new Promise((resolve) => {
+        middleware({ headers: {}, user: { id: 'user_456' } }, {}, () => resolve(getCurrentMetadata()));
+      });
+
+      expect(seen).toEqual({ userId: 'user_456' });
+    });
+
+    it('should pass extractor errors to next', async () => {
+      const failure = new Error('no session');
+      const middleware = tokenlayExpress({ extractMetadata: () => { throw failure; } });
+
+      const error = await new Promise((resolve) => middleware({ headers: {} }, {}, resolve));
+
+      expect(error).toBe(failure);
+    });
+
+    it('should send Tokenlay errors as JSON and pass on the rest', () => {
+      const handler = tokenlayExpressErrorHandler();
+      const res = { status: vi.fn(), setHeader: vi.fn(), json: vi.fn() };
+      const next = vi.fn();
+
+      handler(new TokenlayQueuedError('Queued', { metadata, retryAfter: 3000 }), {}, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(429);
+      expect(res.setHeader).toHaveBeenCalledWith('retry-after', '3');
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ error: expect.objectContaining({ type: 'queued' }) }));
+      expect(next).not.toHaveBeenCalled();
+
+      const other = new Error('boom');
+      handler(other, {}, res, next);
+      expect(next).toHaveBeenCalledWith(other);
+    });
+  });
+
+  describe('fastify', () => {
+    it('should run the rest of the request with the extracted metadata', async () => {
+      const hook = tokenlayFastify<{ headers: Record<string, string>; user: { orgId: string } }>({
+        extractMetadata: (request) => ({ orgId: request.user.orgId }),
+      });
+
+      const seen = await new Promise((resolve) => {
+        hook({ headers: {}, user: { orgId: 'org_1' } }, {}, () => resolve(getCurrentMetadata()));
+      });
+
+      expect(seen).toEqual({ orgId: 'org_1' });
+    });
+
+    it('should reply to Tokenlay errors and send the rest to the default handler', () => {
+      const handler = tokenlayFastifyErrorHandler();
+      const reply = { code: vi.fn(), headers: vi.fn(), send: vi.fn() };
+
+      handler(new TokenlayBlockedError('Request blocked', { metadata }), {}, reply);
+
+      expect(reply.code).toHaveBeenCalledWith(402);
+      expect(reply.send).toHaveBeenCalledWith(expect.objectContaining({ error: expect.objectContaining({ type: 'blocked' }) }));
+
+      const other = new Error('boom');
+      handler(other, {}, reply);
+      expect(reply.send).toHaveBeenLastCalledWith(other);
+    });
+  });
+
+  describe('withTokenlay', () => {
+    it('should require an extractor', () => {
+      // @ts-expect-error options are required
+      expect(() => withTokenlay(async () => Response.json({}))).toThrow('extractMetadata is required');
+    });
+
+    it('should run the handler with the extracted metadata', async () => {
+      const route = withTokenlay(async () => Response.json(getCurrentMetadata()), {
+        extractMetadata,
+      });
+
+      const response = await route(new Request('https://example.com/api', { headers: { cookie: 'session=abc' } }));
+
+      expect(await response.json()).toEqual({ userId: 'user_123' });
+    });
+
+    it('should translate Tokenlay errors into JSON responses', async () => {
+      const route = withTokenlay(async () => {
+        throw new TokenlayLimitExceededError('Limit exceeded', { metadata });
+      }, { extractMetadata });
+
+      const response = await route(new Request('https://example.com/api'));
+
+      expect(response.status).toBe(429);
+      expect(response.headers.get('content-type')).toBe('application/json');
+      expect(await response.json()).toEqual({
+        error: { type: 'limit_exceeded', message: 'Limit exceeded', ruleId: 'rule_free_tier' },
+      });
+    });
+
+    it('should rethrow other errors', async () => {
+      const route = withTokenlay(async () => {
+        throw new Error('boom');
+      }, { extractMetadata });
+
+      await expect(route(new Request('https://example.com/api'))).rejects.toThrow('boom');
+    });
+  });
+});
@@ -0,0 +1,207 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { propagation, SpanKind, SpanStatusCode } from '@opentelemetry/api';
+import { W3CTraceContextPropagator } from '@opentelemetry/core';
+import { BasicTracerProvider, InMemorySpanExporter, SimpleSpanProcessor } from '@opentelemetry/sdk-trace-base';
+import {
+  AggregationTemporality,
+  InMemoryMetricExporter,
+  MeterProvider,
+  PeriodicExportingMetricReader,
+  type DataPoint,
+  type Histogram,
+} from '@opentelemetry/sdk-metrics';
+import { instrumentTokenlay } from '../src/otel.js';
+import { TokenlayOpenAI } from '../src/client.js';
+
+const completion = {
+  id: 'chatcmpl-test',
+  model: 'gpt-4o-2024-08-06',
+  choices: [{ message: { role: 'assistant', content: 'Hi!' }, finish_reason: 'stop', index: 0 }],
+};
+
+/**
+ * Build an object shaped like the OpenAI SDK's APIPromise
+ */
+function mockApiPromise(data: unknown, headers: Record<string, string> = {}) {
+  return {
+    withResponse: () => Promise.resolve({ data, response: { headers: new Headers(headers) } }),
+  };
+}
+
+const mockCreate = vi.fn();
+
+vi.mock('openai', async (importOriginal) => {
+  const { default: OpenAI } = await importOriginal<typeof import('openai')>();
+
+  function MockOpenAI() {
+    return { chat: { completions: { create: mockCreate } } };
+  }
+
+  const { APIConnectionError, APIConnectionTimeoutError } = OpenAI;
+  return { default: Object.assign(MockOpenAI, { APIConnectionError, APIConnectionTimeoutError }) };
+});
+
+describe('otel', () => {
+  let spanExporter: InMemorySpanExporter;
+  let tracerProvider: BasicTracerProvider;
+  let metricReader: PeriodicExportingMetricReader;
+  let meterProvider: MeterProvider;
+  let client: TokenlayOpenAI;
+
+  const params = {
+    model: 'gpt-4o',
+    messages: [{ role: 'user' as const, content: 'Hello!' }],
+    max_tokens: 100,
+    metadata: { userId: 'user_123', feature: 'chat' },
+  };
+
+  /**
+   * Data points of a metric from the in-memory reader
+   */
+  async function dataPoints(name: string) {
+    const { resourceMetrics } = await metricReader.collect();
+    const metric = resourceMetrics.scopeMetrics
+      .flatMap((scope) => scope.metrics)
+      .find((candidate) => candidate.descriptor.name === name);
+    return (metric?.dataPoints ?? []) as DataPoint<number | Histogram>[];
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    propagation.setGlobalPropagator(new W3CTraceContextPropagator());
+
+    spanExporter = new InMemorySpanExporter();
+    tracerProvider = new BasicTracerProvider({ spanProcessors: [new SimpleSpanProcessor(spanExporter)] });
+    metricReader = new PeriodicExportingMetricReader({
+      exporter: new InMemoryMetricExporter(AggregationTemporality.CUMULATIVE),
+    });
+    meterProvider = new MeterProvider({ readers: [metricReader] });
+
+    client = new TokenlayOpenAI({ tokenlayKey: 'tk_test_123', providerApiKey: 'sk-test-456' });
+  });
+
+  afterEach(async () => {
+    propagation.disable();
+    await meterProvider.shutdown();
+  });
+
+  it('should record a GenAI span with Tokenlay attributes', async () => {
+    instrumentTokenlay(client, { tracerProvider, meterProvider });
+    mockCreate.mockReturnValueOnce(mockApiPromise(completion, {
+      'x-tokenlay-rule-id': 'rule_pro',
+      'x-tokenlay-rule-action': 'warn',
+      'x-tokenlay-cost': '0.0021',
+      'x-tokenlay-input-tokens': '12',
+      'x-tokenlay-output-tokens': '3',
+    }));
+
+    await client.chat.completions.create(params);
+
+    const [span] = spanExporter.getFinishedSpans();
+    expect(span.name).toBe('chat gpt-4o');
+    expect(span.kind).toBe(SpanKind.CLIENT);
+    expect(span.attributes).toMatchObject({
+      'gen_ai.operation.name': 'chat',
+      'gen_ai.provider.name': 'openai',
+      'gen_ai.request.model': 'gpt-4o',
+      'gen_ai.request.max_tokens': 100,
+      'gen_ai.response.id': 'chatcmpl-test',
+      'gen_ai.response.model': 'gpt-4o-2024-08-06',
+      'gen_ai.usage.input_tokens': 12,
+      'gen_ai.usage.output_tokens': 3,
+      'tokenlay.rule.id': 'rule_pro',
+      'tokenlay.rule.action': 'warn',
+      'tokenlay.cost': 0.0021,
+      'tokenlay.limit_exceeded': false,
+      'tokenlay.metadata.userId': 'user_123',
+    });
+  });
+
+  it('should propagate trace context to the proxy', async () => {
+    instrumentTokenlay(client, { tracerProvider, meterProvider });
+    mockCreate.mockReturnValueOnce(mockApiPromise(completion));
+
+    await client.chat.completions.create(params);
+
+    const [span] = spanExporter.getFinishedSpans();
+    const { traceId, spanId } = span.spanContext();
+    expect(mockCreate.mock.calls[0][1].headers.traceparent).toBe(`00-${traceId}-${spanId}-01`);
+  });
+
+  it('should record failed calls', async () => {
+    instrumentTokenlay(client, { tracerProvider, meterProvider });
+    mockCreate.mockReturnValueOnce({
+      withResponse: () => Promise.reject(Object.assign(new Error('403 Blocked'), {
+        status: 403,
+        headers: { 'x-tokenlay-rule-action': 'block', 'x-tokenlay-rule-id': 'rule_free' },
+      })),
+    });
+
+    await expect(client.chat.completions.create(params)).rejects.toThrow('Request blocked by Tokenlay');
+
+    const [span] = spanExporter.getFinishedSpans();
+    expect(span.status.code).toBe(SpanStatusCode.ERROR);
+    expect(span.attributes).toMatchObject({
+      'error.type': 'TokenlayBlockedError',
+      'tokenlay.rule.id': 'rule_free',
+      'tokenlay.rule.action': 'block',
+    });
+    expect(span.events[0].name).toBe('exception');
+
+    const [duration] = await dataPoints('gen_ai.client.operation.duration');
+    expect(duration.attributes['error.type']).toBe('TokenlayBlockedError');
+  });
+
+  it('should record cost, latency and token usage tagged by metadata keys', async () => {
+    instrumentTokenlay(client, { tracerProvider, meterProvider, metadataKeys: ['feature'] });
+    mockCreate.mockReturnValue(mockApiPromise(completion, {
+      'x-tokenlay-cost': '0.5',
+      'x-tokenlay-input-tokens': '12',
+      'x-tokenlay-output-tokens': '3',
+    }));
+
+    await client.chat.completions.create(params);
+    await client.chat.completions.create(params);
+
+    const [cost] = await dataPoints('tokenlay.client.cost');
+    expect(cost.value).toBe(1);
+    expect(cost.attributes).toEqual({
+      'gen_ai.operation.name': 'chat',
+      'gen_ai.provider.name': 'openai',
+      'gen_ai.request.model': 'gpt-4o',
+      'tokenlay.metadata.feature': 'chat',
+    });
+
+    const [duration] = await dataPoints('gen_ai.client.operation.duration');
+    expect((duration.value as Histogram).count).toBe(2);
+
+    const tokens = await dataPoints('gen_ai.client.token.usage');
+    const input = tokens.find((point) => point.attributes['gen_ai.token.type'] === 'input');
+    expect((input?.value as Histogram).sum).toBe(24);
+  });
+
+  it('should leave metadata out of metric attributes by default', async () => {
+    instrumentTokenlay(client, { tracerProvider, meterProvider });
+    mockCreate.mockReturnValueOnce(mockApiPromise(completion, { 'x-tokenlay-cost': '0.5' }));
+
+    await client.chat.completions.create(params);
+
+    const [cost] = await dataPoints('tokenlay.client.cost');
+    expect(cost.attributes).toEqual({
+      'gen_ai.operation.name': 'chat',
+      'gen_ai.provider.name': 'openai',
+      'gen_ai.request.model': 'gpt-4o',
+    });
+  });
+
+  it('should stop recording once removed', async () => {
+    const uninstrument = instrumentTokenlay(client, { tracerProvider, meterProvider });
+    mockCreate.mockReturnValue(mockApiPromise(completion));
+
+    uninstrument();
+    await client.chat.completions.create(params);
+
+    expect(spanExporter.getFinishedSpans()).toHaveLength(0);
+    expect(mockCreate.mock.calls[0][1].headers).not.toHaveProperty('traceparent');
+  });
+});
@@ -0,0 +1,30 @@
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_PRICING, getModelPricing } from '../src/pricing.js';
+
+describe('pricing', () => {
+  describe('getModelPricing', () => {
+    it('should return pricing for a known model', () => {
+      expect(getModelPricing('gpt-4o')).toBe(DEFAULT_PRICING['gpt-4o']);
+    });
+
+    it('should match dated snapshots to the longest base model name', () => {
+      expect(getModelPricing('gpt-4o-mini-2024-07-18')).toBe(DEFAULT_PRICING['gpt-4o-mini']);
+      expect(getModelPricing('gpt-4o-2024-08-06')).toBe(DEFAULT_PRICING['gpt-4o']);
+    });
+
+    it('should throw for an unknown model', () => {
+      expect(() => getModelPricing('gpt-5-turbo')).toThrow(
+        'No pricing for model "gpt-5-turbo". Add it with the pricing option.'
+      );
+    });
+  });
+
+  describe('DEFAULT_PRICING', () => {
+    it('should price every model in the README', () => {
+      for (const model of ['gpt-4o', 'o4-mini', 'o3', 'claude-opus-4', 'claude-sonnet-4', 'mistral-large-24.11',
+        'codestral-25.01', 'mistralai/mistral-7b-instruct', 'togethercomputer/llama-2-13b-chat']) {
+        expect(DEFAULT_PRICING[model]).toBeDefined();
+      }
+    });
+  });
+});
@@ -0,0 +1,34 @@
+import { describe, it, expect } from 'vitest';
+import { PROVIDER_PRESETS, getProviderPreset } from '../src/providers.js';
+
+describe('providers', () => {
+  describe('getProviderPreset', () => {
+    it('should return the preset for a known provider', () => {
+      const preset = getProviderPreset('mistral');
+
+      expect(preset.apiBase).toBe('https://api.mistral.ai/v1');
+      expect(preset.models).toContain('codestral-25.01');
+    });
+
+    it('should throw for an unknown provider', () => {
+      expect(() => getProviderPreset('cohere')).toThrow(
+        'Unknown provider "cohere". Supported providers: openai, anthropic, mistral, openrouter, together, azure.'
+      );
+    });
+  });
+
+  describe('PROVIDER_PRESETS', () => {
+    it('should name every preset after its key', () => {
+      for (const [name, preset] of Object.entries(PROVIDER_PRESETS)) {
+        expect(preset.name).toBe(name);
+        expect(preset.models.length).toBeGreaterThan(0);
+      }
+    });
+
+    it('should describe every key pattern', () => {
+      for (const preset of Object.values(PROVIDER_PRESETS)) {
+        expect(Boolean(preset.keyPattern)).toBe(Boolean(preset.keyFormat));
+      }
+    });
+  });
+});
@@ -0,0 +1,201 @@
+import { describe, it, expect } from 'vitest';
+import {
+  TokenlayStream,
+  chatCompletionChunkMetadata,
+  responseStreamEventMetadata,
+  messageStreamEventMetadata,
+} from '../src/streaming.js';
+import { parseTokenlayHeaders } from '../src/utils.js';
+
+function mockStream<T>(chunks: T[], error?: Error) {
+  return {
+    controller: new AbortController(),
+    async *[Symbol.asyncIterator]() {
+      for (const chunk of chunks) {
+        yield chunk;
+      }
+      if (error) {
+        throw error;
+      }
+    },
+  };
+}
+
+async function drain<T>(stream: AsyncIterable<T>): Promise<T[]> {
+  const received: T[] = [];
+  for await (const chunk of stream) {
+    received.push(chunk);
+  }
+  return received;
+}
+
+const chunks = [
+  { id: 'chunk_1', choices: [{ delta: { content: 'Hello' } }] },
+  { id: 'chunk_2', choices: [{ delta: { content: ' world' } }] },
+  {
+    id: 'chunk_3',
+    choices: [],
+    usage: { prompt_tokens: 12, completion_tokens: 2, total_tokens: 14 },
+    tokenlay: { cost: 0.00042 },
+  },
+];
+
+describe('streaming', () => {
+  describe('chatCompletionChunkMetadata', () => {
+    it('should return undefined for content chunks', () => {
+      expect(chatCompletionChunkMetadata(chunks[0])).toBeUndefined();
+    });
+
+    it('should read usage and Tokenlay cost from the final chunk', () => {
+      expect(chatCompletionChunkMetadata(chunks[2])).toEqual({
+        inputTokens: 12,
+        outputTokens: 2,
+        tokensUsed: 14,
+        cost: 0.00042,
+      });
+    });
+  });
+
+  describe('responseStreamEventMetadata', () => {
+    it('should ignore events other than response.completed', () => {
+      expect(responseStreamEventMetadata({ type: 'response.output_text.delta', delta: 'Hi' })).toBeUndefined();
+    });
+
+    it('should read usage and Tokenlay cost from response.completed', () => {
+      expect(responseStreamEventMetadata({
+        type: 'response.completed',
+        response: { usage: { input_tokens: 20, output_tokens: 4, total_tokens: 24 } },
+        tokenlay: { cost: 0.0001 },
+      })).toEqual({
+        inputTokens: 20,
+        outputTokens: 4,
+        tokensUsed: 24,
+        cost: 0.0001,
+      });
+    });
+  });
+
+  describe('messageStreamEventMetadata', () => {
+    it('should read input tokens from message_start', () => {
+      const current = parseTokenlayHeaders({});
+
+      expect(messageStreamEventMetadata({
+        type: 'message_start',
+        message: { usage: { input_tokens: 40, output_tokens: 1 } },
+      }, current)).toEqual({ inputTokens: 40, outputTokens: 1, tokensUsed: 41 });
+    });
+
+    it('should combine cumulative output tokens with known input tokens', () => {
+      const current = { ...parseTokenlayHeaders({}), inputTokens: 40, outputTokens: 1 };
+
+      expect(messageStreamEventMetadata({
+        type: 'message_delta',
+        usage: { input_tokens: null, output_tokens: 15 },
+        tokenlay: { cost: 0.0004 },
+      }, current)).toEqual({ inputTokens: 40, outputTokens: 15, tokensUsed: 55, cost: 0.0004 });
+    });
+
+    it('should ignore content events', () => {
+      expect(messageStreamEventMetadata({ type: 'content_block_delta' }, parseTokenlayHeaders({}))).toBeUndefined();
+    });
+  });
+
+  describe('TokenlayStream', () => {
+    it('should expose initial metadata before the stream is consumed', () => {
+      const stream = new TokenlayStream(
+        mockStream(chunks),
+        parseTokenlayHeaders({ 'x-tokenlay-rule-id': 'rule_123', 'x-tokenlay-rule-action': 'warn' }),
+        chatCompletionChunkMetadata
+      );
+
+      expect(stream._tokenlay.ruleId).toBe('rule_123');
+      expect(stream._tokenlay.ruleAction).toBe('warn');
+      expect(stream._tokenlay.cost).toBe(0);
+    });
+
+    it('should yield every chunk and resolve final metadata', async () => {
+      const stream = new TokenlayStream(
+        mockStream(chunks),
+        parseTokenlayHeaders({ 'x-tokenlay-rule-id': 'rule_123', 'x-tokenlay-duration': '250' }),
+        chatCompletionChunkMetadata
+      );
+
+      const received = await drain(stream);
+      expect(received.map((chunk) => chunk.id)).toEqual(['chunk_1', 'chunk_2', 'chunk_3']);
+
+      const metadata = await stream.finalMetadata();
+      expect(metadata).toMatchObject({
+        ruleId: 'rule_123',
+        cost: 0.00042,
+        inputTokens: 12,
+        outputTokens: 2,
+        tokensUsed: 14,
+        duration: 250,
+      });
+      expect(stream._tokenlay).toBe(metadata);
+    });
+
+    it('should resolve final metadata when iteration stops early', async () => {
+      const stream = new TokenlayStream(mockStream(chunks), parseTokenlayHeaders({}), chatCompletionChunkMetadata);
+
+      for await (const chunk of stream) {
+        if (chunk.id === 'chunk_1') {
+          break;
+        }
+      }
+
+      const metadata = await stream.finalMetadata();
+      expect(metadata.tokensUsed).toBe(0);
+    });
+
+    it('should reject final metadata when the stream fails', async () => {
+      const stream = new TokenlayStream(
+        mockStream(chunks.slice(0, 1), new Error('Connection reset')),
+        parseTokenlayHeaders({}),
+        chatCompletionChunkMetadata
+      );
+
+      await expect(drain(stream)).rejects.toThrow('Connection reset');
+      await expect(stream.finalMetadata()).rejects.toThrow('Connection reset');
+    });
+
+    it('should tee into two streams that share metadata', async () => {
+      const stream = new TokenlayStream(mockStream(chunks), parseTokenlayHeaders({}), chatCompletionChunkMetadata);
+      const [left, right] = stream.tee();
+
+      expect((await drain(left)).map((chunk) => chunk.id)).toEqual(['chunk_1', 'chunk_2', 'chunk_3']);
+      expect((await drain(right)).map((chunk) => chunk.id)).toEqual(['chunk_1', 'chunk_2', 'chunk_3']);
+
+      expect((await stream.finalMetadata()).cost).toBe(0.00042);
+      expect(right._tokenlay).toBe(stream._tokenlay);
+      expect(right.controller).toBe(stream.controller);
+    });
+
+    it('should convert to a ReadableStream of newline-delimited JSON', async () => {
+      const stream = new TokenlayStream(mockStream(chunks), parseTokenlayHeaders({}), chatCompletionChunkMetadata);
+
+      const text = await new Response(stream.toReadableStream()).text();
+
+      expect(text.trim().split('\n').map((line) => JSON.parse(line))).toEqual(chunks);
+      expect((await stream.finalMetadata()).tokensUsed).toBe(14);
+    });
+
+    it('should error the ReadableStream when the stream fails', async () => {
+      const stream = new TokenlayStream(
+        mockStream(chunks.slice(0, 1), new Error('Connection reset')),
+        parseTokenlayHeaders({}),
+        chatCompletionChunkMetadata
+      );
+
+      await expect(new Response(stream.toReadableStream()).text()).rejects.toThrow('Connection reset');
+    });
+
+    it('should not allow iterating twice', async () => {
+      const stream = new TokenlayStream(mockStream(chunks), parseTokenlayHeaders({}), chatCompletionChunkMetadata);
+
+      await drain(stream);
+
+      await expect(drain(stream)).rejects.toThrow('Cannot iterate over a consumed stream');
+    });
+  });
+});
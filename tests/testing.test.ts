@@ -0,0 +1,144 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import { startMockTokenlayProxy, type MockTokenlayProxy } from '../src/testing.js';
+import { TokenlayOpenAI, getTokenlayMetadata } from '../src/client.js';
+import { TokenlayBlockedError, TokenlayLimitExceededError, TokenlayQueuedError } from '../src/errors.js';
+
+describe('MockTokenlayProxy', () => {
+  let proxy: MockTokenlayProxy;
+  let client: TokenlayOpenAI;
+
+  const params = {
+    model: 'gpt-4o',
+    messages: [{ role: 'user' as const, content: 'Say hello' }],
+  };
+
+  beforeAll(async () => {
+    proxy = await startMockTokenlayProxy();
+    client = new TokenlayOpenAI({
+      tokenlayKey: 'tk_test_123',
+      providerApiKey: 'sk-test-456',
+      tokenlayBaseUrl: proxy.url,
+      maxRetries: 0,
+      metadata: { projectId: 'proj_1' },
+    });
+  });
+
+  afterAll(async () => {
+    await proxy.stop();
+  });
+
+  beforeEach(() => {
+    proxy.reset();
+  });
+
+  it('should serve chat completions and record the request', async () => {
+    proxy.enqueue({ content: 'Hi there', cost: 0.0012, ruleId: 'rule_1' });
+
+    const response = await client.chat.completions.create({ ...params, metadata: { userId: 'user_123' } });
+
+    expect(response.choices[0].message.content).toBe('Hi there');
+    expect(getTokenlayMetadata(response)).toMatchObject({ cost: 0.0012, ruleId: 'rule_1', ruleAction: 'allow' });
+    expect(proxy.lastRequest).toMatchObject({
+      method: 'POST',
+      path: '/v1/chat/completions',
+      body: { model: 'gpt-4o', messages: params.messages },
+    });
+    expect(proxy.lastRequest?.headers).toMatchObject({
+      authorization: 'Bearer tk_test_123',
+      'x-tokenlay-provider-key': 'sk-test-456',
+      'x-tokenlay-projectid': 'proj_1',
+      'x-tokenlay-userid': 'user_123',
+    });
+  });
+
+  it('should stream chat completions as server-sent events', async () => {
+    proxy.enqueue({ content: 'Hello from the stream', cost: 0.002 });
+
+    const stream = await client.chat.completions.create({ ...params, stream: true, stream_options: { include_usage: true } });
+    let text = '';
+    for await (const chunk of stream) {
+      text += chunk.choices[0]?.delta?.content ?? '';
+    }
+
+    expect(text).toBe('Hello from the stream');
+    expect(await stream.finalMetadata()).toMatchObject({ cost: 0.002, outputTokens: 4 });
+  });
+
+  it('should script rule outcomes', async () => {
+    proxy.enqueue({ ruleAction: 'block', ruleId: 'rule_block' }, { ruleAction: 'warn', warnings: ['Near limit'] });
+
+    await expect(client.chat.completions.create(params)).rejects.toMatchObject({
+      constructor: TokenlayBlockedError,
+      ruleId: 'rule_block',
+      status: 403,
+    });
+    const warned = await client.chat.completions.create(params);
+
+    expect(getTokenlayMetadata(warned)).toMatchObject({ ruleAction: 'warn', warnings: ['Near limit'] });
+  });
+
+  it('should script queued responses', async () => {
+    proxy.enqueue({ ruleAction: 'queue', queueId: 'q_1', retryAfter: 1500 });
+
+    await expect(client.chat.completions.create(params)).rejects.toMatchObject({
+      constructor: TokenlayQueuedError,
+      retryAfter: 1500,
+    });
+  });
+
+  it('should answer health checks', async () => {
+    expect(await client.healthCheck()).toEqual({ status: 'ok' });
+    expect(proxy.lastRequest).toMatchObject({ method: 'GET', path: '/v1/health' });
+  });
+
+  describe('with the default maxRetries', () => {
+    let retryingClient: TokenlayOpenAI;
+
+    beforeAll(() => {
+      retryingClient = new TokenlayOpenAI({
+        tokenlayKey: 'tk_test_123',
+        providerApiKey: 'sk-test-456',
+        tokenlayBaseUrl: proxy.url,
+      });
+    });
+
+    it('should not retry rule outcomes', async () => {
+      proxy.enqueue({ limitExceeded: true, retryAfter: 100 });
+
+      await expect(retryingClient.chat.completions.create(params)).rejects.toBeInstanceOf(TokenlayLimitExceededError);
+      expect(proxy.requests).toHaveLength(1);
+    });
+
+    it('should throw queued requests without waiting when queue mode is off', async () => {
+      proxy.enqueue({ ruleAction: 'queue', retryAfter: 1500 });
+
+      await expect(retryingClient.chat.completions.create(params)).rejects.toBeInstanceOf(TokenlayQueuedError);
+      expect(proxy.requests).toHaveLength(1);
+    });
+
+    it('should stop waiting on queued requests at maxWait', async () => {
+      const queueing = new TokenlayOpenAI({
+        tokenlayKey: 'tk_test_123',
+        providerApiKey: 'sk-test-456',
+        tokenlayBaseUrl: proxy.url,
+        queue: { maxWait: 500 },
+      });
+      proxy.enqueue({ ruleAction: 'queue', queueId: 'q_1', retryAfter: 1500 });
+
+      const startedAt = Date.now();
+      await expect(queueing.chat.completions.create(params)).rejects.toBeInstanceOf(TokenlayQueuedError);
+
+      expect(Date.now() - startedAt).toBeLessThan(500);
+      expect(proxy.requests).toHaveLength(1);
+    });
+
+    it('should retry server errors', async () => {
+      proxy.enqueue({ status: 503, headers: { 'retry-after-ms': '0' } }, { content: 'Recovered' });
+
+      const response = await retryingClient.chat.completions.create(params);
+
+      expect(response.choices[0].message.content).toBe('Recovered');
+      expect(proxy.requests).toHaveLength(2);
+    });
+  });
+});
@@ -0,0 +1,145 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { UsageTracker } from '../src/usage.js';
+import { TokenlayOpenAI } from '../src/client.js';
+import { BudgetManager } from '../src/budget.js';
+
+const completion = {
+  id: 'chatcmpl-test',
+  choices: [{ message: { role: 'assistant', content: 'Hi!' }, finish_reason: 'stop', index: 0 }],
+};
+
+/**
+ * Build an object shaped like the OpenAI SDK's APIPromise
+ */
+function mockApiPromise(headers: Record<string, string>) {
+  return {
+    withResponse: () => Promise.resolve({ data: { ...completion }, response: { headers: new Headers(headers) } }),
+  };
+}
+
+/**
+ * Build an object shaped like the OpenAI SDK's APIPromise that rejects
+ */
+function mockRejectedApiPromise(status: number, headers: Record<string, string>) {
+  return {
+    withResponse: () => Promise.reject(Object.assign(new Error(`${status} error`), { status, headers })),
+  };
+}
+
+const mockCreate = vi.fn();
+
+vi.mock('openai', async (importOriginal) => {
+  const { default: OpenAI } = await importOriginal<typeof import('openai')>();
+
+  function MockOpenAI() {
+    return { chat: { completions: { create: mockCreate } } };
+  }
+
+  const { APIConnectionError, APIConnectionTimeoutError } = OpenAI;
+  return { default: Object.assign(MockOpenAI, { APIConnectionError, APIConnectionTimeoutError }) };
+});
+
+describe('UsageTracker', () => {
+  let client: TokenlayOpenAI;
+
+  const request = (model: string, metadata: Record<string, string>) =>
+    client.chat.completions.create({ model, messages: [{ role: 'user', content: 'Hello!' }], metadata });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    client = new TokenlayOpenAI({ tokenlayKey: 'tk_test_123', providerApiKey: 'sk-test-456' });
+  });
+
+  it('should aggregate usage by model and metadata keys', async () => {
+    const tracker = new UsageTracker({ groupBy: ['feature', 'model'] });
+    tracker.attach(client);
+
+    mockCreate
+      .mockReturnValueOnce(mockApiPromise({
+        'x-tokenlay-cost': '0.25', 'x-tokenlay-input-tokens': '10', 'x-tokenlay-output-tokens': '5',
+      }))
+      .mockReturnValueOnce(mockApiPromise({
+        'x-tokenlay-cost': '0.5', 'x-tokenlay-input-tokens': '20', 'x-tokenlay-output-tokens': '7',
+        'x-tokenlay-rule-action': 'warn',
+      }))
+      .mockReturnValueOnce(mockApiPromise({ 'x-tokenlay-cost': '1', 'x-tokenlay-input-tokens': '1' }));
+
+    await request('gpt-4o', { feature: 'chat' });
+    await request('gpt-4o', { feature: 'chat' });
+    await request('gpt-4o-mini', {});
+
+    const snapshot = tracker.snapshot();
+    expect(snapshot.groupBy).toEqual(['feature', 'model']);
+    expect(snapshot.totals).toEqual({
+      requests: 3, inputTokens: 31, outputTokens: 12, cost: 1.75, blocked: 0, warned: 1, errors: 0,
+    });
+    expect(snapshot.groups).toEqual([
+      {
+        dimensions: { feature: 'chat', model: 'gpt-4o' },
+        requests: 2, inputTokens: 30, outputTokens: 12, cost: 0.75, blocked: 0, warned: 1, errors: 0,
+      },
+      {
+        dimensions: { feature: null, model: 'gpt-4o-mini' },
+        requests: 1, inputTokens: 1, outputTokens: 0, cost: 1, blocked: 0, warned: 0, errors: 0,
+      },
+    ]);
+  });
+
+  it('should count blocked requests and other failures', async () => {
+    const budgetClient = new TokenlayOpenAI({
+      tokenlayKey: 'tk_test_123',
+      providerApiKey: 'sk-test-456',
+      budget: new BudgetManager({ budgets: [{ key: 'userId', limit: 0, window: 1000 }] }),
+    });
+    const tracker = new UsageTracker();
+    tracker.attach(client);
+    tracker.attach(budgetClient);
+
+    mockCreate
+      .mockReturnValueOnce(mockRejectedApiPromise(403, { 'x-tokenlay-rule-action': 'block' }))
+      .mockReturnValueOnce(mockRejectedApiPromise(429, { 'x-tokenlay-limit-exceeded': 'true' }))
+      .mockReturnValueOnce(mockRejectedApiPromise(500, {}));
+
+    await expect(request('gpt-4o', {})).rejects.toThrow();
+    await expect(request('gpt-4o', {})).rejects.toThrow();
+    await expect(request('gpt-4o', {})).rejects.toThrow();
+    await expect(budgetClient.chat.completions.create({
+      model: 'gpt-4o', messages: [], metadata: { userId: 'user_123' },
+    })).rejects.toThrow();
+
+    expect(tracker.snapshot().totals).toMatchObject({ requests: 4, blocked: 3, errors: 1 });
+  });
+
+  it('should reset and detach', async () => {
+    const tracker = new UsageTracker();
+    const detach = tracker.attach(client);
+    mockCreate.mockReturnValue(mockApiPromise({ 'x-tokenlay-cost': '0.1' }));
+
+    await request('gpt-4o', {});
+    const since = tracker.snapshot().since;
+    tracker.reset();
+
+    expect(tracker.snapshot()).toMatchObject({ totals: { requests: 0, cost: 0 }, groups: [] });
+    expect(Date.parse(tracker.snapshot().since)).toBeGreaterThanOrEqual(Date.parse(since));
+
+    detach();
+    await request('gpt-4o', {});
+    expect(tracker.snapshot().totals.requests).toBe(0);
+  });
+
+  it('should export JSON and CSV', async () => {
+    const tracker = new UsageTracker({ groupBy: ['team', 'model'] });
+    tracker.attach(client);
+    mockCreate.mockReturnValue(mockApiPromise({ 'x-tokenlay-cost': '0.5', 'x-tokenlay-input-tokens': '4' }));
+
+    await request('gpt-4o', { team: 'search, "core"' });
+    await request('gpt-4o-mini', {});
+
+    expect(JSON.parse(JSON.stringify(tracker))).toEqual(tracker.snapshot());
+    expect(tracker.toCSV()).toBe(
+      'team,model,requests,inputTokens,outputTokens,cost,blocked,warned,errors\n'
+      + '"search, ""core""",gpt-4o,1,4,0,0.5,0,0,0\n'
+      + ',gpt-4o-mini,1,4,0,0.5,0,0,0\n'
+    );
+  });
+});
@@ -5,6 +5,9 @@ import {
   validateConfig,
   parseTokenlayHeaders,
   buildTokenlayUrl,
+  headersToRecord,
+  parseRetryAfter,
+  sleep,
 } from '../src/utils.js';
 
 describe('utils', () => {
@@ -117,6 +120,93 @@ describe('utils', () => {
 
       expect(() => validateConfig(config)).toThrow('tokenlayKey is required');
     });
+
+    it('should throw for an invalid providerApiBase', () => {
+      expect(() => validateConfig({
+        tokenlayKey: 'tk_test_123',
+        providerApiKey: 'sk-test-456',
+        providerApiBase: 'api.openai.com/v1',
+      })).toThrow('providerApiBase must be a valid URL, got "api.openai.com/v1".');
+    });
+
+    it('should throw for a non-http tokenlayBaseUrl', () => {
+      expect(() => validateConfig({
+        tokenlayKey: 'tk_test_123',
+        providerApiKey: 'sk-test-456',
+        tokenlayBaseUrl: 'ftp://proxy.example.com',
+      })).toThrow('tokenlayBaseUrl must use http or https');
+    });
+
+    it('should throw for an unknown provider', () => {
+      expect(() => validateConfig({
+        tokenlayKey: 'tk_test_123',
+        providerApiKey: 'sk-test-456',
+        provider: 'cohere',
+      })).toThrow('Unknown provider "cohere"');
+    });
+
+    it('should validate the key format of the provider preset', () => {
+      expect(() => validateConfig({
+        tokenlayKey: 'tk_test_123',
+        providerApiKey: 'sk-test-456',
+        provider: 'anthropic',
+      })).toThrow('providerApiKey does not match the Anthropic key format (keys start with "sk-ant-").');
+
+      expect(() => validateConfig({
+        tokenlayKey: 'tk_test_123',
+        providerApiKey: 'sk-ant-test-456',
+        provider: 'anthropic',
+      })).not.toThrow();
+    });
+
+    it('should accept any key format for presets without a pattern', () => {
+      expect(() => validateConfig({
+        tokenlayKey: 'tk_test_123',
+        providerApiKey: 'abc123',
+        provider: 'mistral',
+      })).not.toThrow();
+    });
+
+    it('should require providerApiBase for presets without a default', () => {
+      expect(() => validateConfig({
+        tokenlayKey: 'tk_test_123',
+        providerApiKey: 'abc123',
+        provider: 'azure',
+      })).toThrow('providerApiBase is required for provider "azure".');
+    });
+
+    it('should validate azure options', () => {
+      expect(() => validateConfig({
+        tokenlayKey: 'tk_test_123',
+        providerApiKey: 'abc123',
+        azure: { endpoint: 'my-resource', apiVersion: '2024-10-21' },
+      })).toThrow('azure.endpoint must be a valid URL, got "my-resource".');
+
+      expect(() => validateConfig({
+        tokenlayKey: 'tk_test_123',
+        providerApiKey: 'abc123',
+        azure: { endpoint: 'https://my-resource.openai.azure.com', apiVersion: '' },
+      })).toThrow('azure.apiVersion is required');
+
+      expect(() => validateConfig({
+        tokenlayKey: 'tk_test_123',
+        providerApiKey: 'abc123',
+        provider: 'mistral',
+        azure: { endpoint: 'https://my-resource.openai.azure.com', apiVersion: '2024-10-21' },
+      })).toThrow('azure options cannot be combined with provider "mistral".');
+    });
+
+    it('should not require providerApiKey with Entra ID', () => {
+      expect(() => validateConfig({
+        tokenlayKey: 'tk_test_123',
+        providerApiKey: '',
+        azure: {
+          endpoint: 'https://my-resource.openai.azure.com',
+          apiVersion: '2024-10-21',
+          getAccessToken: () => 'token',
+        },
+      })).not.toThrow();
+    });
   });
 
   describe('parseTokenlayHeaders', () => {
@@ -148,6 +238,20 @@ describe('utils', () => {
       });
     });
 
+    it('should parse queue headers', () => {
+      const metadata = parseTokenlayHeaders({
+        'x-tokenlay-rule-action': 'queue',
+        'x-tokenlay-queue-id': 'q_123',
+        'x-tokenlay-queue-position': '4',
+        'x-tokenlay-queue-eta': '2500',
+      });
+
+      expect(metadata.ruleAction).toBe('queue');
+      expect(metadata.queueId).toBe('q_123');
+      expect(metadata.queuePosition).toBe(4);
+      expect(metadata.queueEta).toBe(2500);
+    });
+
     it('should handle missing headers with defaults', () => {
       const headers = {};
 
@@ -166,12 +270,9 @@ describe('utils', () => {
       });
     });
 
-    it('should handle invalid JSON in warnings', () => {
-      const headers = {
-        'x-tokenlay-warnings': 'invalid-json',
-      };
-
-      expect(() => parseTokenlayHeaders(headers)).toThrow();
+    it('should keep warnings that are not a JSON array as a single warning', () => {
+      expect(parseTokenlayHeaders({ 'x-tokenlay-warnings': 'near limit' }).warnings).toEqual(['near limit']);
+      expect(parseTokenlayHeaders({ 'x-tokenlay-warnings': '"near limit"' }).warnings).toEqual(['"near limit"']);
     });
   });
 
@@ -196,4 +297,60 @@ describe('utils', () => {
       expect(url).toBe('https://api.tokenlay.com/v1/chat/completions');
     });
   });
+
+  describe('headersToRecord', () => {
+    it('should convert fetch headers to a plain object', () => {
+      const headers = new Headers({
+        'X-Tokenlay-Cost': '0.5',
+        'content-type': 'application/json',
+      });
+
+      expect(headersToRecord(headers)).toEqual({
+        'x-tokenlay-cost': '0.5',
+        'content-type': 'application/json',
+      });
+    });
+  });
+
+  describe('parseRetryAfter', () => {
+    it('should parse seconds', () => {
+      expect(parseRetryAfter({ 'retry-after': '3' })).toBe(3000);
+    });
+
+    it('should prefer retry-after-ms', () => {
+      expect(parseRetryAfter({ 'retry-after': '3', 'retry-after-ms': '150' })).toBe(150);
+    });
+
+    it('should parse HTTP dates', () => {
+      const date = new Date(Date.now() + 10000).toUTCString();
+      const delay = parseRetryAfter({ 'retry-after': date });
+
+      expect(delay).toBeGreaterThan(8000);
+      expect(delay).toBeLessThanOrEqual(10000);
+    });
+
+    it('should return undefined when absent or invalid', () => {
+      expect(parseRetryAfter({})).toBeUndefined();
+      expect(parseRetryAfter({ 'retry-after': 'soon' })).toBeUndefined();
+    });
+  });
+
+  describe('sleep', () => {
+    it('should resolve after the delay', async () => {
+      await expect(sleep(5)).resolves.toBeUndefined();
+    });
+
+    it('should reject when the signal aborts', async () => {
+      const controller = new AbortController();
+      const promise = sleep(10000, controller.signal);
+
+      controller.abort(new Error('Cancelled'));
+
+      await expect(promise).rejects.toThrow('Cancelled');
+    });
+
+    it('should reject immediately for an aborted signal', async () => {
+      await expect(sleep(10000, AbortSignal.abort(new Error('Already aborted')))).rejects.toThrow('Already aborted');
+    });
+  });
 });
\ No newline at end of file
@@ -1,14 +1,15 @@
 import { defineConfig } from 'tsup';
 
 export default defineConfig({
-  entry: ['src/index.ts'],
+  entry: ['src/index.ts', 'src/anthropic.ts', 'src/otel.ts', 'src/testing.ts', 'src/file-cache.ts'],
   format: ['cjs', 'esm'],
   dts: true,
   clean: true,
   sourcemap: true,
   minify: false,
-  external: ['openai'],
+  external: ['openai', '@anthropic-ai/sdk', '@opentelemetry/api'],
   target: 'es2020',
-  splitting: false,
+  // Share chunks between entry points so error classes keep a single identity
+  splitting: true,
   treeshake: true,
 });
\ No newline at end of file